@@ -2,42 +2,451 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/extensions/AccessControlEnumerable.sol";
+import "@openzeppelin/contracts/token/ERC1155/utils/ERC1155Holder.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "./libraries/RaffleCommitments.sol";
+import "./libraries/RaffleDraws.sol";
+import "./libraries/RafflePrizes.sol";
+import "./libraries/RaffleRecords.sol";
+import "./libraries/RaffleRequests.sol";
+import "./libraries/RaffleRounds.sol";
+import "./libraries/RaffleSignatures.sol";
 
 /**
  * @title OnChainRaffle
  * @dev A contract for conducting on-chain raffles with verifiable randomness
  * @notice This contract allows authorized executors to run raffles and stores results
  */
-contract OnChainRaffle is Ownable {
+contract OnChainRaffle is
+    Ownable,
+    AccessControlEnumerable,
+    Pausable,
+    ReentrancyGuard,
+    ERC1155Holder,
+    EIP712,
+    Nonces,
+    IRandomnessConsumer
+{
+    enum RaffleMode {
+        Standard,
+        CommitReveal,
+        Requested,
+        Weighted,
+        Merkle,
+        Scheduled,
+        Tiered
+    }
+
+    enum RaffleStatus {
+        Valid,
+        Invalidated,
+        Replaced
+    }
+
+    enum RequestStatus {
+        None,
+        Pending,
+        Fulfilled,
+        Failed
+    }
+
+    enum CommitmentStatus {
+        None,
+        Pending,
+        Revealed,
+        Expired
+    }
+
+    enum PrizeKind {
+        ERC721,
+        ERC1155
+    }
+
+    enum RoundStatus {
+        None,
+        Open,
+        Closed,
+        Drawn,
+        Cancelled
+    }
+
+    struct RaffleRecord {
+        address executor;
+        uint48 blockNumber;
+        uint48 timestamp;
+        uint64 participantCount;
+        RaffleMode mode;
+        RaffleStatus status;
+        bool isRerun;
+        bytes32 participantsHash;
+        string title;
+        string uri;
+    }
+
+    struct Raffle {
+        uint256 id;
+        address executor;
+        uint256 blockNumber;
+        uint256 timestamp;
+        uint256 participantCount;
+        RaffleMode mode;
+        RaffleStatus status;
+        bool isRerun;
+        bytes32 participantsHash;
+        string title;
+        string uri;
+        uint256[] winners;
+    }
+
+    /// @notice One draw of an executeRaffles batch
+    struct RaffleInput {
+        uint256[] participants;
+        uint256 numberOfWinners;
+    }
+
+    struct RaffleRequest {
+        address executor;
+        address coordinator;
+        uint256 numberOfWinners;
+        uint256 requestBlock;
+        RequestStatus status;
+        uint256 raffleId;
+    }
+
+    struct WeightedResult {
+        uint256 totalWeight;
+        uint256[] winnerWeights;
+    }
+
+    struct RaffleCommitment {
+        address executor;
+        bytes32 seedHash;
+        bytes32 participantsHash;
+        uint256 numberOfWinners;
+        uint256 commitBlock;
+        bool revealed;
+        uint256 raffleId;
+    }
+
+    struct RaffleSchedule {
+        address creator;
+        uint64 interval;
+        uint32 numberOfWinners;
+        bool oneEntryPerAddress;
+        bool active;
+        uint256 currentRound;
+    }
+
+    struct RaffleRound {
+        uint256 scheduleId;
+        uint64 entryDeadline;
+        RoundStatus status;
+        uint256 raffleId;
+        uint64 closeBlock;
+    }
+
+    struct ExecutorLimits {
+        uint64 expiresAt;
+        uint32 maxRafflesPerDay;
+        uint32 maxParticipants;
+    }
+
+    struct ExecutorUsage {
+        uint64 day;
+        uint32 raffles;
+    }
+
+    struct PrizeItem {
+        address depositor;
+        PrizeKind kind;
+        bool settled;
+        uint64 expiry;
+        uint32 rank;
+        address token;
+        uint256 tokenId;
+        uint256 amount;
+    }
+
+    struct PrizeConfig {
+        address token;
+        uint256 entryFee;
+        uint16 protocolFeeBps;
+        uint16[] payoutBps;
+    }
+
+    /// @notice Role allowed to run raffles, administered by DEFAULT_ADMIN_ROLE
+    bytes32 public constant EXECUTOR_ROLE = keccak256("EXECUTOR_ROLE");
+
+    /// @notice Role allowed to pause the contract and invalidate raffles
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
+
+    /// @notice EIP-712 type of the authorization signed for executeRaffleWithSignature
+    bytes32 public constant EXECUTE_RAFFLE_TYPEHASH = RaffleSignatures.EXECUTE_RAFFLE_TYPEHASH;
+
+    /// @notice Number of blocks after the commit block during which a reveal is accepted
+    uint256 public constant REVEAL_WINDOW = RaffleCommitments.REVEAL_WINDOW;
+
+    /// @notice Number of blocks after which an unfulfilled randomness request can be marked failed
+    uint256 public constant REQUEST_TIMEOUT = RaffleRequests.REQUEST_TIMEOUT;
+
+    /// @notice Time after a round's entry deadline from which anyone can draw it
+    uint256 public constant DRAW_GRACE_PERIOD = RaffleRounds.DRAW_GRACE_PERIOD;
+
+    /// @notice Denominator of payout splits and the protocol fee
+    uint256 public constant BPS_DENOMINATOR = RafflePrizes.BPS_DENOMINATOR;
+
+    /// @notice Upper bound of the protocol fee, 10% of each pot
+    uint256 public constant MAX_PROTOCOL_FEE_BPS = 1_000;
+
+    /// @notice Coordinator used by requestRaffle, zero when only synchronous raffles are enabled
+    address public randomnessCoordinator;
+
     uint256 public raffleCounter;
 
+    uint256 public commitmentCounter;
+
     mapping(uint256 => uint256[]) public raffleResults;
 
-    mapping(address => bool) public raffleExecutors;
+    mapping(uint256 => RaffleRecord) private raffleRecords;
+
+    mapping(address => uint256[]) private executorRaffles;
+
+    mapping(uint256 => RaffleCommitment) public raffleCommitments;
+
+    mapping(uint256 => RaffleRequest) public raffleRequests;
+
+    mapping(uint256 => WeightedResult) private weightedResults;
+
+    mapping(uint256 => uint256[]) private requestParticipants;
+
+    /// @notice Optional limits of each executor, zero fields are unlimited
+    mapping(address => ExecutorLimits) public executorLimits;
+
+    mapping(address => ExecutorUsage) private executorUsage;
+
+    /// @notice ID of the rerun that replaced an invalidated raffle, set when its status is Replaced
+    mapping(uint256 => uint256) public replacementOf;
+
+    /// @notice ID of the invalidated raffle a rerun replaces, set when the rerun's isRerun flag is true
+    mapping(uint256 => uint256) public rerunOf;
+
+    uint256 public scheduleCounter;
+
+    uint256 public roundCounter;
+
+    mapping(uint256 => RaffleSchedule) public raffleSchedules;
+
+    mapping(uint256 => RaffleRound) public raffleRounds;
+
+    mapping(uint256 => uint256[]) private roundEntries;
+
+    mapping(uint256 => mapping(address => bool)) public hasEntered;
+
+    /// @notice Fee taken from new paid raffles' pots for the owner, in basis points
+    uint16 public protocolFeeBps;
+
+    mapping(uint256 => PrizeConfig) private prizeConfigs;
+
+    mapping(uint256 => uint256) public roundPots;
+
+    mapping(uint256 => mapping(address => uint256)) public paidEntries;
+
+    mapping(uint256 => PrizeItem[]) private prizeItems;
+
+    /// @notice Prizes, fees and refunds owed per token (zero address for ETH) and account
+    mapping(address => mapping(address => uint256)) public pendingWithdrawals;
+
+    mapping(uint256 => uint256[]) private raffleTiers;
+
+    /// @notice Commitments recorded as abandoned by expireCommitment
+    mapping(uint256 => bool) public expiredCommitments;
 
     event RaffleExecuted(uint256 indexed raffleId, uint256[] participants, uint256[] winners);
+    event WeightedRaffleExecuted(
+        uint256 indexed raffleId,
+        uint256[] participants,
+        uint256[] weights,
+        uint256[] winners
+    );
+    event MerkleRaffleExecuted(
+        uint256 indexed raffleId,
+        bytes32 participantsRoot,
+        uint256 participantCount,
+        uint256[] winningIndices
+    );
+    event RaffleCommitted(
+        uint256 indexed commitmentId,
+        address indexed executor,
+        bytes32 seedHash,
+        bytes32 participantsHash,
+        uint256 numberOfWinners
+    );
+    event RaffleRevealed(uint256 indexed commitmentId, uint256 indexed raffleId, bytes32 seed);
+    event CommitmentExpired(uint256 indexed commitmentId, address indexed executor);
+    event RaffleRequested(uint256 indexed requestId, address indexed executor, uint256 numberOfWinners);
+    event RaffleRequestFulfilled(uint256 indexed requestId, uint256 indexed raffleId);
+    event RaffleRequestFailed(uint256 indexed requestId);
+    event ScheduledRaffleCreated(
+        uint256 indexed scheduleId,
+        address indexed creator,
+        uint256 numberOfWinners,
+        uint256 interval,
+        bool oneEntryPerAddress
+    );
+    event ScheduledRaffleCancelled(uint256 indexed scheduleId);
+    event RoundOpened(uint256 indexed roundId, uint256 indexed scheduleId, uint256 entryDeadline);
+    event RaffleEntered(uint256 indexed roundId, address indexed participant);
+    event RoundClosed(uint256 indexed roundId, uint256 entryCount);
+    event RoundDrawn(uint256 indexed roundId, uint256 indexed raffleId);
+    event RoundCancelled(uint256 indexed roundId);
+    event PrizePoolConfigured(
+        uint256 indexed scheduleId,
+        address indexed token,
+        uint256 entryFee,
+        uint16[] payoutBps,
+        uint16 protocolFeeBps
+    );
+    event PrizeCredited(uint256 indexed roundId, address indexed account, address indexed token, uint256 amount);
+    event EntryRefunded(uint256 indexed roundId, address indexed participant, uint256 amount);
+    event Withdrawal(address indexed account, address indexed token, uint256 amount);
+    event ProtocolFeeUpdated(uint16 protocolFeeBps);
+    event PrizeItemDeposited(
+        uint256 indexed raffleId,
+        uint256 indexed prizeIndex,
+        address indexed depositor,
+        address token,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 rank,
+        uint256 expiry
+    );
+    event PrizeItemClaimed(uint256 indexed raffleId, uint256 indexed prizeIndex, address indexed winner);
+    event PrizeItemReclaimed(uint256 indexed raffleId, uint256 indexed prizeIndex, address indexed depositor);
+    event RandomnessCoordinatorUpdated(address indexed coordinator);
+    event RaffleMetadataUpdated(uint256 indexed raffleId, string title, string uri);
     event ExecutorAdded(address indexed executor);
     event ExecutorRemoved(address indexed executor);
+    event RaffleInvalidated(uint256 indexed raffleId, address indexed by, string reason);
+    event RaffleRerun(uint256 indexed originalRaffleId, uint256 indexed raffleId);
+    event TieredRaffleExecuted(
+        uint256 indexed raffleId,
+        uint256[] participants,
+        uint256[] tierSizes,
+        uint256[] excludedRaffleIds,
+        uint256[] winners
+    );
+    event RaffleBatchExecuted(
+        address indexed executor,
+        uint256 indexed firstRaffleId,
+        uint256 raffleCount,
+        uint256 totalParticipants,
+        uint256 totalWinners
+    );
+    event ExecutorLimitsUpdated(
+        address indexed executor,
+        uint64 expiresAt,
+        uint32 maxRafflesPerDay,
+        uint32 maxParticipants
+    );
 
     error NotAuthorized();
     error InvalidNumberOfWinners();
     error InvalidParticipants();
     error ZeroAddress();
+    error InvalidWeights();
+    error InvalidMerkleRoot();
+    error InvalidCommitment();
+    error CommitmentAlreadyRevealed();
+    error RevealTooEarly();
+    error RevealExpired();
+    error CommitmentNotExpired();
+    error CommitmentAlreadyExpired();
+    error InvalidReveal();
+    error ParticipantsMismatch();
+    error CoordinatorNotSet();
+    error DuplicateRequest();
+    error OnlyCoordinator();
+    error RequestNotPending();
+    error RequestNotExpired();
+    error RaffleNotFound();
+    error InvalidDeadline();
+    error RoundNotOpen();
+    error EntryWindowOpen();
+    error RoundNotClosed();
+    error DrawTooEarly();
+    error DrawExpired();
+    error DrawNotExpired();
+    error AlreadyEntered();
+    error ScheduleNotActive();
+    error RoundNotCancelled();
+    error InvalidEntryFee();
+    error InvalidPayoutSplit();
+    error InvalidProtocolFee();
+    error InvalidPayment();
+    error NothingToClaim();
+    error TransferFailed();
+    error RaffleAlreadyDrawn();
+    error InvalidExpiry();
+    error InvalidPrizeAmount();
+    error PrizeItemNotFound();
+    error PrizeItemSettled();
+    error NotWinner();
+    error ClaimPeriodOver();
+    error ClaimPeriodActive();
+    error PrizeRaffleMismatch();
+    error ExecutorDailyLimitReached();
+    error ExecutorParticipantLimitExceeded();
+    error RaffleNotValid();
+    error RaffleNotInvalidated();
+    error SignatureExpired();
+    error EmptyBatch();
+    error InvalidTiers();
+    error InvalidExclusion();
+    error InvalidSignature();
+    /// @dev Raised by SafeERC20 in RafflePrizes, declared here to keep token transfer failures in the ABI
+    error SafeERC20FailedOperation(address token);
 
     modifier onlyExecutor() {
-        if (!raffleExecutors[msg.sender]) revert NotAuthorized();
+        _checkExecutor();
+        _;
+    }
+
+    /**
+     * @dev Restricts pausing and invalidation to the owner and auditors
+     */
+    modifier onlyAuditor() {
+        _checkAuditor();
         _;
     }
 
     /**
-     * @dev Constructor sets the deployer as owner and initial executors
+     * @dev Restricts executor management to admins, reverting like Ownable for compatibility
+     */
+    modifier onlyAdmin() {
+        _checkAdmin();
+        _;
+    }
+
+    /**
+     * @dev Constructor sets the deployer as owner and admin, and the initial executors
+     * @param _initialExecutors Array of addresses to be set as initial raffle executors
+     */
+    constructor(address[] memory _initialExecutors) Ownable(msg.sender) EIP712("OnChainRaffle", "1") {
+        _grantInitialExecutors(_initialExecutors);
+    }
+
+    /**
+     * @dev Grants EXECUTOR_ROLE to each initial executor, shared with the upgradeable initializer
      * @param _initialExecutors Array of addresses to be set as initial raffle executors
      */
-    constructor(address[] memory _initialExecutors) Ownable(msg.sender) {
+    function _grantInitialExecutors(address[] memory _initialExecutors) internal {
         for (uint256 i = 0; i < _initialExecutors.length; i++) {
             if (_initialExecutors[i] == address(0)) revert ZeroAddress();
-            raffleExecutors[_initialExecutors[i]] = true;
-            emit ExecutorAdded(_initialExecutors[i]);
+            _grantRole(EXECUTOR_ROLE, _initialExecutors[i]);
         }
     }
 
@@ -50,79 +459,911 @@ contract OnChainRaffle is Ownable {
     function executeRaffle(
         uint256[] calldata participants,
         uint256 numberOfWinners
-    ) external onlyExecutor returns (uint256[] memory winners) {
-        if (participants.length == 0) revert InvalidParticipants();
-        if (numberOfWinners == 0 || numberOfWinners > participants.length) {
-            revert InvalidNumberOfWinners();
+    ) external onlyExecutor whenNotPaused returns (uint256[] memory winners) {
+        (, winners) = _executeRaffle(msg.sender, participants, numberOfWinners);
+        return winners;
+    }
+
+    /**
+     * @dev Executes several standard raffles atomically, with consecutive IDs
+     * @param inputs Participants and number of winners of each raffle, in ID order
+     * @return winners Winners of each raffle, in input order
+     * @notice Each raffle draws from its own raffle ID, so results are independent even for
+     * identical inputs. Every raffle counts against the executor's limits and emits RaffleExecuted
+     */
+    function executeRaffles(
+        RaffleInput[] calldata inputs
+    ) external onlyExecutor whenNotPaused returns (uint256[][] memory winners) {
+        if (inputs.length == 0) revert EmptyBatch();
+
+        uint256 firstRaffleId = raffleCounter;
+        uint256 totalParticipants;
+        uint256 totalWinners;
+        winners = new uint256[][](inputs.length);
+
+        for (uint256 i = 0; i < inputs.length; i++) {
+            (, winners[i]) = _executeRaffle(msg.sender, inputs[i].participants, inputs[i].numberOfWinners);
+            totalParticipants += inputs[i].participants.length;
+            totalWinners += inputs[i].numberOfWinners;
         }
 
-        uint256 raffleId = raffleCounter++;
+        emit RaffleBatchExecuted(msg.sender, firstRaffleId, inputs.length, totalParticipants, totalWinners);
 
-        winners = new uint256[](numberOfWinners);
-        uint256[] memory tempParticipants = new uint256[](participants.length);
+        return winners;
+    }
 
-        for (uint256 i = 0; i < participants.length; i++) {
-            tempParticipants[i] = participants[i];
+    /**
+     * @dev Executes a raffle authorized by an executor's EIP-712 signature, submitted by any relayer
+     * @param executor The executor that signed the authorization
+     * @param participants Array of participant IDs/indices
+     * @param numberOfWinners Number of winners to select
+     * @param nonce The executor's current nonce, see nonces()
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature Signature over the ExecuteRaffle typed data
+     * @return winners Array of winner indices from the participants array
+     * @notice The raffle is attributed to the executor, whose limits apply and whose
+     * address seeds the draw, exactly as if it had called executeRaffle itself
+     */
+    function executeRaffleWithSignature(
+        address executor,
+        uint256[] calldata participants,
+        uint256 numberOfWinners,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external whenNotPaused returns (uint256[] memory winners) {
+        RaffleSignatures.verifyExecuteRaffle(
+            _domainSeparatorV4(),
+            executor,
+            keccak256(abi.encodePacked(participants)),
+            numberOfWinners,
+            nonce,
+            deadline,
+            signature
+        );
+        if (!isExecutor(executor)) revert NotAuthorized();
+
+        _useCheckedNonce(executor, nonce);
+
+        (, winners) = _executeRaffle(executor, participants, numberOfWinners);
+        return winners;
+    }
+
+    /**
+     * @dev Returns the EIP-712 domain separator used by executeRaffleWithSignature
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @dev Draws a standard raffle, shared by executeRaffle, executeRaffleWithSignature and rerunRaffle
+     * @param executor The executor the raffle is attributed to
+     */
+    function _executeRaffle(
+        address executor,
+        uint256[] calldata participants,
+        uint256 numberOfWinners
+    ) private returns (uint256 raffleId, uint256[] memory winners) {
+        _validateRaffle(participants.length, numberOfWinners);
+        _useExecutorQuota(executor, participants.length);
+
+        raffleId = _createRaffle(
+            executor,
+            RaffleMode.Standard,
+            participants.length,
+            keccak256(abi.encodePacked(participants))
+        );
+
+        winners = RaffleDraws.draw(raffleResults, raffleId, executor, participants, numberOfWinners, bytes32(0));
+    }
+
+    /**
+     * @dev Executes a raffle where each participant's odds are proportional to its weight
+     * @param participants Array of participant IDs/indices, normally distinct
+     * @param weights Ticket count of each participant, all non-zero
+     * @param numberOfWinners Number of distinct winners to select
+     * @return winners Array of winners in draw order
+     * @notice Winners are drawn one by one without replacement, a drawn participant's
+     * weight is removed from the pool before the next draw. A repeated ID pools the weights
+     * of its entries and wins at most once
+     */
+    function executeWeightedRaffle(
+        uint256[] calldata participants,
+        uint256[] calldata weights,
+        uint256 numberOfWinners
+    ) external onlyExecutor whenNotPaused returns (uint256[] memory winners) {
+        _validateRaffle(participants.length, numberOfWinners);
+        _useExecutorQuota(msg.sender, participants.length);
+        if (weights.length != participants.length) revert InvalidWeights();
+
+        uint256 raffleId = _createRaffle(
+            msg.sender,
+            RaffleMode.Weighted,
+            participants.length,
+            keccak256(abi.encodePacked(participants, weights))
+        );
+
+        return RaffleDraws.drawWeighted(
+            raffleResults,
+            weightedResults,
+            raffleId,
+            msg.sender,
+            participants,
+            weights,
+            numberOfWinners
+        );
+    }
+
+    /**
+     * @dev Executes a raffle with ordered prize tiers, where no participant wins more than once
+     * @param participants Array of participant IDs/indices, duplicates act as extra tickets
+     * @param tierSizes Number of winners of each tier, from the first (grand) tier down
+     * @param excludedRaffleIds Previous raffles whose winners cannot win this one
+     * @return winners Winners of all tiers, the first tierSizes[0] belong to tier 0 and so on
+     * @notice Excluded raffles must be valid, non-Merkle raffles. Gas grows with the number of
+     * participants times the number of excluded winners
+     */
+    function executeTieredRaffle(
+        uint256[] calldata participants,
+        uint256[] calldata tierSizes,
+        uint256[] calldata excludedRaffleIds
+    ) external onlyExecutor whenNotPaused returns (uint256[] memory winners) {
+        if (tierSizes.length == 0) revert InvalidTiers();
+        uint256 numberOfWinners;
+        for (uint256 i = 0; i < tierSizes.length; i++) {
+            if (tierSizes[i] == 0) revert InvalidTiers();
+            numberOfWinners += tierSizes[i];
         }
+        _validateRaffle(participants.length, numberOfWinners);
+        _useExecutorQuota(msg.sender, participants.length);
+
+        uint256 raffleId = _createRaffle(
+            msg.sender,
+            RaffleMode.Tiered,
+            participants.length,
+            keccak256(abi.encodePacked(participants))
+        );
+
+        return RaffleDraws.drawTiered(
+            raffleRecords,
+            raffleResults,
+            raffleTiers,
+            raffleId,
+            msg.sender,
+            participants,
+            tierSizes,
+            excludedRaffleIds,
+            numberOfWinners
+        );
+    }
+
+    /**
+     * @dev Executes a raffle over a Merkle-committed participant list
+     * @param participantsRoot Root of the tree of (index, participant) leaves
+     * @param participantCount Number of leaves in the tree
+     * @param numberOfWinners Number of winners to select
+     * @return winningIndices Leaf indices of the winners, provable with verifyMerkleWinner
+     * @notice Gas no longer grows with the participant count, only with the number of winners
+     */
+    function executeMerkleRaffle(
+        bytes32 participantsRoot,
+        uint256 participantCount,
+        uint256 numberOfWinners
+    ) external onlyExecutor whenNotPaused returns (uint256[] memory winningIndices) {
+        if (participantsRoot == bytes32(0)) revert InvalidMerkleRoot();
+        _validateRaffle(participantCount, numberOfWinners);
+        _useExecutorQuota(msg.sender, participantCount);
+
+        uint256 raffleId = _createRaffle(msg.sender, RaffleMode.Merkle, participantCount, participantsRoot);
+
+        return RaffleDraws.drawMerkle(
+            raffleResults,
+            raffleId,
+            msg.sender,
+            participantsRoot,
+            participantCount,
+            numberOfWinners
+        );
+    }
+
+    /**
+     * @dev Commits to a raffle seed and participant set, first phase of commit-reveal
+     * @param seedHash keccak256 hash of the secret seed revealed later
+     * @param participants Array of participant IDs/indices
+     * @param numberOfWinners Number of winners to select
+     * @return commitmentId ID to reveal the raffle with
+     */
+    function commitRaffle(
+        bytes32 seedHash,
+        uint256[] calldata participants,
+        uint256 numberOfWinners
+    ) external onlyExecutor whenNotPaused returns (uint256 commitmentId) {
+        _validateRaffle(participants.length, numberOfWinners);
+        _useExecutorQuota(msg.sender, participants.length);
 
-        // Fisher-Yates shuffle algorithm
-        uint256 remainingParticipants = participants.length;
+        commitmentId = commitmentCounter++;
+        RaffleCommitments.commit(
+            raffleCommitments,
+            commitmentId,
+            seedHash,
+            keccak256(abi.encodePacked(participants)),
+            numberOfWinners
+        );
 
-        for (uint256 i = 0; i < numberOfWinners; i++) {
-            uint256 randomIndex = _generateRandomNumber(i, remainingParticipants);
+        return commitmentId;
+    }
 
-            winners[i] = tempParticipants[randomIndex];
+    /**
+     * @dev Reveals a committed seed and draws the winners, second phase of commit-reveal
+     * @param commitmentId The ID returned by commitRaffle
+     * @param seed Secret seed whose hash was committed
+     * @param participants The exact participant array that was committed
+     * @return winners Array of winner indices from the participants array
+     * @notice Must be sent by the committing executor in a later block, within REVEAL_WINDOW blocks.
+     * The draw mixes the seed with the blockhash of the commit block, unknown at commit time
+     */
+    function revealRaffle(
+        uint256 commitmentId,
+        bytes32 seed,
+        uint256[] calldata participants
+    ) external onlyExecutor whenNotPaused returns (uint256[] memory winners) {
+        bytes32 participantsHash = keccak256(abi.encodePacked(participants));
+        (uint256 numberOfWinners, bytes32 drawSeed) = RaffleCommitments.reveal(
+            raffleCommitments,
+            commitmentId,
+            seed,
+            participantsHash,
+            raffleCounter
+        );
+
+        uint256 raffleId = _createRaffle(msg.sender, RaffleMode.CommitReveal, participants.length, participantsHash);
+
+        return RaffleDraws.draw(raffleResults, raffleId, msg.sender, participants, numberOfWinners, drawSeed);
+    }
+
+    /**
+     * @dev Records a commitment that was not revealed within REVEAL_WINDOW blocks as abandoned
+     * @param commitmentId The ID returned by commitRaffle
+     * @notice Callable by anyone, so an executor cannot silently drop a commitment with an unfavourable draw
+     */
+    function expireCommitment(uint256 commitmentId) external {
+        RaffleCommitments.expire(raffleCommitments, expiredCommitments, commitmentId);
+    }
+
+    /**
+     * @dev Gets the status of a commitment, reporting one past its reveal window as expired
+     * @param commitmentId The ID returned by commitRaffle
+     * @return The commitment status, Expired even before expireCommitment is called
+     */
+    function getCommitmentStatus(uint256 commitmentId) external view returns (CommitmentStatus) {
+        return RaffleCommitments.status(raffleCommitments[commitmentId]);
+    }
 
-            tempParticipants[randomIndex] = tempParticipants[remainingParticipants - 1];
-            remainingParticipants--;
+    /**
+     * @dev Requests randomness from the coordinator, the draw completes in rawFulfillRandomness
+     * @param participants Array of participant IDs/indices
+     * @param numberOfWinners Number of winners to select
+     * @return requestId The coordinator request ID
+     */
+    function requestRaffle(
+        uint256[] calldata participants,
+        uint256 numberOfWinners
+    ) external onlyExecutor whenNotPaused returns (uint256 requestId) {
+        _validateRaffle(participants.length, numberOfWinners);
+        _useExecutorQuota(msg.sender, participants.length);
+
+        return RaffleRequests.request(
+            raffleRequests,
+            requestParticipants,
+            randomnessCoordinator,
+            participants,
+            numberOfWinners
+        );
+    }
+
+    /**
+     * @dev Coordinator callback finishing a requested raffle
+     * @param requestId The coordinator request ID
+     * @param randomness The random word
+     * @notice Marks the request failed instead of reverting if the raffle is paused or its executor was removed
+     * meanwhile, since coordinators do not retry a reverted callback
+     */
+    function rawFulfillRandomness(uint256 requestId, uint256 randomness) external {
+        RaffleRequest storage request = raffleRequests[requestId];
+
+        if (msg.sender != request.coordinator) revert OnlyCoordinator();
+        if (request.status != RequestStatus.Pending) revert RequestNotPending();
+
+        if (paused() || !isExecutor(request.executor)) {
+            RaffleRequests.fail(raffleRequests, requestParticipants, requestId);
+            return;
         }
 
-        raffleResults[raffleId] = winners;
+        uint256[] memory participants = requestParticipants[requestId];
+
+        uint256 raffleId = _createRaffle(
+            request.executor,
+            RaffleMode.Requested,
+            participants.length,
+            keccak256(abi.encodePacked(participants))
+        );
+        request.status = RequestStatus.Fulfilled;
+        request.raffleId = raffleId;
 
-        emit RaffleExecuted(raffleId, participants, winners);
+        emit RaffleRequestFulfilled(requestId, raffleId);
+
+        RaffleDraws.draw(
+            raffleResults,
+            raffleId,
+            request.executor,
+            participants,
+            request.numberOfWinners,
+            keccak256(abi.encodePacked(randomness, requestId))
+        );
+
+        delete requestParticipants[requestId];
+    }
+
+    /**
+     * @dev Marks a randomness request that was never fulfilled as failed
+     * @param requestId The coordinator request ID
+     * @notice Callable by the requesting executor or the owner once REQUEST_TIMEOUT blocks have passed
+     */
+    function expireRaffleRequest(uint256 requestId) external {
+        RaffleRequests.expire(raffleRequests, requestParticipants, requestId, owner());
+    }
+
+    /**
+     * @dev Creates a raffle that participants enter on-chain and opens its first round
+     * @param entryDeadline Timestamp at which the first round stops accepting entries
+     * @param numberOfWinners Number of winners drawn per round, fewer if a round has fewer entries
+     * @param oneEntryPerAddress Whether an address may enter a round only once
+     * @param interval Seconds between the entry deadlines of consecutive rounds, zero for a one-off raffle
+     * @return scheduleId The ID of the schedule
+     * @notice Entrants are recorded as uint256(uint160(address))
+     */
+    function createScheduledRaffle(
+        uint64 entryDeadline,
+        uint32 numberOfWinners,
+        bool oneEntryPerAddress,
+        uint64 interval
+    ) external onlyExecutor whenNotPaused returns (uint256 scheduleId) {
+        if (numberOfWinners == 0) revert InvalidNumberOfWinners();
+
+        scheduleId = scheduleCounter;
+        _createSchedule(entryDeadline, numberOfWinners, oneEntryPerAddress, interval);
+
+        return scheduleId;
+    }
+
+    /**
+     * @dev Creates a scheduled raffle whose entrants pay an entry fee into a prize pot
+     * @param entryDeadline Timestamp at which the first round stops accepting entries
+     * @param token ERC-20 the fee is paid in, zero address for ETH
+     * @param entryFee Price of one entry
+     * @param payoutBps Share of the pot per winner rank in basis points, summing to BPS_DENOMINATOR
+     * @param oneEntryPerAddress Whether an address may enter a round only once
+     * @param interval Seconds between the entry deadlines of consecutive rounds, zero for a one-off raffle
+     * @return scheduleId The ID of the schedule
+     * @notice The current protocol fee is fixed for the schedule and taken from each pot before the split.
+     * Fee-on-transfer and rebasing tokens are not supported
+     */
+    function createPaidRaffle(
+        uint64 entryDeadline,
+        address token,
+        uint256 entryFee,
+        uint16[] calldata payoutBps,
+        bool oneEntryPerAddress,
+        uint64 interval
+    ) external onlyExecutor whenNotPaused returns (uint256 scheduleId) {
+        scheduleId = scheduleCounter;
+        RafflePrizes.configurePrizePool(prizeConfigs, scheduleId, token, entryFee, payoutBps, protocolFeeBps);
+
+        _createSchedule(entryDeadline, uint32(payoutBps.length), oneEntryPerAddress, interval);
+
+        return scheduleId;
+    }
+
+    /**
+     * @dev Stores a schedule and opens its first round
+     */
+    function _createSchedule(
+        uint64 entryDeadline,
+        uint32 numberOfWinners,
+        bool oneEntryPerAddress,
+        uint64 interval
+    ) private {
+        _useExecutorQuota(msg.sender, 0);
+
+        RaffleRounds.createSchedule(
+            raffleSchedules,
+            raffleRounds,
+            scheduleCounter++,
+            roundCounter++,
+            entryDeadline,
+            numberOfWinners,
+            oneEntryPerAddress,
+            interval
+        );
+    }
+
+    /**
+     * @dev Enters the sender into an open round
+     * @param roundId The ID of the round
+     * @notice Paid rounds take the entry fee as msg.value for ETH, or with transferFrom for ERC-20s
+     */
+    function enter(uint256 roundId) external payable whenNotPaused nonReentrant {
+        uint256 scheduleId = RaffleRounds.enter(raffleRounds, raffleSchedules, hasEntered, roundEntries, roundId);
+
+        RafflePrizes.collectEntryFee(prizeConfigs[scheduleId], roundPots, paidEntries, roundId);
+    }
+
+    /**
+     * @dev Closes a round whose entry deadline has passed
+     * @param roundId The ID of the round
+     * @notice Callable by anyone. The round's draw seed is the hash of the next block, so drawRound
+     * accepts the round from two blocks later
+     */
+    function closeRound(uint256 roundId) external whenNotPaused {
+        RaffleRounds.closeRound(raffleRounds, roundEntries, roundId);
+    }
+
+    /**
+     * @dev Draws the winners of a closed round
+     * @param roundId The ID of the round
+     * @return winners Array of winning entrants, empty if nobody entered
+     * @notice Any executor can draw, anyone once DRAW_GRACE_PERIOD has passed after the deadline. The winners
+     * only depend on the hash of the block after the close block, so the caller cannot influence them, and the
+     * draw must happen within 256 blocks of it. A round without entries is cancelled instead. Recurring
+     * schedules open their next round here
+     */
+    function drawRound(uint256 roundId) external whenNotPaused returns (uint256[] memory winners) {
+        (uint256[] memory entries, uint256 numberOfWinners, bytes32 seed) = RaffleRounds.startDraw(
+            raffleRounds,
+            raffleSchedules,
+            roundEntries,
+            roundId,
+            raffleCounter,
+            isExecutor(msg.sender)
+        );
+
+        if (entries.length > 0) {
+            uint256 raffleId = _createRaffle(
+                msg.sender,
+                RaffleMode.Scheduled,
+                entries.length,
+                keccak256(abi.encodePacked(entries))
+            );
+
+            winners = RaffleDraws.draw(raffleResults, raffleId, msg.sender, entries, numberOfWinners, seed);
+
+            if (roundPots[roundId] > 0) {
+                RafflePrizes.creditPrizes(
+                    pendingWithdrawals,
+                    roundPots,
+                    prizeConfigs[raffleRounds[roundId].scheduleId],
+                    roundId,
+                    winners,
+                    owner()
+                );
+            }
+        }
+
+        if (RaffleRounds.openNextRound(raffleRounds, raffleSchedules, roundId, roundCounter)) {
+            roundCounter++;
+        }
 
         return winners;
     }
 
     /**
-     * @dev Generates a pseudo-random number
-     * @param nonce Additional nonce for randomness
-     * @param max Maximum value (exclusive)
-     * @return Random number between 0 and max-1
-     * @notice This uses block variables for randomness
-     * 
+     * @dev Cancels a closed round that was not drawn while its draw seed was available
+     * @param roundId The ID of the round
+     * @notice Callable by anyone once the block after the close block is more than 256 blocks old, so
+     * entrants of an abandoned paid round can always claim refunds. The round's schedule is stopped as well
+     */
+    function cancelAbandonedRound(uint256 roundId) external {
+        RaffleRounds.cancelAbandonedRound(raffleRounds, raffleSchedules, roundId);
+    }
+
+    /**
+     * @dev Stops a schedule from opening new rounds and cancels its current round if undrawn
+     * @param scheduleId The ID of the schedule
+     * @notice Callable by the executor that created the schedule or the owner
+     */
+    function cancelScheduledRaffle(uint256 scheduleId) external {
+        RaffleRounds.cancelSchedule(raffleSchedules, raffleRounds, scheduleId, owner());
+    }
+
+    /**
+     * @dev Returns the entry fees paid by the sender into a cancelled round
+     * @param roundId The ID of the round
+     */
+    function claimRefund(uint256 roundId) external nonReentrant {
+        if (raffleRounds[roundId].status != RoundStatus.Cancelled) revert RoundNotCancelled();
+
+        RafflePrizes.refundEntries(prizeConfigs[raffleRounds[roundId].scheduleId], roundPots, paidEntries, roundId);
+    }
+
+    /**
+     * @dev Withdraws the sender's credited prizes and fees in one token
+     * @param token ERC-20 address, zero address for ETH
+     */
+    function withdraw(address token) external nonReentrant {
+        RafflePrizes.withdraw(pendingWithdrawals, token);
+    }
+
+    /**
+     * @dev Sets the protocol fee applied to paid raffles created from now on
+     * @param feeBps Fee in basis points, at most MAX_PROTOCOL_FEE_BPS
+     */
+    function setProtocolFee(uint16 feeBps) external onlyOwner {
+        if (feeBps > MAX_PROTOCOL_FEE_BPS) revert InvalidProtocolFee();
+
+        protocolFeeBps = feeBps;
+
+        emit ProtocolFeeUpdated(feeBps);
+    }
+
+    /**
+     * @dev Gets the prize configuration of a schedule
+     * @param scheduleId The ID of the schedule
+     * @return The token, entry fee, protocol fee and payout split, with a zero fee for free raffles
+     */
+    function getPrizeConfig(uint256 scheduleId) external view returns (PrizeConfig memory) {
+        return RafflePrizes.getPrizeConfig(prizeConfigs, scheduleId);
+    }
+
+    /**
+     * @dev Escrows an ERC-721 or ERC-1155 prize for a winner rank of a raffle that has not been drawn yet
+     * @param raffleId The ID the raffle will be drawn under, at least raffleCounter
+     * @param rank Winner rank the prize goes to, 0 for the first winner
+     * @param kind ERC721 or ERC1155
+     * @param token Token contract, approved for this contract beforehand
+     * @param tokenId Token ID
+     * @param amount Number of ERC-1155 tokens, must be 1 for ERC-721
+     * @param expiry Timestamp after which an unclaimed prize can be reclaimed by the depositor
+     * @return prizeIndex Index of the prize within the raffle's prizes
+     * @notice Winners claim with the address encoded in their participant ID, uint256(uint160(winner)),
+     * so prizes only suit raffles over address-derived IDs (not Merkle indices). The prize is only paid
+     * out if the depositor runs the raffle under that ID, otherwise the depositor can reclaim it at once
+     */
+    function depositPrizeItem(
+        uint256 raffleId,
+        uint32 rank,
+        PrizeKind kind,
+        address token,
+        uint256 tokenId,
+        uint256 amount,
+        uint64 expiry
+    ) external onlyExecutor whenNotPaused nonReentrant returns (uint256 prizeIndex) {
+        if (raffleId < raffleCounter) revert RaffleAlreadyDrawn();
+
+        return RafflePrizes.depositPrizeItem(prizeItems, raffleId, rank, kind, token, tokenId, amount, expiry);
+    }
+
+    /**
+     * @dev Sends an escrowed prize to the winner of its rank
+     * @param raffleId The ID of the raffle
+     * @param prizeIndex Index of the prize within the raffle's prizes
+     * @notice Callable by the winner until the prize's expiry, if the raffle was run by the depositor
+     */
+    function claimPrizeItem(uint256 raffleId, uint256 prizeIndex) external nonReentrant {
+        RafflePrizes.claimPrizeItem(
+            prizeItems,
+            raffleRecords[raffleId],
+            raffleResults[raffleId],
+            raffleId,
+            prizeIndex
+        );
+    }
+
+    /**
+     * @dev Returns an unclaimed prize to its depositor once it has expired, or at once if another
+     * executor ran the raffle under its ID
+     * @param raffleId The ID of the raffle
+     * @param prizeIndex Index of the prize within the raffle's prizes
+     * @notice Also recovers prizes of raffles that were never drawn or had fewer winners than the rank
+     */
+    function reclaimPrizeItem(uint256 raffleId, uint256 prizeIndex) external nonReentrant {
+        RafflePrizes.reclaimPrizeItem(
+            prizeItems,
+            raffleRecords[raffleId],
+            raffleId < raffleCounter,
+            raffleId,
+            prizeIndex
+        );
+    }
+
+    /**
+     * @dev Gets the prizes escrowed for a raffle
+     * @param raffleId The ID of the raffle
+     * @return Array of prizes in deposit order
+     */
+    function getPrizeItems(uint256 raffleId) external view returns (PrizeItem[] memory) {
+        return prizeItems[raffleId];
+    }
+
+    /**
+     * @dev Gets the status of a round, reporting an open round past its deadline as closed
+     * @param roundId The ID of the round
+     * @return The effective round status
+     */
+    function getRoundStatus(uint256 roundId) external view returns (RoundStatus) {
+        RaffleRound storage round = raffleRounds[roundId];
+
+        if (round.status == RoundStatus.Open && block.timestamp >= round.entryDeadline) {
+            return RoundStatus.Closed;
+        }
+        return round.status;
+    }
+
+    /**
+     * @dev Gets the entrants of a round in entry order
+     * @param roundId The ID of the round
+     * @return Array of entrants as uint256(uint160(address))
+     */
+    function getRoundEntries(uint256 roundId) external view returns (uint256[] memory) {
+        return roundEntries[roundId];
+    }
+
+    /**
+     * @dev Sets the optional title and URI of a raffle
+     * @param raffleId The ID of the raffle
+     * @param title Human-readable title
+     * @param uri Link to off-chain details such as the entrant list
+     * @notice Callable by the executor that ran the raffle or the owner
+     */
+    function setRaffleMetadata(
+        uint256 raffleId,
+        string calldata title,
+        string calldata uri
+    ) external whenNotPaused {
+        _checkRaffleExists(raffleId);
+
+        RaffleRecords.setMetadata(raffleRecords[raffleId], raffleId, title, uri, owner());
+    }
+
+    /**
+     * @dev Marks a raffle result as void, its record and winners stay readable
+     * @param raffleId The ID of the raffle
+     * @param reason Why the result is void, only logged
+     * @notice Callable by the owner or auditors, also while paused. Prizes already credited by a
+     * paid round are not clawed back, escrowed prize items can no longer be claimed
+     */
+    function invalidateRaffle(uint256 raffleId, string calldata reason) external onlyAuditor {
+        _checkRaffleExists(raffleId);
+
+        RaffleRecords.invalidate(raffleRecords[raffleId], raffleId, reason);
+    }
+
+    /**
+     * @dev Draws a new standard raffle in place of an invalidated one
+     * @param originalRaffleId The ID of the invalidated raffle
+     * @param participants Corrected participant IDs/indices
+     * @param numberOfWinners Number of winners to select
+     * @return raffleId The ID of the new raffle
+     * @return winners Array of winners
+     * @notice Each invalidated raffle can be rerun once, its status becomes Replaced
+     */
+    function rerunRaffle(
+        uint256 originalRaffleId,
+        uint256[] calldata participants,
+        uint256 numberOfWinners
+    ) external onlyExecutor whenNotPaused returns (uint256 raffleId, uint256[] memory winners) {
+        _checkRaffleExists(originalRaffleId);
+        if (raffleRecords[originalRaffleId].status != RaffleStatus.Invalidated) revert RaffleNotInvalidated();
+
+        (raffleId, winners) = _executeRaffle(msg.sender, participants, numberOfWinners);
+
+        RaffleRecords.recordRerun(raffleRecords, replacementOf, rerunOf, originalRaffleId, raffleId);
+
+        return (raffleId, winners);
+    }
+
+    /**
+     * @dev Gets the status of a raffle
+     * @param raffleId The ID of the raffle
+     * @return Valid, Invalidated, or Replaced once rerun
+     */
+    function getRaffleStatus(uint256 raffleId) external view returns (RaffleStatus) {
+        _checkRaffleExists(raffleId);
+        return raffleRecords[raffleId].status;
+    }
+
+    /**
+     * @dev Pauses raffle execution, entries, draws and prize deposits
+     * @notice Callable by the owner or auditors. Withdrawals, refunds, prize claims and
+     * executor management keep working while paused
+     */
+    function pause() external onlyAuditor {
+        _pause();
+    }
+
+    /**
+     * @dev Lifts a pause
+     * @notice Callable by admins only, so an auditor cannot undo another's pause on its own
+     */
+    function unpause() external onlyAdmin {
+        _unpause();
+    }
+
+    /**
+     * @dev Allocates the next raffle ID and records who ran it, when and against what input
+     * @param executor Executor credited with the raffle
+     * @param mode How the raffle is drawn
+     * @param participantCount Number of participants
+     * @param participantsHash Hash of the input (Merkle root for Merkle raffles)
+     * @return raffleId The new raffle ID
+     */
+    function _createRaffle(
+        address executor,
+        RaffleMode mode,
+        uint256 participantCount,
+        bytes32 participantsHash
+    ) private returns (uint256 raffleId) {
+        raffleId = raffleCounter++;
+
+        RaffleRecords.create(
+            raffleRecords,
+            executorRaffles,
+            raffleId,
+            executor,
+            mode,
+            participantCount,
+            participantsHash
+        );
+    }
+
+    /**
+     * @dev Counts a raffle against an executor's limits, reverting when a limit is exceeded
+     * @param executor The executor the raffle is attributed to
+     * @param participantCount Number of participants, zero when not known upfront
+     * @notice Days are UTC calendar days (block.timestamp / 1 days)
+     */
+    function _useExecutorQuota(address executor, uint256 participantCount) private {
+        RaffleRecords.useExecutorQuota(executorLimits, executorUsage, executor, participantCount);
+    }
+
+    /**
+     * @dev Reverts unless a raffle with the given ID has been drawn
+     */
+    function _checkRaffleExists(uint256 raffleId) private view {
+        if (raffleId >= raffleCounter) revert RaffleNotFound();
+    }
+
+    /**
+     * @dev Reverts unless the participant count and number of winners form a valid raffle
+     */
+    function _validateRaffle(uint256 participantCount, uint256 numberOfWinners) private pure {
+        if (participantCount == 0) revert InvalidParticipants();
+        if (numberOfWinners == 0 || numberOfWinners > participantCount) {
+            revert InvalidNumberOfWinners();
+        }
+    }
+
+    /**
+     * @dev Sets the randomness coordinator used by requestRaffle
+     * @param coordinator Coordinator address, zero disables requested raffles
+     * @notice Pending requests keep the coordinator they were made with
      */
-    function _generateRandomNumber(uint256 nonce, uint256 max) private view returns (uint256) {
-        return uint256(
-            keccak256(
-                abi.encodePacked(
-                    block.timestamp,
-                    block.prevrandao,
-                    msg.sender,
-                    nonce,
-                    raffleCounter
-                )
-            )
-        ) % max;
+    function setRandomnessCoordinator(address coordinator) external onlyOwner {
+        randomnessCoordinator = coordinator;
+        emit RandomnessCoordinatorUpdated(coordinator);
     }
 
     /**
      * @dev Adds a new raffle executor
      * @param executor Address to add as executor
+     * @notice Same as grantRole(EXECUTOR_ROLE, executor), but emits ExecutorAdded even if already an executor
      */
-    function addExecutor(address executor) external onlyOwner {
+    function addExecutor(address executor) external onlyAdmin {
         if (executor == address(0)) revert ZeroAddress();
-        raffleExecutors[executor] = true;
-        emit ExecutorAdded(executor);
+        if (!_grantRole(EXECUTOR_ROLE, executor)) {
+            emit ExecutorAdded(executor);
+        }
     }
 
     /**
      * @dev Removes a raffle executor
      * @param executor Address to remove from executors
+     * @notice Same as revokeRole(EXECUTOR_ROLE, executor), but emits ExecutorRemoved even if not an executor.
+     * Its limits are kept
+     */
+    function removeExecutor(address executor) external onlyAdmin {
+        if (!_revokeRole(EXECUTOR_ROLE, executor)) {
+            emit ExecutorRemoved(executor);
+        }
+    }
+
+    /**
+     * @dev Sets the limits of an executor
+     * @param executor Executor address
+     * @param expiresAt Timestamp from which the executor can no longer run raffles, zero for never
+     * @param maxRafflesPerDay Raffles the executor can start per UTC day, zero for unlimited
+     * @param maxParticipants Largest participant count per raffle, zero for unlimited
+     * @notice Scheduled raffles count towards the daily limit when created, their entrants are not capped
+     */
+    function setExecutorLimits(
+        address executor,
+        uint64 expiresAt,
+        uint32 maxRafflesPerDay,
+        uint32 maxParticipants
+    ) external onlyAdmin {
+        executorLimits[executor] = ExecutorLimits({
+            expiresAt: expiresAt,
+            maxRafflesPerDay: maxRafflesPerDay,
+            maxParticipants: maxParticipants
+        });
+
+        emit ExecutorLimitsUpdated(executor, expiresAt, maxRafflesPerDay, maxParticipants);
+    }
+
+    /**
+     * @dev Lists every address holding EXECUTOR_ROLE, including expired executors
+     * @return Array of executor addresses
+     */
+    function getExecutors() external view returns (address[] memory) {
+        return getRoleMembers(EXECUTOR_ROLE);
+    }
+
+    /**
+     * @dev Checks if an address holds EXECUTOR_ROLE, kept for compatibility with the former mapping
+     * @param executor Address to check
+     * @return bool indicating if the address has the role, regardless of expiry
+     */
+    function raffleExecutors(address executor) external view returns (bool) {
+        return hasRole(EXECUTOR_ROLE, executor);
+    }
+
+    /**
+     * @dev Grants a role, emitting ExecutorAdded for new executors
+     * @notice addExecutor emits ExecutorAdded itself when the role was already held
      */
-    function removeExecutor(address executor) external onlyOwner {
-        raffleExecutors[executor] = false;
-        emit ExecutorRemoved(executor);
+    function _grantRole(bytes32 role, address account) internal override returns (bool granted) {
+        granted = super._grantRole(role, account);
+        if (granted && role == EXECUTOR_ROLE) {
+            emit ExecutorAdded(account);
+        }
+    }
+
+    /**
+     * @dev Revokes a role, emitting ExecutorRemoved for removed executors
+     * @notice removeExecutor emits ExecutorRemoved itself when the role was not held
+     */
+    function _revokeRole(bytes32 role, address account) internal override returns (bool revoked) {
+        revoked = super._revokeRole(role, account);
+        if (revoked && role == EXECUTOR_ROLE) {
+            emit ExecutorRemoved(account);
+        }
+    }
+
+    /**
+     * @dev Moves DEFAULT_ADMIN_ROLE along with ownership, so the owner is always an admin
+     */
+    function _transferOwnership(address newOwner) internal override {
+        address previousOwner = owner();
+        super._transferOwnership(newOwner);
+
+        if (previousOwner != address(0)) {
+            _revokeRole(DEFAULT_ADMIN_ROLE, previousOwner);
+        }
+        if (newOwner != address(0)) {
+            _grantRole(DEFAULT_ADMIN_ROLE, newOwner);
+        }
+    }
+
+    /**
+     * @dev See {IERC165-supportsInterface}
+     */
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        override(AccessControlEnumerable, ERC1155Holder)
+        returns (bool)
+    {
+        return super.supportsInterface(interfaceId);
     }
 
 
@@ -135,12 +1376,188 @@ contract OnChainRaffle is Ownable {
         return raffleResults[raffleId];
     }
 
+    /**
+     * @dev Gets the full record of a raffle
+     * @param raffleId The ID of the raffle
+     * @return Raffle metadata together with its winners
+     */
+    function getRaffle(uint256 raffleId) public view returns (Raffle memory) {
+        _checkRaffleExists(raffleId);
+
+        RaffleRecord storage record = raffleRecords[raffleId];
+        return Raffle({
+            id: raffleId,
+            executor: record.executor,
+            blockNumber: record.blockNumber,
+            timestamp: record.timestamp,
+            participantCount: record.participantCount,
+            mode: record.mode,
+            status: record.status,
+            isRerun: record.isRerun,
+            participantsHash: record.participantsHash,
+            title: record.title,
+            uri: record.uri,
+            winners: raffleResults[raffleId]
+        });
+    }
+
+    /**
+     * @dev Lists raffles in ID order
+     * @param offset First raffle ID to return
+     * @param limit Maximum number of raffles to return
+     * @return raffles Page of raffle records, empty past the last raffle
+     */
+    function getRaffles(uint256 offset, uint256 limit) external view returns (Raffle[] memory raffles) {
+        uint256 count = _pageLength(raffleCounter, offset, limit);
+
+        raffles = new Raffle[](count);
+        for (uint256 i = 0; i < count; i++) {
+            raffles[i] = getRaffle(offset + i);
+        }
+    }
+
+    /**
+     * @dev Lists the IDs of the raffles run by an executor
+     * @param executor Executor address
+     * @param offset Position of the first ID to return
+     * @param limit Maximum number of IDs to return
+     * @return raffleIds Page of raffle IDs in execution order
+     */
+    function getRafflesByExecutor(
+        address executor,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory raffleIds) {
+        uint256[] storage ids = executorRaffles[executor];
+        uint256 count = _pageLength(ids.length, offset, limit);
+
+        raffleIds = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            raffleIds[i] = ids[offset + i];
+        }
+    }
+
+    /**
+     * @dev Gets the number of raffles run by an executor
+     * @param executor Executor address
+     * @return Number of raffles
+     */
+    function getExecutorRaffleCount(address executor) external view returns (uint256) {
+        return executorRaffles[executor].length;
+    }
+
+    /**
+     * @dev Computes the size of a page within a list of the given length
+     */
+    function _pageLength(uint256 total, uint256 offset, uint256 limit) private pure returns (uint256) {
+        if (offset >= total) return 0;
+        uint256 remaining = total - offset;
+        return remaining < limit ? remaining : limit;
+    }
+
+    /**
+     * @dev Gets the weights stored with a weighted raffle
+     * @param raffleId The ID of the raffle
+     * @return winnerWeights Weight of each winner, in the order of getRaffleWinners
+     * @return totalWeight Sum of all participant weights
+     */
+    function getRaffleWeights(uint256 raffleId)
+        external
+        view
+        returns (uint256[] memory winnerWeights, uint256 totalWeight)
+    {
+        WeightedResult storage result = weightedResults[raffleId];
+        return (result.winnerWeights, result.totalWeight);
+    }
+
+    /**
+     * @dev Gets the tier sizes of a tiered raffle
+     * @param raffleId The ID of the raffle
+     * @return tierSizes Number of winners of each tier, empty for other raffle modes
+     */
+    function getRaffleTiers(uint256 raffleId) external view returns (uint256[] memory tierSizes) {
+        return raffleTiers[raffleId];
+    }
+
+    /**
+     * @dev Gets the winners of one tier of a tiered raffle
+     * @param raffleId The ID of the raffle
+     * @param tier Tier index, 0 being the first (grand) tier
+     * @return winners Winners of the tier, in draw order
+     */
+    function getTierWinners(uint256 raffleId, uint256 tier) external view returns (uint256[] memory winners) {
+        return RaffleRecords.tierWinners(raffleTiers[raffleId], raffleResults[raffleId], tier);
+    }
+
+    /**
+     * @dev Gets the Merkle commitment of a raffle
+     * @param raffleId The ID of the raffle
+     * @return participantsRoot Root of the participant tree, zero for other raffle modes
+     * @return participantCount Number of leaves in the tree
+     */
+    function merkleRaffles(uint256 raffleId)
+        external
+        view
+        returns (bytes32 participantsRoot, uint256 participantCount)
+    {
+        RaffleRecord storage record = raffleRecords[raffleId];
+        if (record.mode != RaffleMode.Merkle) return (bytes32(0), 0);
+        return (record.participantsHash, record.participantCount);
+    }
+
+    /**
+     * @dev Proves that a participant won a Merkle raffle
+     * @param raffleId The ID of the Merkle raffle
+     * @param rank Position of the winner in the raffle's winning indices
+     * @param participant Participant ID stored in the leaf
+     * @param proof Merkle proof of the (index, participant) leaf
+     * @return bool indicating if the participant holds the winning index at that rank
+     */
+    function verifyMerkleWinner(
+        uint256 raffleId,
+        uint256 rank,
+        uint256 participant,
+        bytes32[] calldata proof
+    ) external view returns (bool) {
+        return RaffleRecords.verifyMerkleWinner(
+            raffleRecords[raffleId],
+            raffleResults[raffleId],
+            rank,
+            participant,
+            proof
+        );
+    }
+
+    /**
+     * @dev Reverts unless the sender is an authorized executor, shared by onlyExecutor to keep the bytecode small
+     */
+    function _checkExecutor() private view {
+        if (!isExecutor(msg.sender)) revert NotAuthorized();
+    }
+
+    /**
+     * @dev Reverts unless the sender is the owner or an auditor
+     */
+    function _checkAuditor() private view {
+        if (msg.sender != owner() && !hasRole(AUDITOR_ROLE, msg.sender)) revert NotAuthorized();
+    }
+
+    /**
+     * @dev Reverts unless the sender is an admin
+     */
+    function _checkAdmin() private view {
+        if (!hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) revert OwnableUnauthorizedAccount(msg.sender);
+    }
+
     /**
      * @dev Checks if an address is an authorized executor
      * @param executor Address to check
-     * @return bool indicating if the address is an executor
+     * @return bool indicating if the address holds EXECUTOR_ROLE and has not expired
      */
-    function isExecutor(address executor) external view returns (bool) {
-        return raffleExecutors[executor];
+    function isExecutor(address executor) public view returns (bool) {
+        if (!hasRole(EXECUTOR_ROLE, executor)) return false;
+
+        uint64 expiresAt = executorLimits[executor].expiresAt;
+        return expiresAt == 0 || block.timestamp < expiresAt;
     }
 }
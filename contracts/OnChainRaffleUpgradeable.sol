@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import "./OnChainRaffle.sol";
+
+/**
+ * @title OnChainRaffleUpgradeable
+ * @dev UUPS-upgradeable OnChainRaffle, deployed behind an ERC1967Proxy and set up with initialize
+ * @notice Storage is inherited unchanged from OnChainRaffle. New state variables must be appended
+ * after the existing ones in OnChainRaffle or in a derived contract, never inserted or reordered
+ */
+contract OnChainRaffleUpgradeable is OnChainRaffle, Initializable, UUPSUpgradeable {
+    /**
+     * @dev Locks the implementation, which has no owner and cannot be initialized
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor() OnChainRaffle(new address[](0)) {
+        _transferOwnership(address(0));
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Replaces the constructor for proxies, sets the owner and admin, and the initial executors
+     * @param initialOwner Owner and first admin of the proxy
+     * @param initialExecutors Array of addresses to be set as initial raffle executors
+     */
+    function initialize(address initialOwner, address[] calldata initialExecutors) external initializer {
+        if (initialOwner == address(0)) revert OwnableInvalidOwner(address(0));
+
+        _transferOwnership(initialOwner);
+        _grantInitialExecutors(initialExecutors);
+    }
+
+    /**
+     * @dev Restricts upgradeToAndCall to the owner
+     */
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
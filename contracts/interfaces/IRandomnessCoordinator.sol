@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title IRandomnessCoordinator
+ * @dev Minimal VRF-style coordinator that delivers randomness asynchronously
+ * @notice The coordinator answers a request by calling rawFulfillRandomness on the requester
+ */
+interface IRandomnessCoordinator {
+    /**
+     * @dev Requests a random word for the caller
+     * @return requestId ID passed back with the randomness
+     */
+    function requestRandomness() external returns (uint256 requestId);
+}
+
+/**
+ * @title IRandomnessConsumer
+ * @dev Callback implemented by contracts that request randomness from a coordinator
+ */
+interface IRandomnessConsumer {
+    /**
+     * @dev Receives the randomness for a request, only callable by the coordinator
+     * @param requestId ID returned by requestRandomness
+     * @param randomness The random word
+     */
+    function rawFulfillRandomness(uint256 requestId, uint256 randomness) external;
+}
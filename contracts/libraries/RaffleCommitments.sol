@@ -0,0 +1,114 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../OnChainRaffle.sol";
+
+/**
+ * @title RaffleCommitments
+ * @dev Commit-reveal bookkeeping of OnChainRaffle: commitments, reveal checks and expiry
+ * @notice Runs in the raffle's context through delegatecall, on the storage the raffle passes in.
+ * Access control and executor limits stay with the raffle's external functions
+ */
+library RaffleCommitments {
+    /// @dev Blocks after the commit block during which a reveal is accepted, exposed as OnChainRaffle.REVEAL_WINDOW
+    uint256 internal constant REVEAL_WINDOW = 256;
+
+    /**
+     * @dev Records a commitment of the sender
+     * @param raffleCommitments The raffle's commitments
+     * @param commitmentId The ID the commitment is stored under
+     * @param seedHash keccak256 hash of the secret seed revealed later
+     * @param participantsHash Hash of the committed participant array
+     * @param numberOfWinners Number of winners to select
+     */
+    function commit(
+        mapping(uint256 => OnChainRaffle.RaffleCommitment) storage raffleCommitments,
+        uint256 commitmentId,
+        bytes32 seedHash,
+        bytes32 participantsHash,
+        uint256 numberOfWinners
+    ) external {
+        raffleCommitments[commitmentId] = OnChainRaffle.RaffleCommitment({
+            executor: msg.sender,
+            seedHash: seedHash,
+            participantsHash: participantsHash,
+            numberOfWinners: numberOfWinners,
+            commitBlock: block.number,
+            revealed: false,
+            raffleId: 0
+        });
+
+        emit OnChainRaffle.RaffleCommitted(commitmentId, msg.sender, seedHash, participantsHash, numberOfWinners);
+    }
+
+    /**
+     * @dev Checks a reveal by the committing executor and marks the commitment revealed
+     * @param raffleCommitments The raffle's commitments
+     * @param commitmentId The ID returned by commitRaffle
+     * @param seed Secret seed whose hash was committed
+     * @param participantsHash Hash of the revealed participant array
+     * @param raffleId The ID the raffle is about to be drawn under
+     * @return numberOfWinners The committed number of winners
+     * @return drawSeed The seed mixed with the blockhash of the commit block
+     */
+    function reveal(
+        mapping(uint256 => OnChainRaffle.RaffleCommitment) storage raffleCommitments,
+        uint256 commitmentId,
+        bytes32 seed,
+        bytes32 participantsHash,
+        uint256 raffleId
+    ) external returns (uint256 numberOfWinners, bytes32 drawSeed) {
+        OnChainRaffle.RaffleCommitment storage commitment = raffleCommitments[commitmentId];
+
+        if (commitment.executor != msg.sender) revert OnChainRaffle.InvalidCommitment();
+        if (commitment.revealed) revert OnChainRaffle.CommitmentAlreadyRevealed();
+        if (block.number <= commitment.commitBlock) revert OnChainRaffle.RevealTooEarly();
+        if (block.number - commitment.commitBlock > REVEAL_WINDOW) revert OnChainRaffle.RevealExpired();
+        if (keccak256(abi.encodePacked(seed)) != commitment.seedHash) revert OnChainRaffle.InvalidReveal();
+        if (participantsHash != commitment.participantsHash) revert OnChainRaffle.ParticipantsMismatch();
+
+        commitment.revealed = true;
+        commitment.raffleId = raffleId;
+
+        emit OnChainRaffle.RaffleRevealed(commitmentId, raffleId, seed);
+
+        return (commitment.numberOfWinners, keccak256(abi.encodePacked(seed, blockhash(commitment.commitBlock))));
+    }
+
+    /**
+     * @dev Records a commitment that was not revealed within REVEAL_WINDOW blocks as abandoned
+     * @param raffleCommitments The raffle's commitments
+     * @param expiredCommitments The raffle's expiry markers
+     * @param commitmentId The ID returned by commitRaffle
+     */
+    function expire(
+        mapping(uint256 => OnChainRaffle.RaffleCommitment) storage raffleCommitments,
+        mapping(uint256 => bool) storage expiredCommitments,
+        uint256 commitmentId
+    ) external {
+        OnChainRaffle.RaffleCommitment storage commitment = raffleCommitments[commitmentId];
+
+        if (commitment.executor == address(0)) revert OnChainRaffle.InvalidCommitment();
+        if (commitment.revealed) revert OnChainRaffle.CommitmentAlreadyRevealed();
+        if (expiredCommitments[commitmentId]) revert OnChainRaffle.CommitmentAlreadyExpired();
+        if (block.number - commitment.commitBlock <= REVEAL_WINDOW) revert OnChainRaffle.CommitmentNotExpired();
+
+        expiredCommitments[commitmentId] = true;
+
+        emit OnChainRaffle.CommitmentExpired(commitmentId, commitment.executor);
+    }
+
+    /**
+     * @dev Gets the status of a commitment, see OnChainRaffle.getCommitmentStatus
+     * @param commitment The stored commitment
+     * @return The commitment status, Expired once its reveal window has passed
+     */
+    function status(
+        OnChainRaffle.RaffleCommitment storage commitment
+    ) external view returns (OnChainRaffle.CommitmentStatus) {
+        if (commitment.executor == address(0)) return OnChainRaffle.CommitmentStatus.None;
+        if (commitment.revealed) return OnChainRaffle.CommitmentStatus.Revealed;
+        if (block.number - commitment.commitBlock > REVEAL_WINDOW) return OnChainRaffle.CommitmentStatus.Expired;
+        return OnChainRaffle.CommitmentStatus.Pending;
+    }
+}
@@ -0,0 +1,428 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../OnChainRaffle.sol";
+
+/**
+ * @title RaffleDraws
+ * @dev Winner selection of OnChainRaffle, deployed once and linked to keep the raffle under the code size limit
+ * @notice Unseeded draws mix the block timestamp, prevrandao, the executor and the raffle count into each
+ * random number, so results only match a replay with the same inputs (see lib/verifier.js)
+ */
+library RaffleDraws {
+    /**
+     * @dev Draws a standard raffle, stores its winners and emits RaffleExecuted
+     * @param raffleResults The raffle's stored winners
+     * @param raffleId The ID allocated to the raffle
+     * @param executor The executor the draw is attributed to, mixed into unseeded randomness
+     * @param participants Array of participant IDs/indices
+     * @param numberOfWinners Number of winners to select
+     * @param seed Draw seed, zero to use block variables
+     * @return winners Array of winners from the participants array
+     */
+    function draw(
+        mapping(uint256 => uint256[]) storage raffleResults,
+        uint256 raffleId,
+        address executor,
+        uint256[] calldata participants,
+        uint256 numberOfWinners,
+        bytes32 seed
+    ) external returns (uint256[] memory winners) {
+        winners = _selectWinners(executor, raffleId + 1, participants, numberOfWinners, seed);
+
+        raffleResults[raffleId] = winners;
+
+        emit OnChainRaffle.RaffleExecuted(raffleId, participants, winners);
+    }
+
+    /**
+     * @dev Draws a weighted raffle, stores its winners and weights and emits WeightedRaffleExecuted
+     * @param raffleResults The raffle's stored winners
+     * @param weightedResults The raffle's stored weights
+     * @param raffleId The ID allocated to the raffle
+     * @param executor The executor the draw is attributed to, mixed into the randomness
+     * @param participants Array of participant IDs/indices
+     * @param weights Ticket count of each participant, all non-zero
+     * @param numberOfWinners Number of distinct winners to select
+     * @return winners Array of winners in draw order
+     * @notice A drawn participant's weight is removed from the pool before the next draw, together
+     * with the weight of any other entry with the same ID
+     */
+    function drawWeighted(
+        mapping(uint256 => uint256[]) storage raffleResults,
+        mapping(uint256 => OnChainRaffle.WeightedResult) storage weightedResults,
+        uint256 raffleId,
+        address executor,
+        uint256[] calldata participants,
+        uint256[] calldata weights,
+        uint256 numberOfWinners
+    ) external returns (uint256[] memory winners) {
+        uint256[] memory winnerWeights;
+        uint256 totalWeight;
+        (winners, winnerWeights, totalWeight) = _selectWeighted(
+            executor,
+            raffleId + 1,
+            participants,
+            weights,
+            numberOfWinners
+        );
+
+        raffleResults[raffleId] = winners;
+        weightedResults[raffleId] = OnChainRaffle.WeightedResult({
+            totalWeight: totalWeight,
+            winnerWeights: winnerWeights
+        });
+
+        emit OnChainRaffle.WeightedRaffleExecuted(raffleId, participants, weights, winners);
+    }
+
+    /**
+     * @dev Draws a tiered raffle without the winners of earlier raffles, stores its winners and tiers
+     * and emits TieredRaffleExecuted
+     * @param raffleRecords The raffle's records, to check each excluded raffle
+     * @param raffleResults The raffle's stored winners
+     * @param raffleTiers The raffle's stored tier sizes
+     * @param raffleId The ID allocated to the raffle, excluded raffles must be older
+     * @param executor The executor the draw is attributed to, mixed into the randomness
+     * @param participants Array of participant IDs/indices, duplicates act as extra tickets
+     * @param tierSizes Number of winners of each tier, summing to numberOfWinners
+     * @param excludedRaffleIds Previous raffles whose winners cannot win this one
+     * @param numberOfWinners Total number of distinct winners to select
+     * @return winners Winners of all tiers, in tier order
+     */
+    function drawTiered(
+        mapping(uint256 => OnChainRaffle.RaffleRecord) storage raffleRecords,
+        mapping(uint256 => uint256[]) storage raffleResults,
+        mapping(uint256 => uint256[]) storage raffleTiers,
+        uint256 raffleId,
+        address executor,
+        uint256[] calldata participants,
+        uint256[] calldata tierSizes,
+        uint256[] calldata excludedRaffleIds,
+        uint256 numberOfWinners
+    ) external returns (uint256[] memory winners) {
+        (uint256[] memory eligible, uint256 eligibleCount) = _excludeWinners(
+            raffleRecords,
+            raffleResults,
+            raffleId,
+            participants,
+            excludedRaffleIds
+        );
+
+        winners = _selectDistinctWinners(executor, raffleId + 1, eligible, eligibleCount, numberOfWinners);
+
+        raffleResults[raffleId] = winners;
+        raffleTiers[raffleId] = tierSizes;
+
+        emit OnChainRaffle.TieredRaffleExecuted(raffleId, participants, tierSizes, excludedRaffleIds, winners);
+    }
+
+    /**
+     * @dev Draws the winning leaf indices of a Merkle raffle, stores them and emits MerkleRaffleExecuted
+     * @param raffleResults The raffle's stored winners
+     * @param raffleId The ID allocated to the raffle
+     * @param executor The executor the draw is attributed to, mixed into the randomness
+     * @param participantsRoot Root of the tree of (index, participant) leaves
+     * @param participantCount Number of leaves in the tree
+     * @param numberOfWinners Number of winners to select
+     * @return winningIndices Leaf indices of the winners
+     */
+    function drawMerkle(
+        mapping(uint256 => uint256[]) storage raffleResults,
+        uint256 raffleId,
+        address executor,
+        bytes32 participantsRoot,
+        uint256 participantCount,
+        uint256 numberOfWinners
+    ) external returns (uint256[] memory winningIndices) {
+        winningIndices = _selectIndices(executor, raffleId + 1, participantCount, numberOfWinners, bytes32(0));
+
+        raffleResults[raffleId] = winningIndices;
+
+        emit OnChainRaffle.MerkleRaffleExecuted(raffleId, participantsRoot, participantCount, winningIndices);
+    }
+
+    /**
+     * @dev Selects winners with a partial Fisher-Yates shuffle
+     * @param executor The executor the draw is attributed to, mixed into unseeded randomness
+     * @param raffleCount Value of raffleCounter during the draw, mixed into unseeded randomness
+     * @param participants Array of participant IDs/indices, shuffled in place
+     * @param numberOfWinners Number of winners to select
+     * @param seed Draw seed, zero to use block variables
+     * @return winners Array of selected participants
+     */
+    function _selectWinners(
+        address executor,
+        uint256 raffleCount,
+        uint256[] memory participants,
+        uint256 numberOfWinners,
+        bytes32 seed
+    ) private view returns (uint256[] memory winners) {
+        winners = new uint256[](numberOfWinners);
+
+        // Fisher-Yates shuffle algorithm
+        uint256 remainingParticipants = participants.length;
+
+        for (uint256 i = 0; i < numberOfWinners; i++) {
+            uint256 randomIndex = seed == bytes32(0)
+                ? _generateRandomNumber(executor, raffleCount, i, remainingParticipants)
+                : _seededRandomNumber(seed, i, remainingParticipants);
+
+            winners[i] = participants[randomIndex];
+
+            participants[randomIndex] = participants[remainingParticipants - 1];
+            remainingParticipants--;
+        }
+    }
+
+    /**
+     * @dev Draws winners one by one without replacement, each with odds proportional to its remaining weight
+     * @param executor The executor the draw is attributed to, mixed into the randomness
+     * @param raffleCount Value of raffleCounter during the draw, mixed into the randomness
+     * @param participants Array of participant IDs/indices
+     * @param remainingWeights Ticket count of each participant, zeroed as participants win
+     * @param numberOfWinners Number of distinct winners to select
+     * @return winners Array of winners in draw order
+     * @return winnerWeights Weight of each winner when drawn
+     * @return totalWeight Sum of all participant weights
+     */
+    function _selectWeighted(
+        address executor,
+        uint256 raffleCount,
+        uint256[] memory participants,
+        uint256[] memory remainingWeights,
+        uint256 numberOfWinners
+    ) private view returns (uint256[] memory winners, uint256[] memory winnerWeights, uint256 totalWeight) {
+        for (uint256 i = 0; i < remainingWeights.length; i++) {
+            if (remainingWeights[i] == 0) revert OnChainRaffle.InvalidWeights();
+            totalWeight += remainingWeights[i];
+        }
+
+        winners = new uint256[](numberOfWinners);
+        winnerWeights = new uint256[](numberOfWinners);
+        uint256 remainingWeight = totalWeight;
+
+        for (uint256 i = 0; i < numberOfWinners; i++) {
+            uint256 ticket = _generateRandomNumber(executor, raffleCount, i, remainingWeight);
+
+            uint256 index;
+            while (ticket >= remainingWeights[index]) {
+                ticket -= remainingWeights[index];
+                index++;
+            }
+
+            winners[i] = participants[index];
+            winnerWeights[i] = _removeWeight(participants, remainingWeights, winners[i]);
+            remainingWeight -= winnerWeights[i];
+
+            if (remainingWeight == 0 && i + 1 < numberOfWinners) revert OnChainRaffle.InvalidNumberOfWinners();
+        }
+    }
+
+    /**
+     * @dev Removes the winners of previous raffles from a participant list
+     * @param raffleRecords The raffle's records, to check each excluded raffle
+     * @param raffleResults The raffle's stored winners
+     * @param raffleId The ID of the raffle being drawn, excluded IDs must be below it
+     * @param participants Array of participant IDs/indices
+     * @param excludedRaffleIds Raffles whose stored winners are removed
+     * @return eligible Remaining participants in input order, followed by unused slots
+     * @return eligibleCount Number of remaining participants
+     */
+    function _excludeWinners(
+        mapping(uint256 => OnChainRaffle.RaffleRecord) storage raffleRecords,
+        mapping(uint256 => uint256[]) storage raffleResults,
+        uint256 raffleId,
+        uint256[] memory participants,
+        uint256[] memory excludedRaffleIds
+    ) private view returns (uint256[] memory eligible, uint256 eligibleCount) {
+        uint256 excludedCount;
+        for (uint256 i = 0; i < excludedRaffleIds.length; i++) {
+            uint256 excludedId = excludedRaffleIds[i];
+            if (excludedId >= raffleId) revert OnChainRaffle.RaffleNotFound();
+
+            OnChainRaffle.RaffleRecord storage record = raffleRecords[excludedId];
+            if (record.status != OnChainRaffle.RaffleStatus.Valid) revert OnChainRaffle.RaffleNotValid();
+            // Merkle results are leaf indices, not participant IDs
+            if (record.mode == OnChainRaffle.RaffleMode.Merkle) revert OnChainRaffle.InvalidExclusion();
+
+            excludedCount += raffleResults[excludedId].length;
+        }
+
+        uint256[] memory excluded = new uint256[](excludedCount);
+        uint256 position;
+        for (uint256 i = 0; i < excludedRaffleIds.length; i++) {
+            uint256[] storage previousWinners = raffleResults[excludedRaffleIds[i]];
+            for (uint256 j = 0; j < previousWinners.length; j++) {
+                excluded[position++] = previousWinners[j];
+            }
+        }
+
+        eligible = new uint256[](participants.length);
+        for (uint256 i = 0; i < participants.length; i++) {
+            if (!_contains(excluded, excludedCount, participants[i])) {
+                eligible[eligibleCount++] = participants[i];
+            }
+        }
+    }
+
+    /**
+     * @dev Selects winners with a partial Fisher-Yates shuffle, skipping IDs that already won
+     * @param executor The executor the draw is attributed to, mixed into the randomness
+     * @param raffleCount Value of raffleCounter during the draw, mixed into the randomness
+     * @param participants Array of participant IDs/indices, shuffled in place
+     * @param participantCount Number of leading entries of participants in the draw
+     * @param numberOfWinners Number of distinct winners to select
+     * @return winners Array of distinct winners, identical to _selectWinners without duplicates
+     * @notice Reverts with InvalidNumberOfWinners when fewer distinct participants remain
+     */
+    function _selectDistinctWinners(
+        address executor,
+        uint256 raffleCount,
+        uint256[] memory participants,
+        uint256 participantCount,
+        uint256 numberOfWinners
+    ) private view returns (uint256[] memory winners) {
+        winners = new uint256[](numberOfWinners);
+
+        uint256 remainingParticipants = participantCount;
+        uint256 selected;
+        uint256 nonce;
+
+        while (selected < numberOfWinners) {
+            if (remainingParticipants == 0) revert OnChainRaffle.InvalidNumberOfWinners();
+
+            uint256 randomIndex = _generateRandomNumber(executor, raffleCount, nonce++, remainingParticipants);
+            uint256 candidate = participants[randomIndex];
+
+            participants[randomIndex] = participants[remainingParticipants - 1];
+            remainingParticipants--;
+
+            if (!_contains(winners, selected, candidate)) {
+                winners[selected++] = candidate;
+            }
+        }
+    }
+
+    /**
+     * @dev Selects distinct indices in [0, count) with a sparse Fisher-Yates shuffle
+     * @param executor The executor the draw is attributed to, mixed into unseeded randomness
+     * @param raffleCount Value of raffleCounter during the draw, mixed into unseeded randomness
+     * @param count Size of the index range
+     * @param numberOfWinners Number of indices to select
+     * @param seed Draw seed, zero to use block variables
+     * @return indices Selected indices, identical to shuffling the array [0, count)
+     * @notice Only displaced positions are tracked, so memory grows with numberOfWinners
+     */
+    function _selectIndices(
+        address executor,
+        uint256 raffleCount,
+        uint256 count,
+        uint256 numberOfWinners,
+        bytes32 seed
+    ) private view returns (uint256[] memory indices) {
+        indices = new uint256[](numberOfWinners);
+        uint256[] memory swappedPositions = new uint256[](numberOfWinners);
+        uint256[] memory swappedValues = new uint256[](numberOfWinners);
+        uint256 swapped;
+
+        uint256 remaining = count;
+
+        for (uint256 i = 0; i < numberOfWinners; i++) {
+            uint256 randomIndex = seed == bytes32(0)
+                ? _generateRandomNumber(executor, raffleCount, i, remaining)
+                : _seededRandomNumber(seed, i, remaining);
+
+            uint256 slot = swapped;
+            for (uint256 j = 0; j < swapped; j++) {
+                if (swappedPositions[j] == randomIndex) {
+                    slot = j;
+                    break;
+                }
+            }
+            indices[i] = slot < swapped ? swappedValues[slot] : randomIndex;
+
+            // Move the last remaining position into the drawn one
+            uint256 lastValue = remaining - 1;
+            for (uint256 j = 0; j < swapped; j++) {
+                if (swappedPositions[j] == remaining - 1) {
+                    lastValue = swappedValues[j];
+                    break;
+                }
+            }
+
+            if (slot == swapped) {
+                swappedPositions[swapped] = randomIndex;
+                swapped++;
+            }
+            swappedValues[slot] = lastValue;
+            remaining--;
+        }
+    }
+
+    /**
+     * @dev Zeroes the remaining weight of every entry of a participant, so a repeated ID cannot win twice
+     * @return removed The participant's combined remaining weight
+     */
+    function _removeWeight(
+        uint256[] memory participants,
+        uint256[] memory remainingWeights,
+        uint256 participant
+    ) private pure returns (uint256 removed) {
+        for (uint256 i = 0; i < participants.length; i++) {
+            if (participants[i] == participant) {
+                removed += remainingWeights[i];
+                remainingWeights[i] = 0;
+            }
+        }
+    }
+
+    /**
+     * @dev Returns true when value is among the first length elements of values
+     */
+    function _contains(uint256[] memory values, uint256 length, uint256 value) private pure returns (bool) {
+        for (uint256 i = 0; i < length; i++) {
+            if (values[i] == value) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @dev Generates a pseudo-random number
+     * @param executor The executor the draw is attributed to
+     * @param raffleCount Value of raffleCounter during the draw
+     * @param nonce Additional nonce for randomness
+     * @param max Maximum value (exclusive)
+     * @return Random number between 0 and max-1
+     * @notice This uses block variables for randomness
+     */
+    function _generateRandomNumber(
+        address executor,
+        uint256 raffleCount,
+        uint256 nonce,
+        uint256 max
+    ) private view returns (uint256) {
+        return uint256(
+            keccak256(
+                abi.encodePacked(
+                    block.timestamp,
+                    block.prevrandao,
+                    executor,
+                    nonce,
+                    raffleCount
+                )
+            )
+        ) % max;
+    }
+
+    /**
+     * @dev Derives a random number from a committed seed
+     * @param seed Draw seed
+     * @param nonce Position in the draw
+     * @param max Maximum value (exclusive)
+     * @return Random number between 0 and max-1
+     */
+    function _seededRandomNumber(bytes32 seed, uint256 nonce, uint256 max) private pure returns (uint256) {
+        return uint256(keccak256(abi.encodePacked(seed, nonce))) % max;
+    }
+}
@@ -0,0 +1,328 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "../OnChainRaffle.sol";
+
+/**
+ * @title RafflePrizes
+ * @dev Prize escrow of OnChainRaffle: paid raffle pots, withdrawals and ERC-721/ERC-1155 prize items
+ * @notice Runs in the raffle's context through delegatecall, on the storage the raffle passes in.
+ * Access control and reentrancy protection stay with the raffle's external functions
+ */
+library RafflePrizes {
+    using SafeERC20 for IERC20;
+
+    /// @dev Denominator of payout splits and the protocol fee, exposed as OnChainRaffle.BPS_DENOMINATOR
+    uint256 internal constant BPS_DENOMINATOR = 10_000;
+
+    /**
+     * @dev Validates and stores the prize configuration of a paid schedule
+     * @param prizeConfigs The raffle's prize configurations
+     * @param scheduleId The ID the schedule is created under
+     * @param token ERC-20 the fee is paid in, zero address for ETH
+     * @param entryFee Price of one entry
+     * @param payoutBps Share of the pot per winner rank in basis points, summing to BPS_DENOMINATOR
+     * @param protocolFeeBps Current protocol fee, fixed for the schedule
+     */
+    function configurePrizePool(
+        mapping(uint256 => OnChainRaffle.PrizeConfig) storage prizeConfigs,
+        uint256 scheduleId,
+        address token,
+        uint256 entryFee,
+        uint16[] calldata payoutBps,
+        uint16 protocolFeeBps
+    ) external {
+        if (entryFee == 0) revert OnChainRaffle.InvalidEntryFee();
+        if (payoutBps.length == 0) revert OnChainRaffle.InvalidPayoutSplit();
+
+        uint256 total;
+        for (uint256 i = 0; i < payoutBps.length; i++) {
+            if (payoutBps[i] == 0) revert OnChainRaffle.InvalidPayoutSplit();
+            total += payoutBps[i];
+        }
+        if (total != BPS_DENOMINATOR) revert OnChainRaffle.InvalidPayoutSplit();
+
+        prizeConfigs[scheduleId] = OnChainRaffle.PrizeConfig({
+            token: token,
+            entryFee: entryFee,
+            protocolFeeBps: protocolFeeBps,
+            payoutBps: payoutBps
+        });
+
+        emit OnChainRaffle.PrizePoolConfigured(scheduleId, token, entryFee, payoutBps, protocolFeeBps);
+    }
+
+    /**
+     * @dev Takes the entry fee of one entry into a round's pot
+     * @param prize Prize configuration of the round's schedule, with a zero fee for free raffles
+     * @param roundPots The raffle's round pots
+     * @param paidEntries The raffle's paid entry counts
+     * @param roundId The ID of the round
+     * @notice ETH fees are paid as msg.value, ERC-20 fees with transferFrom
+     */
+    function collectEntryFee(
+        OnChainRaffle.PrizeConfig storage prize,
+        mapping(uint256 => uint256) storage roundPots,
+        mapping(uint256 => mapping(address => uint256)) storage paidEntries,
+        uint256 roundId
+    ) external {
+        if (prize.entryFee == 0) {
+            if (msg.value != 0) revert OnChainRaffle.InvalidPayment();
+        } else if (prize.token == address(0)) {
+            if (msg.value != prize.entryFee) revert OnChainRaffle.InvalidPayment();
+        } else {
+            if (msg.value != 0) revert OnChainRaffle.InvalidPayment();
+            IERC20(prize.token).safeTransferFrom(msg.sender, address(this), prize.entryFee);
+        }
+
+        if (prize.entryFee > 0) {
+            roundPots[roundId] += prize.entryFee;
+            paidEntries[roundId][msg.sender]++;
+        }
+    }
+
+    /**
+     * @dev Splits a drawn round's pot between the protocol fee and the winners
+     * @param pendingWithdrawals The raffle's withdrawable balances
+     * @param roundPots The raffle's round pots
+     * @param prize Prize configuration of the round's schedule
+     * @param roundId The ID of the round
+     * @param winners Winners of the round, in rank order
+     * @param feeRecipient Account credited with the protocol fee, the raffle's owner
+     * @notice With fewer winners than payout ranks, the drawn ranks share the pot in proportion
+     * to their splits. Rounding dust goes to the first rank
+     */
+    function creditPrizes(
+        mapping(address => mapping(address => uint256)) storage pendingWithdrawals,
+        mapping(uint256 => uint256) storage roundPots,
+        OnChainRaffle.PrizeConfig storage prize,
+        uint256 roundId,
+        uint256[] memory winners,
+        address feeRecipient
+    ) external {
+        uint256 pot = roundPots[roundId];
+        roundPots[roundId] = 0;
+
+        uint256 fee = (pot * prize.protocolFeeBps) / BPS_DENOMINATOR;
+        if (fee > 0) {
+            pendingWithdrawals[prize.token][feeRecipient] += fee;
+            emit OnChainRaffle.PrizeCredited(roundId, feeRecipient, prize.token, fee);
+        }
+
+        uint256 net = pot - fee;
+        uint256 splitTotal;
+        for (uint256 i = 0; i < winners.length; i++) {
+            splitTotal += prize.payoutBps[i];
+        }
+
+        uint256[] memory amounts = new uint256[](winners.length);
+        uint256 credited;
+        for (uint256 i = 1; i < winners.length; i++) {
+            amounts[i] = (net * prize.payoutBps[i]) / splitTotal;
+            credited += amounts[i];
+        }
+        amounts[0] = net - credited;
+
+        for (uint256 i = 0; i < winners.length; i++) {
+            address winner = address(uint160(winners[i]));
+            pendingWithdrawals[prize.token][winner] += amounts[i];
+            emit OnChainRaffle.PrizeCredited(roundId, winner, prize.token, amounts[i]);
+        }
+    }
+
+    /**
+     * @dev Returns the entry fees paid by the sender into a cancelled round
+     * @param prize Prize configuration of the round's schedule
+     * @param roundPots The raffle's round pots
+     * @param paidEntries The raffle's paid entry counts
+     * @param roundId The ID of the cancelled round
+     */
+    function refundEntries(
+        OnChainRaffle.PrizeConfig storage prize,
+        mapping(uint256 => uint256) storage roundPots,
+        mapping(uint256 => mapping(address => uint256)) storage paidEntries,
+        uint256 roundId
+    ) external {
+        uint256 entries = paidEntries[roundId][msg.sender];
+        if (entries == 0) revert OnChainRaffle.NothingToClaim();
+
+        uint256 amount = entries * prize.entryFee;
+
+        paidEntries[roundId][msg.sender] = 0;
+        roundPots[roundId] -= amount;
+
+        emit OnChainRaffle.EntryRefunded(roundId, msg.sender, amount);
+
+        _transferOut(prize.token, msg.sender, amount);
+    }
+
+    /**
+     * @dev Copies a schedule's prize configuration to memory, see OnChainRaffle.getPrizeConfig
+     * @param prizeConfigs The raffle's prize configurations
+     * @param scheduleId The ID of the schedule
+     * @return The token, entry fee, protocol fee and payout split
+     */
+    function getPrizeConfig(
+        mapping(uint256 => OnChainRaffle.PrizeConfig) storage prizeConfigs,
+        uint256 scheduleId
+    ) external view returns (OnChainRaffle.PrizeConfig memory) {
+        return prizeConfigs[scheduleId];
+    }
+
+    /**
+     * @dev Withdraws the sender's credited prizes and fees in one token
+     * @param pendingWithdrawals The raffle's withdrawable balances
+     * @param token ERC-20 address, zero address for ETH
+     */
+    function withdraw(
+        mapping(address => mapping(address => uint256)) storage pendingWithdrawals,
+        address token
+    ) external {
+        uint256 amount = pendingWithdrawals[token][msg.sender];
+        if (amount == 0) revert OnChainRaffle.NothingToClaim();
+
+        pendingWithdrawals[token][msg.sender] = 0;
+
+        emit OnChainRaffle.Withdrawal(msg.sender, token, amount);
+
+        _transferOut(token, msg.sender, amount);
+    }
+
+    /**
+     * @dev Escrows a prize item deposited by the sender, see OnChainRaffle.depositPrizeItem
+     * @param prizeItems The raffle's prize items
+     * @return prizeIndex Index of the prize within the raffle's prizes
+     */
+    function depositPrizeItem(
+        mapping(uint256 => OnChainRaffle.PrizeItem[]) storage prizeItems,
+        uint256 raffleId,
+        uint32 rank,
+        OnChainRaffle.PrizeKind kind,
+        address token,
+        uint256 tokenId,
+        uint256 amount,
+        uint64 expiry
+    ) external returns (uint256 prizeIndex) {
+        if (expiry <= block.timestamp) revert OnChainRaffle.InvalidExpiry();
+        if (amount == 0 || (kind == OnChainRaffle.PrizeKind.ERC721 && amount != 1)) {
+            revert OnChainRaffle.InvalidPrizeAmount();
+        }
+
+        prizeIndex = prizeItems[raffleId].length;
+        prizeItems[raffleId].push(OnChainRaffle.PrizeItem({
+            depositor: msg.sender,
+            kind: kind,
+            settled: false,
+            expiry: expiry,
+            rank: rank,
+            token: token,
+            tokenId: tokenId,
+            amount: amount
+        }));
+
+        emit OnChainRaffle.PrizeItemDeposited(raffleId, prizeIndex, msg.sender, token, tokenId, amount, rank, expiry);
+
+        if (kind == OnChainRaffle.PrizeKind.ERC721) {
+            IERC721(token).transferFrom(msg.sender, address(this), tokenId);
+        } else {
+            IERC1155(token).safeTransferFrom(msg.sender, address(this), tokenId, amount, "");
+        }
+    }
+
+    /**
+     * @dev Sends an escrowed prize to the sender if it won the prize's rank, see OnChainRaffle.claimPrizeItem
+     * @param prizeItems The raffle's prize items
+     * @param record Record of the raffle
+     * @param winners Stored winners of the raffle
+     */
+    function claimPrizeItem(
+        mapping(uint256 => OnChainRaffle.PrizeItem[]) storage prizeItems,
+        OnChainRaffle.RaffleRecord storage record,
+        uint256[] storage winners,
+        uint256 raffleId,
+        uint256 prizeIndex
+    ) external {
+        OnChainRaffle.PrizeItem storage prize = _unsettledPrizeItem(prizeItems, raffleId, prizeIndex);
+
+        if (block.timestamp > prize.expiry) revert OnChainRaffle.ClaimPeriodOver();
+        if (record.status != OnChainRaffle.RaffleStatus.Valid) revert OnChainRaffle.RaffleNotValid();
+
+        if (prize.rank >= winners.length || address(uint160(winners[prize.rank])) != msg.sender) {
+            revert OnChainRaffle.NotWinner();
+        }
+        if (record.executor != prize.depositor) revert OnChainRaffle.PrizeRaffleMismatch();
+
+        prize.settled = true;
+
+        emit OnChainRaffle.PrizeItemClaimed(raffleId, prizeIndex, msg.sender);
+
+        _transferPrizeItem(prize, msg.sender);
+    }
+
+    /**
+     * @dev Returns an unclaimed prize to the sender, its depositor, see OnChainRaffle.reclaimPrizeItem
+     * @param prizeItems The raffle's prize items
+     * @param record Record of the raffle, empty if not drawn yet
+     * @param drawn Whether the raffle ID has been drawn
+     */
+    function reclaimPrizeItem(
+        mapping(uint256 => OnChainRaffle.PrizeItem[]) storage prizeItems,
+        OnChainRaffle.RaffleRecord storage record,
+        bool drawn,
+        uint256 raffleId,
+        uint256 prizeIndex
+    ) external {
+        OnChainRaffle.PrizeItem storage prize = _unsettledPrizeItem(prizeItems, raffleId, prizeIndex);
+
+        if (msg.sender != prize.depositor) revert OnChainRaffle.NotAuthorized();
+        bool takenByOther = drawn && record.executor != prize.depositor;
+        if (block.timestamp <= prize.expiry && !takenByOther) revert OnChainRaffle.ClaimPeriodActive();
+
+        prize.settled = true;
+
+        emit OnChainRaffle.PrizeItemReclaimed(raffleId, prizeIndex, msg.sender);
+
+        _transferPrizeItem(prize, msg.sender);
+    }
+
+    /**
+     * @dev Loads a prize, reverting if it does not exist or was already claimed or reclaimed
+     */
+    function _unsettledPrizeItem(
+        mapping(uint256 => OnChainRaffle.PrizeItem[]) storage prizeItems,
+        uint256 raffleId,
+        uint256 prizeIndex
+    ) private view returns (OnChainRaffle.PrizeItem storage prize) {
+        if (prizeIndex >= prizeItems[raffleId].length) revert OnChainRaffle.PrizeItemNotFound();
+
+        prize = prizeItems[raffleId][prizeIndex];
+        if (prize.settled) revert OnChainRaffle.PrizeItemSettled();
+    }
+
+    /**
+     * @dev Sends an escrowed prize out of the raffle
+     */
+    function _transferPrizeItem(OnChainRaffle.PrizeItem storage prize, address to) private {
+        if (prize.kind == OnChainRaffle.PrizeKind.ERC721) {
+            IERC721(prize.token).safeTransferFrom(address(this), to, prize.tokenId);
+        } else {
+            IERC1155(prize.token).safeTransferFrom(address(this), to, prize.tokenId, prize.amount, "");
+        }
+    }
+
+    /**
+     * @dev Sends ETH or ERC-20 tokens held by the raffle
+     */
+    function _transferOut(address token, address to, uint256 amount) private {
+        if (token == address(0)) {
+            (bool success, ) = to.call{value: amount}("");
+            if (!success) revert OnChainRaffle.TransferFailed();
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
+    }
+}
@@ -0,0 +1,182 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "../OnChainRaffle.sol";
+
+/**
+ * @title RaffleRecords
+ * @dev Records of OnChainRaffle's raffles: executor quotas, creation, metadata, invalidation, reruns, tier
+ * slices and Merkle winner proofs
+ * @notice Runs in the raffle's context through delegatecall, on the storage the raffle passes in.
+ * The raffle checks that the raffle IDs exist and restricts who may call
+ */
+library RaffleRecords {
+    /**
+     * @dev Counts a raffle against an executor's limits, see OnChainRaffle._useExecutorQuota
+     * @param executorLimits The raffle's executor limits
+     * @param executorUsage The raffle's daily raffle counts per executor
+     * @param executor The executor the raffle is attributed to
+     * @param participantCount Number of participants, zero when not known upfront
+     */
+    function useExecutorQuota(
+        mapping(address => OnChainRaffle.ExecutorLimits) storage executorLimits,
+        mapping(address => OnChainRaffle.ExecutorUsage) storage executorUsage,
+        address executor,
+        uint256 participantCount
+    ) external {
+        OnChainRaffle.ExecutorLimits memory limits = executorLimits[executor];
+
+        if (limits.maxParticipants != 0 && participantCount > limits.maxParticipants) {
+            revert OnChainRaffle.ExecutorParticipantLimitExceeded();
+        }
+
+        if (limits.maxRafflesPerDay != 0) {
+            OnChainRaffle.ExecutorUsage storage usage = executorUsage[executor];
+            uint64 today = uint64(block.timestamp / 1 days);
+
+            if (usage.day != today) {
+                usage.day = today;
+                usage.raffles = 0;
+            }
+            if (usage.raffles >= limits.maxRafflesPerDay) revert OnChainRaffle.ExecutorDailyLimitReached();
+            usage.raffles++;
+        }
+    }
+
+    /**
+     * @dev Records who ran a raffle, when and against what input
+     * @param raffleRecords The raffle's records
+     * @param executorRaffles The raffle's IDs per executor
+     * @param raffleId The ID allocated to the raffle
+     * @param executor Executor credited with the raffle
+     * @param mode How the raffle is drawn
+     * @param participantCount Number of participants
+     * @param participantsHash Hash of the input (Merkle root for Merkle raffles)
+     */
+    function create(
+        mapping(uint256 => OnChainRaffle.RaffleRecord) storage raffleRecords,
+        mapping(address => uint256[]) storage executorRaffles,
+        uint256 raffleId,
+        address executor,
+        OnChainRaffle.RaffleMode mode,
+        uint256 participantCount,
+        bytes32 participantsHash
+    ) external {
+        OnChainRaffle.RaffleRecord storage record = raffleRecords[raffleId];
+        record.executor = executor;
+        record.blockNumber = uint48(block.number);
+        record.timestamp = uint48(block.timestamp);
+        record.participantCount = uint64(participantCount);
+        record.mode = mode;
+        record.participantsHash = participantsHash;
+
+        executorRaffles[executor].push(raffleId);
+    }
+
+    /**
+     * @dev Sets the title and URI of a raffle if the sender ran it or is the owner
+     * @param record Record of the raffle
+     * @param raffleId The ID of the raffle
+     * @param title Human-readable title
+     * @param uri Link to off-chain details such as the entrant list
+     * @param owner The raffle contract's owner
+     */
+    function setMetadata(
+        OnChainRaffle.RaffleRecord storage record,
+        uint256 raffleId,
+        string calldata title,
+        string calldata uri,
+        address owner
+    ) external {
+        if (msg.sender != record.executor && msg.sender != owner) revert OnChainRaffle.NotAuthorized();
+
+        record.title = title;
+        record.uri = uri;
+
+        emit OnChainRaffle.RaffleMetadataUpdated(raffleId, title, uri);
+    }
+
+    /**
+     * @dev Marks a valid raffle as invalidated by the sender
+     * @param record Record of the raffle
+     * @param raffleId The ID of the raffle
+     * @param reason Why the result is void, only logged
+     */
+    function invalidate(OnChainRaffle.RaffleRecord storage record, uint256 raffleId, string calldata reason) external {
+        if (record.status != OnChainRaffle.RaffleStatus.Valid) revert OnChainRaffle.RaffleNotValid();
+
+        record.status = OnChainRaffle.RaffleStatus.Invalidated;
+
+        emit OnChainRaffle.RaffleInvalidated(raffleId, msg.sender, reason);
+    }
+
+    /**
+     * @dev Links a rerun to the invalidated raffle it replaces
+     * @param raffleRecords The raffle's records
+     * @param replacementOf The raffle's replacement IDs
+     * @param rerunOf The raffle's replaced IDs
+     * @param originalRaffleId The ID of the invalidated raffle
+     * @param raffleId The ID of the rerun
+     */
+    function recordRerun(
+        mapping(uint256 => OnChainRaffle.RaffleRecord) storage raffleRecords,
+        mapping(uint256 => uint256) storage replacementOf,
+        mapping(uint256 => uint256) storage rerunOf,
+        uint256 originalRaffleId,
+        uint256 raffleId
+    ) external {
+        raffleRecords[originalRaffleId].status = OnChainRaffle.RaffleStatus.Replaced;
+        raffleRecords[raffleId].isRerun = true;
+        replacementOf[originalRaffleId] = raffleId;
+        rerunOf[raffleId] = originalRaffleId;
+
+        emit OnChainRaffle.RaffleRerun(originalRaffleId, raffleId);
+    }
+
+    /**
+     * @dev Slices the winners of one tier out of a tiered raffle's results, see OnChainRaffle.getTierWinners
+     * @param tierSizes Stored tier sizes of the raffle
+     * @param results Stored winners of the raffle, in tier order
+     * @param tier Tier index, 0 being the first (grand) tier
+     * @return winners Winners of the tier, in draw order
+     */
+    function tierWinners(
+        uint256[] storage tierSizes,
+        uint256[] storage results,
+        uint256 tier
+    ) external view returns (uint256[] memory winners) {
+        if (tier >= tierSizes.length) revert OnChainRaffle.InvalidTiers();
+
+        uint256 offset;
+        for (uint256 i = 0; i < tier; i++) {
+            offset += tierSizes[i];
+        }
+
+        winners = new uint256[](tierSizes[tier]);
+        for (uint256 i = 0; i < winners.length; i++) {
+            winners[i] = results[offset + i];
+        }
+    }
+
+    /**
+     * @dev Proves that a participant won a Merkle raffle, see OnChainRaffle.verifyMerkleWinner
+     * @param record Record of the raffle
+     * @param winningIndices Stored winning indices of the raffle
+     * @return bool indicating if the participant holds the winning index at that rank
+     */
+    function verifyMerkleWinner(
+        OnChainRaffle.RaffleRecord storage record,
+        uint256[] storage winningIndices,
+        uint256 rank,
+        uint256 participant,
+        bytes32[] calldata proof
+    ) external view returns (bool) {
+        if (record.mode != OnChainRaffle.RaffleMode.Merkle || rank >= winningIndices.length) return false;
+
+        bytes32 root = record.participantsHash;
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(winningIndices[rank], participant))));
+        return MerkleProof.verifyCalldata(proof, root, leaf);
+    }
+}
@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../interfaces/IRandomnessCoordinator.sol";
+import "../OnChainRaffle.sol";
+
+/**
+ * @title RaffleRequests
+ * @dev Randomness request bookkeeping of OnChainRaffle: requests, failures and expiry
+ * @notice Runs in the raffle's context through delegatecall, on the storage the raffle passes in.
+ * The raffle draws fulfilled requests itself
+ */
+library RaffleRequests {
+    /// @dev Blocks after which an unfulfilled request can be marked failed, exposed as OnChainRaffle.REQUEST_TIMEOUT
+    uint256 internal constant REQUEST_TIMEOUT = 256;
+
+    /**
+     * @dev Requests randomness from the coordinator and stores the sender's pending request
+     * @param raffleRequests The raffle's requests
+     * @param requestParticipants The raffle's stored participants of pending requests
+     * @param coordinator The randomness coordinator
+     * @param participants Array of participant IDs/indices
+     * @param numberOfWinners Number of winners to select
+     * @return requestId The coordinator request ID
+     */
+    function request(
+        mapping(uint256 => OnChainRaffle.RaffleRequest) storage raffleRequests,
+        mapping(uint256 => uint256[]) storage requestParticipants,
+        address coordinator,
+        uint256[] calldata participants,
+        uint256 numberOfWinners
+    ) external returns (uint256 requestId) {
+        if (coordinator == address(0)) revert OnChainRaffle.CoordinatorNotSet();
+
+        requestId = IRandomnessCoordinator(coordinator).requestRandomness();
+        if (raffleRequests[requestId].status != OnChainRaffle.RequestStatus.None) {
+            revert OnChainRaffle.DuplicateRequest();
+        }
+
+        raffleRequests[requestId] = OnChainRaffle.RaffleRequest({
+            executor: msg.sender,
+            coordinator: coordinator,
+            numberOfWinners: numberOfWinners,
+            requestBlock: block.number,
+            status: OnChainRaffle.RequestStatus.Pending,
+            raffleId: 0
+        });
+        requestParticipants[requestId] = participants;
+
+        emit OnChainRaffle.RaffleRequested(requestId, msg.sender, numberOfWinners);
+    }
+
+    /**
+     * @dev Marks a pending request failed, used when its executor was removed before fulfillment
+     * @param raffleRequests The raffle's requests
+     * @param requestParticipants The raffle's stored participants of pending requests
+     * @param requestId The coordinator request ID
+     */
+    function fail(
+        mapping(uint256 => OnChainRaffle.RaffleRequest) storage raffleRequests,
+        mapping(uint256 => uint256[]) storage requestParticipants,
+        uint256 requestId
+    ) external {
+        _fail(raffleRequests[requestId], requestParticipants, requestId);
+    }
+
+    /**
+     * @dev Marks a request that was not fulfilled within REQUEST_TIMEOUT blocks as failed
+     * @param raffleRequests The raffle's requests
+     * @param requestParticipants The raffle's stored participants of pending requests
+     * @param requestId The coordinator request ID
+     * @param owner The raffle's owner, allowed to expire any request
+     */
+    function expire(
+        mapping(uint256 => OnChainRaffle.RaffleRequest) storage raffleRequests,
+        mapping(uint256 => uint256[]) storage requestParticipants,
+        uint256 requestId,
+        address owner
+    ) external {
+        OnChainRaffle.RaffleRequest storage pending = raffleRequests[requestId];
+
+        if (msg.sender != pending.executor && msg.sender != owner) revert OnChainRaffle.NotAuthorized();
+        if (pending.status != OnChainRaffle.RequestStatus.Pending) revert OnChainRaffle.RequestNotPending();
+        if (block.number - pending.requestBlock <= REQUEST_TIMEOUT) revert OnChainRaffle.RequestNotExpired();
+
+        _fail(pending, requestParticipants, requestId);
+    }
+
+    /**
+     * @dev Moves a request from Pending to Failed and frees its participants
+     */
+    function _fail(
+        OnChainRaffle.RaffleRequest storage pending,
+        mapping(uint256 => uint256[]) storage requestParticipants,
+        uint256 requestId
+    ) private {
+        pending.status = OnChainRaffle.RequestStatus.Failed;
+        delete requestParticipants[requestId];
+
+        emit OnChainRaffle.RaffleRequestFailed(requestId);
+    }
+}
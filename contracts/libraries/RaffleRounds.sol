@@ -0,0 +1,287 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../OnChainRaffle.sol";
+
+/**
+ * @title RaffleRounds
+ * @dev Round lifecycle of OnChainRaffle's scheduled raffles: opening, entries, closing, draw preparation
+ * and cancellation. Rounds draw from the hash of the block after the one they closed in, so the result does
+ * not depend on who draws or when
+ * @notice Runs in the raffle's context through delegatecall, on the storage the raffle passes in.
+ * Access control stays with the raffle's external functions
+ */
+library RaffleRounds {
+    /// @dev Time after a round's entry deadline from which anyone can draw it,
+    /// exposed as OnChainRaffle.DRAW_GRACE_PERIOD
+    uint256 internal constant DRAW_GRACE_PERIOD = 1 days;
+
+    /**
+     * @dev Stores a schedule of the sender and opens its first round
+     * @param raffleSchedules The raffle's schedules
+     * @param raffleRounds The raffle's rounds
+     * @param scheduleId The ID the schedule is stored under
+     * @param roundId The ID the first round is stored under
+     * @param entryDeadline Timestamp at which the first round stops accepting entries
+     * @param numberOfWinners Number of winners drawn per round
+     * @param oneEntryPerAddress Whether an address may enter a round only once
+     * @param interval Seconds between the entry deadlines of consecutive rounds, zero for a one-off raffle
+     */
+    function createSchedule(
+        mapping(uint256 => OnChainRaffle.RaffleSchedule) storage raffleSchedules,
+        mapping(uint256 => OnChainRaffle.RaffleRound) storage raffleRounds,
+        uint256 scheduleId,
+        uint256 roundId,
+        uint64 entryDeadline,
+        uint32 numberOfWinners,
+        bool oneEntryPerAddress,
+        uint64 interval
+    ) external {
+        if (entryDeadline <= block.timestamp) revert OnChainRaffle.InvalidDeadline();
+
+        raffleSchedules[scheduleId] = OnChainRaffle.RaffleSchedule({
+            creator: msg.sender,
+            interval: interval,
+            numberOfWinners: numberOfWinners,
+            oneEntryPerAddress: oneEntryPerAddress,
+            active: true,
+            currentRound: 0
+        });
+
+        emit OnChainRaffle.ScheduledRaffleCreated(
+            scheduleId,
+            msg.sender,
+            numberOfWinners,
+            interval,
+            oneEntryPerAddress
+        );
+
+        _openRound(raffleRounds, raffleSchedules, roundId, scheduleId, entryDeadline);
+    }
+
+    /**
+     * @dev Opens the next round of an active recurring schedule after its current round was drawn
+     * @param raffleRounds The raffle's rounds
+     * @param raffleSchedules The raffle's schedules
+     * @param roundId The ID of the drawn round
+     * @param nextRoundId The ID the new round is stored under
+     * @return opened Whether a round was opened, so the raffle only then advances its round counter
+     * @notice The new deadline is one interval after the previous one, or after now if that already passed
+     */
+    function openNextRound(
+        mapping(uint256 => OnChainRaffle.RaffleRound) storage raffleRounds,
+        mapping(uint256 => OnChainRaffle.RaffleSchedule) storage raffleSchedules,
+        uint256 roundId,
+        uint256 nextRoundId
+    ) external returns (bool opened) {
+        uint256 scheduleId = raffleRounds[roundId].scheduleId;
+        OnChainRaffle.RaffleSchedule storage schedule = raffleSchedules[scheduleId];
+        if (!schedule.active || schedule.interval == 0 || schedule.currentRound != roundId) return false;
+
+        uint256 nextDeadline = raffleRounds[roundId].entryDeadline + schedule.interval;
+        if (nextDeadline <= block.timestamp) {
+            nextDeadline = block.timestamp + schedule.interval;
+        }
+
+        _openRound(raffleRounds, raffleSchedules, nextRoundId, scheduleId, nextDeadline);
+        return true;
+    }
+
+    /**
+     * @dev Records the sender as an entrant of an open round
+     * @param raffleRounds The raffle's rounds
+     * @param raffleSchedules The raffle's schedules
+     * @param hasEntered The raffle's one-entry-per-address markers
+     * @param roundEntries The raffle's round entrants
+     * @param roundId The ID of the round
+     * @return scheduleId The round's schedule, whose entry fee the raffle collects
+     */
+    function enter(
+        mapping(uint256 => OnChainRaffle.RaffleRound) storage raffleRounds,
+        mapping(uint256 => OnChainRaffle.RaffleSchedule) storage raffleSchedules,
+        mapping(uint256 => mapping(address => bool)) storage hasEntered,
+        mapping(uint256 => uint256[]) storage roundEntries,
+        uint256 roundId
+    ) external returns (uint256 scheduleId) {
+        OnChainRaffle.RaffleRound storage round = raffleRounds[roundId];
+
+        if (round.status != OnChainRaffle.RoundStatus.Open || block.timestamp >= round.entryDeadline) {
+            revert OnChainRaffle.RoundNotOpen();
+        }
+
+        scheduleId = round.scheduleId;
+        if (raffleSchedules[scheduleId].oneEntryPerAddress) {
+            if (hasEntered[roundId][msg.sender]) revert OnChainRaffle.AlreadyEntered();
+            hasEntered[roundId][msg.sender] = true;
+        }
+
+        roundEntries[roundId].push(uint256(uint160(msg.sender)));
+
+        emit OnChainRaffle.RaffleEntered(roundId, msg.sender);
+    }
+
+    /**
+     * @dev Closes a round whose entry deadline has passed
+     * @param raffleRounds The raffle's rounds
+     * @param roundEntries The raffle's round entrants
+     * @param roundId The ID of the round
+     */
+    function closeRound(
+        mapping(uint256 => OnChainRaffle.RaffleRound) storage raffleRounds,
+        mapping(uint256 => uint256[]) storage roundEntries,
+        uint256 roundId
+    ) external {
+        OnChainRaffle.RaffleRound storage round = raffleRounds[roundId];
+
+        if (round.status != OnChainRaffle.RoundStatus.Open) revert OnChainRaffle.RoundNotOpen();
+        if (block.timestamp < round.entryDeadline) revert OnChainRaffle.EntryWindowOpen();
+
+        _closeRound(roundEntries, round, roundId);
+    }
+
+    /**
+     * @dev Marks a closed round drawn under the given raffle ID, or cancels it if nobody entered
+     * @param raffleRounds The raffle's rounds
+     * @param raffleSchedules The raffle's schedules
+     * @param roundEntries The raffle's round entrants
+     * @param roundId The ID of the round
+     * @param raffleId The ID the round's raffle is about to be drawn under
+     * @param callerIsExecutor Whether the sender is an executor, others may only draw after DRAW_GRACE_PERIOD
+     * @return entries The round's entrants, empty if the round was cancelled
+     * @return numberOfWinners The schedule's number of winners, capped at the entry count
+     * @return seed The draw seed, the hash of the block after the close block mixed with the round ID
+     */
+    function startDraw(
+        mapping(uint256 => OnChainRaffle.RaffleRound) storage raffleRounds,
+        mapping(uint256 => OnChainRaffle.RaffleSchedule) storage raffleSchedules,
+        mapping(uint256 => uint256[]) storage roundEntries,
+        uint256 roundId,
+        uint256 raffleId,
+        bool callerIsExecutor
+    ) external returns (uint256[] memory entries, uint256 numberOfWinners, bytes32 seed) {
+        OnChainRaffle.RaffleRound storage round = raffleRounds[roundId];
+
+        if (round.status == OnChainRaffle.RoundStatus.Open) {
+            if (block.timestamp < round.entryDeadline) revert OnChainRaffle.EntryWindowOpen();
+            revert OnChainRaffle.RoundNotClosed();
+        }
+        if (round.status != OnChainRaffle.RoundStatus.Closed) revert OnChainRaffle.RoundNotOpen();
+        if (!callerIsExecutor && block.timestamp < round.entryDeadline + DRAW_GRACE_PERIOD) {
+            revert OnChainRaffle.NotAuthorized();
+        }
+
+        entries = roundEntries[roundId];
+
+        if (entries.length == 0) {
+            round.status = OnChainRaffle.RoundStatus.Cancelled;
+            emit OnChainRaffle.RoundCancelled(roundId);
+            return (entries, 0, bytes32(0));
+        }
+
+        if (block.number <= round.closeBlock + 1) revert OnChainRaffle.DrawTooEarly();
+        bytes32 seedBlockHash = blockhash(round.closeBlock + 1);
+        if (seedBlockHash == bytes32(0)) revert OnChainRaffle.DrawExpired();
+
+        round.status = OnChainRaffle.RoundStatus.Drawn;
+        round.raffleId = raffleId;
+        emit OnChainRaffle.RoundDrawn(roundId, raffleId);
+
+        numberOfWinners = raffleSchedules[round.scheduleId].numberOfWinners;
+        if (numberOfWinners > entries.length) {
+            numberOfWinners = entries.length;
+        }
+        seed = keccak256(abi.encodePacked(seedBlockHash, roundId));
+    }
+
+    /**
+     * @dev Cancels a closed round that can no longer be drawn because the hash of the block after its close
+     * block has left the 256 most recent blocks, and stops its schedule
+     * @param raffleRounds The raffle's rounds
+     * @param raffleSchedules The raffle's schedules
+     * @param roundId The ID of the round
+     */
+    function cancelAbandonedRound(
+        mapping(uint256 => OnChainRaffle.RaffleRound) storage raffleRounds,
+        mapping(uint256 => OnChainRaffle.RaffleSchedule) storage raffleSchedules,
+        uint256 roundId
+    ) external {
+        OnChainRaffle.RaffleRound storage round = raffleRounds[roundId];
+
+        if (round.status != OnChainRaffle.RoundStatus.Closed) revert OnChainRaffle.RoundNotClosed();
+        if (block.number <= round.closeBlock + 1 || blockhash(round.closeBlock + 1) != bytes32(0)) {
+            revert OnChainRaffle.DrawNotExpired();
+        }
+
+        round.status = OnChainRaffle.RoundStatus.Cancelled;
+        emit OnChainRaffle.RoundCancelled(roundId);
+
+        OnChainRaffle.RaffleSchedule storage schedule = raffleSchedules[round.scheduleId];
+        if (schedule.active && schedule.currentRound == roundId) {
+            schedule.active = false;
+            emit OnChainRaffle.ScheduledRaffleCancelled(round.scheduleId);
+        }
+    }
+
+    /**
+     * @dev Stops a schedule from opening new rounds and cancels its current round if undrawn
+     * @param raffleSchedules The raffle's schedules
+     * @param raffleRounds The raffle's rounds
+     * @param scheduleId The ID of the schedule
+     * @param owner The raffle's owner, allowed to cancel any schedule
+     */
+    function cancelSchedule(
+        mapping(uint256 => OnChainRaffle.RaffleSchedule) storage raffleSchedules,
+        mapping(uint256 => OnChainRaffle.RaffleRound) storage raffleRounds,
+        uint256 scheduleId,
+        address owner
+    ) external {
+        OnChainRaffle.RaffleSchedule storage schedule = raffleSchedules[scheduleId];
+
+        if (msg.sender != schedule.creator && msg.sender != owner) revert OnChainRaffle.NotAuthorized();
+        if (!schedule.active) revert OnChainRaffle.ScheduleNotActive();
+
+        schedule.active = false;
+        emit OnChainRaffle.ScheduledRaffleCancelled(scheduleId);
+
+        OnChainRaffle.RaffleRound storage round = raffleRounds[schedule.currentRound];
+        if (round.status == OnChainRaffle.RoundStatus.Open || round.status == OnChainRaffle.RoundStatus.Closed) {
+            round.status = OnChainRaffle.RoundStatus.Cancelled;
+            emit OnChainRaffle.RoundCancelled(schedule.currentRound);
+        }
+    }
+
+    /**
+     * @dev Opens a new round of a schedule
+     */
+    function _openRound(
+        mapping(uint256 => OnChainRaffle.RaffleRound) storage raffleRounds,
+        mapping(uint256 => OnChainRaffle.RaffleSchedule) storage raffleSchedules,
+        uint256 roundId,
+        uint256 scheduleId,
+        uint256 entryDeadline
+    ) private {
+        raffleRounds[roundId] = OnChainRaffle.RaffleRound({
+            scheduleId: scheduleId,
+            entryDeadline: uint64(entryDeadline),
+            status: OnChainRaffle.RoundStatus.Open,
+            raffleId: 0,
+            closeBlock: 0
+        });
+        raffleSchedules[scheduleId].currentRound = roundId;
+
+        emit OnChainRaffle.RoundOpened(roundId, scheduleId, entryDeadline);
+    }
+
+    /**
+     * @dev Moves a round from Open to Closed and records the block its draw seed is taken after
+     */
+    function _closeRound(
+        mapping(uint256 => uint256[]) storage roundEntries,
+        OnChainRaffle.RaffleRound storage round,
+        uint256 roundId
+    ) private {
+        round.status = OnChainRaffle.RoundStatus.Closed;
+        round.closeBlock = uint64(block.number);
+        emit OnChainRaffle.RoundClosed(roundId, roundEntries[roundId].length);
+    }
+}
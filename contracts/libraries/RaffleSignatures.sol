@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "../OnChainRaffle.sol";
+
+/**
+ * @title RaffleSignatures
+ * @dev EIP-712 authorization check of OnChainRaffle.executeRaffleWithSignature
+ * @notice The raffle keeps the domain and the executor nonces, see lib/signing.js for the signing side
+ */
+library RaffleSignatures {
+    /// @dev Type of the signed authorization, exposed as OnChainRaffle.EXECUTE_RAFFLE_TYPEHASH
+    bytes32 internal constant EXECUTE_RAFFLE_TYPEHASH = keccak256(
+        "ExecuteRaffle(address executor,uint256[] participants,uint256 numberOfWinners,uint256 nonce,uint256 deadline)"
+    );
+
+    /**
+     * @dev Reverts unless the signature is the executor's unexpired authorization of the raffle
+     * @param domainSeparator The raffle's EIP-712 domain separator
+     * @param executor The executor that signed the authorization
+     * @param participantsHash keccak256 of the tightly packed participant array
+     * @param numberOfWinners Number of winners to select
+     * @param nonce The executor's nonce the authorization was signed for
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature Signature over the ExecuteRaffle typed data
+     */
+    function verifyExecuteRaffle(
+        bytes32 domainSeparator,
+        address executor,
+        bytes32 participantsHash,
+        uint256 numberOfWinners,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external view {
+        if (block.timestamp > deadline) revert OnChainRaffle.SignatureExpired();
+
+        bytes32 digest = MessageHashUtils.toTypedDataHash(
+            domainSeparator,
+            keccak256(
+                abi.encode(
+                    EXECUTE_RAFFLE_TYPEHASH,
+                    executor,
+                    participantsHash,
+                    numberOfWinners,
+                    nonce,
+                    deadline
+                )
+            )
+        );
+        (address signer, ECDSA.RecoverError recoverError, ) = ECDSA.tryRecover(digest, signature);
+        if (recoverError != ECDSA.RecoverError.NoError || signer != executor) {
+            revert OnChainRaffle.InvalidSignature();
+        }
+    }
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+/**
+ * @title MockERC1155
+ * @dev Freely mintable ERC-1155 for raffle prize tests
+ * @notice For tests and local networks only
+ */
+contract MockERC1155 is ERC1155 {
+    constructor() ERC1155("") {}
+
+    /**
+     * @dev Mints tokens to any account
+     * @param to Recipient
+     * @param id Token ID
+     * @param amount Amount to mint
+     */
+    function mint(address to, uint256 id, uint256 amount) external {
+        _mint(to, id, amount, "");
+    }
+}
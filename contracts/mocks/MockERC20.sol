@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockERC20
+ * @dev Freely mintable ERC-20 for paying raffle entry fees in tests
+ * @notice For tests and local networks only
+ */
+contract MockERC20 is ERC20 {
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) {}
+
+    /**
+     * @dev Mints tokens to any account
+     * @param to Recipient
+     * @param amount Amount to mint
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
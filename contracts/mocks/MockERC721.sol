@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+/**
+ * @title MockERC721
+ * @dev Freely mintable ERC-721 for raffle prize tests
+ * @notice For tests and local networks only
+ */
+contract MockERC721 is ERC721 {
+    constructor() ERC721("Mock Prize", "PRIZE") {}
+
+    /**
+     * @dev Mints a token to any account
+     * @param to Recipient
+     * @param tokenId Token ID
+     */
+    function mint(address to, uint256 tokenId) external {
+        _mint(to, tokenId);
+    }
+}
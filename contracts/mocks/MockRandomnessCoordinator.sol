@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../interfaces/IRandomnessCoordinator.sol";
+
+/**
+ * @title MockRandomnessCoordinator
+ * @dev Local stand-in for a VRF coordinator, randomness is supplied by whoever fulfills
+ * @notice For tests and local networks only
+ */
+contract MockRandomnessCoordinator is IRandomnessCoordinator {
+    uint256 public requestCounter;
+
+    mapping(uint256 => address) public requestConsumers;
+
+    event RandomnessRequested(uint256 indexed requestId, address indexed consumer);
+    event RandomnessFulfilled(uint256 indexed requestId, uint256 randomness, bool success);
+
+    error UnknownRequest();
+
+    /**
+     * @dev Registers a request for the caller, IDs start at 1
+     * @return requestId ID passed back with the randomness
+     */
+    function requestRandomness() external returns (uint256 requestId) {
+        requestId = ++requestCounter;
+        requestConsumers[requestId] = msg.sender;
+
+        emit RandomnessRequested(requestId, msg.sender);
+
+        return requestId;
+    }
+
+    /**
+     * @dev Delivers randomness to the consumer of a request
+     * @param requestId The request to fulfill
+     * @param randomness The random word to deliver
+     * @return success Whether the consumer callback succeeded
+     * @notice Like a real coordinator, a reverting callback does not revert the fulfillment
+     */
+    function fulfillRandomness(uint256 requestId, uint256 randomness) external returns (bool success) {
+        address consumer = requestConsumers[requestId];
+        if (consumer == address(0)) revert UnknownRequest();
+
+        delete requestConsumers[requestId];
+
+        (success, ) = consumer.call(
+            abi.encodeCall(IRandomnessConsumer.rawFulfillRandomness, (requestId, randomness))
+        );
+
+        emit RandomnessFulfilled(requestId, randomness, success);
+
+        return success;
+    }
+}
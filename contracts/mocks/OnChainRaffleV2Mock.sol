@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../OnChainRaffleUpgradeable.sol";
+
+/**
+ * @title OnChainRaffleV2Mock
+ * @dev Second version of OnChainRaffleUpgradeable that appends state and a reinitializer
+ * @notice For tests and local networks only
+ */
+contract OnChainRaffleV2Mock is OnChainRaffleUpgradeable {
+    /// @notice Value set by initializeV2, stored after all V1 state
+    uint256 public upgradeMarker;
+
+    /**
+     * @dev Runs once when upgrading to this version
+     * @param marker Value stored in upgradeMarker
+     */
+    function initializeV2(uint256 marker) external reinitializer(2) onlyOwner {
+        upgradeMarker = marker;
+    }
+
+    /**
+     * @dev Returns the implementation version
+     */
+    function version() external pure returns (string memory) {
+        return "2.0.0";
+    }
+}
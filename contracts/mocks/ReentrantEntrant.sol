@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+interface IPaidRaffle {
+    function enter(uint256 roundId) external payable;
+    function withdraw(address token) external;
+}
+
+/**
+ * @title ReentrantEntrant
+ * @dev Raffle entrant that calls withdraw again while receiving ETH
+ * @notice For tests only
+ */
+contract ReentrantEntrant {
+    IPaidRaffle public immutable raffle;
+
+    constructor(address _raffle) {
+        raffle = IPaidRaffle(_raffle);
+    }
+
+    function enter(uint256 roundId) external payable {
+        raffle.enter{value: msg.value}(roundId);
+    }
+
+    function withdraw() external {
+        raffle.withdraw(address(0));
+    }
+
+    receive() external payable {
+        raffle.withdraw(address(0));
+    }
+}
@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+interface IScheduledRaffle {
+    function enter(uint256 roundId) external payable;
+    function drawRound(uint256 roundId) external returns (uint256[] memory winners);
+}
+
+/**
+ * @title RerollingDrawer
+ * @dev Raffle entrant that draws a round itself and reverts the draw unless it won
+ * @notice For tests only
+ */
+contract RerollingDrawer {
+    IScheduledRaffle public immutable raffle;
+
+    error NotWon();
+
+    constructor(address _raffle) {
+        raffle = IScheduledRaffle(_raffle);
+    }
+
+    function enter(uint256 roundId) external payable {
+        raffle.enter{value: msg.value}(roundId);
+    }
+
+    function drawIfWinning(uint256 roundId) external {
+        uint256[] memory winners = raffle.drawRound(roundId);
+
+        for (uint256 i = 0; i < winners.length; i++) {
+            if (winners[i] == uint256(uint160(address(this)))) return;
+        }
+        revert NotWon();
+    }
+}
@@ -0,0 +1,5 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+// Compiles ERC1967Proxy so Ignition can deploy it from this project's artifacts
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
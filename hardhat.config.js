@@ -1,22 +1,43 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+require("./tasks/raffle");
+const { extendEnvironment } = require("hardhat/config");
+const { buildNetworks, sourcifyConfig } = require("./lib/networks");
+
+// Contract verification follows the selected network's profile in lib/networks.js
+extendEnvironment((hre) => {
+  hre.config.sourcify = { ...hre.config.sourcify, ...sourcifyConfig(hre.network.name) };
+});
 
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
-  defaultNetwork: "hardhat",
-  networks: {
-    localhost: {
-      forking: {
-        url: process.env.RPC
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      // OnChainRaffle, its upgradeable variant included, only fits Ethereum's 24KB code size limit
+      // (EIP-170) optimized through the IR pipeline, with its feature groups in contracts/libraries
+      optimizer: {
+        enabled: true,
+        runs: 200
+      },
+      viaIR: true,
+      // Kept in build info for the upgrade storage layout tests
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"]
+        }
       }
     }
   },
+  defaultNetwork: "hardhat",
+  networks: {
+    // monadTestnet, monad: see lib/networks.js and .env.example
+    ...buildNetworks()
+  },
+  // Enabled per network by sourcifyConfig above
   sourcify: {
-    enabled: true,
-    apiUrl: "https://sourcify-api-monad.blockvision.org",
-    browserUrl: "https://testnet.monadexplorer.com"
+    enabled: false
   },
   etherscan: {
     enabled: false
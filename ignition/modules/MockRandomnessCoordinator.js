@@ -0,0 +1,15 @@
+// Deploys OnChainRaffle wired to a MockRandomnessCoordinator, so the
+// request/fulfill flow can be exercised on a local network without an oracle.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const OnChainRaffleModule = require("./OnChainRaffle");
+
+module.exports = buildModule("MockRandomnessCoordinatorModule", (m) => {
+  const { ocr } = m.useModule(OnChainRaffleModule);
+
+  const coordinator = m.contract("MockRandomnessCoordinator");
+
+  m.call(ocr, "setRandomnessCoordinator", [coordinator]);
+
+  return { ocr, coordinator };
+});
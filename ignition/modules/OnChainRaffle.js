@@ -1,13 +1,18 @@
 // This setup uses Hardhat Ignition to manage smart contract deployments.
 // Learn more about it at https://hardhat.org/ignition
+//
+// Parameters (see ignition/parameters/):
+//   executors  Initial raffle executors, required
+// The deploying account (--default-sender, or the first account) becomes the owner.
 
 const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
-
-const RAFFLE_EXEC = [""];
+const RaffleLibrariesModule = require("./RaffleLibraries");
 
 module.exports = buildModule("OnChainRaffleModule", (m) => {
+  const executors = m.getParameter("executors");
+  const libraries = m.useModule(RaffleLibrariesModule);
 
-  const ocr = m.contract("OnChainRaffle", [RAFFLE_EXEC]);
+  const ocr = m.contract("OnChainRaffle", [executors], { libraries });
 
   return { ocr };
 });
@@ -0,0 +1,17 @@
+// Deploys OnChainRaffle and hands ownership, and with it the admin role, to
+// another account such as a multisig.
+//
+// Parameters:
+//   newOwner  Account receiving ownership, required
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const OnChainRaffleModule = require("./OnChainRaffle");
+
+module.exports = buildModule("OnChainRaffleOwnershipModule", (m) => {
+  const { ocr } = m.useModule(OnChainRaffleModule);
+
+  const newOwner = m.getParameter("newOwner");
+  m.call(ocr, "transferOwnership", [newOwner]);
+
+  return { ocr };
+});
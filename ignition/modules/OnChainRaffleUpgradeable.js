@@ -0,0 +1,20 @@
+// Deploys OnChainRaffleUpgradeable behind an ERC1967 (UUPS) proxy. The proxy
+// address stays the same across upgrades, see UpgradeOnChainRaffle.js.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const RaffleLibrariesModule = require("./RaffleLibraries");
+
+module.exports = buildModule("OnChainRaffleUpgradeableModule", (m) => {
+  const owner = m.getParameter("owner", m.getAccount(0));
+  const executors = m.getParameter("executors", []);
+  const libraries = m.useModule(RaffleLibrariesModule);
+
+  const implementation = m.contract("OnChainRaffleUpgradeable", [], { id: "OnChainRaffleImplementation", libraries });
+
+  const initialize = m.encodeFunctionCall(implementation, "initialize", [owner, executors]);
+  const proxy = m.contract("ERC1967Proxy", [implementation, initialize]);
+
+  const ocr = m.contractAt("OnChainRaffleUpgradeable", proxy);
+
+  return { ocr, proxy, implementation };
+});
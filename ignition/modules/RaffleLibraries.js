@@ -0,0 +1,15 @@
+// Deploys the external libraries OnChainRaffle and its upgradeable variants
+// are linked against. Modules deploying a raffle pass the result as the
+// libraries option, so one deployment shares a single set of libraries.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { RAFFLE_LIBRARIES } = require("../../lib/deployment");
+
+module.exports = buildModule("RaffleLibrariesModule", (m) => {
+  const libraries = {};
+  for (const name of RAFFLE_LIBRARIES) {
+    libraries[name] = m.library(name);
+  }
+
+  return libraries;
+});
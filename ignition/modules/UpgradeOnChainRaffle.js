@@ -0,0 +1,31 @@
+// Upgrades a proxy deployed by OnChainRaffleUpgradeable.js to a new
+// implementation. Must be sent by the owner (the first account by default),
+// with the proxy address as the "proxy" parameter.
+//
+// The default export upgrades to the current OnChainRaffleUpgradeable source.
+// Use buildUpgradeModule for other implementations or a post-upgrade
+// initializer, e.g. buildUpgradeModule("OnChainRaffleV2Mock", { initializer: "initializeV2", args: [1] }).
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const RaffleLibrariesModule = require("./RaffleLibraries");
+
+function buildUpgradeModule(implementationName, { initializer, args = [] } = {}) {
+  return buildModule(`Upgrade${implementationName}Module`, (m) => {
+    const proxy = m.getParameter("proxy");
+    const current = m.contractAt("OnChainRaffleUpgradeable", proxy, { id: "CurrentOnChainRaffle" });
+
+    const libraries = m.useModule(RaffleLibrariesModule);
+
+    const implementation = m.contract(implementationName, [], { id: `${implementationName}Implementation`, libraries });
+
+    const data = initializer ? m.encodeFunctionCall(implementation, initializer, args) : "0x";
+    m.call(current, "upgradeToAndCall", [implementation, data]);
+
+    const ocr = m.contractAt(implementationName, proxy, { id: `Upgraded${implementationName}` });
+
+    return { ocr, implementation };
+  });
+}
+
+module.exports = buildUpgradeModule("OnChainRaffleUpgradeable");
+module.exports.buildUpgradeModule = buildUpgradeModule;
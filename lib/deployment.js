@@ -0,0 +1,114 @@
+const fs = require("fs");
+const { getAddress, ZeroAddress } = require("ethers");
+
+// External libraries OnChainRaffle and its upgradeable variants are linked against, see contracts/libraries
+const RAFFLE_LIBRARIES = [
+  "RaffleCommitments",
+  "RaffleDraws",
+  "RafflePrizes",
+  "RaffleRecords",
+  "RaffleRequests",
+  "RaffleRounds",
+  "RaffleSignatures",
+];
+
+/**
+ * @dev Loads and validates an Ignition parameter file for OnChainRaffleModule
+ * @param file Path to the parameter file
+ * @return { parameters, executors, newOwner }, parameters is passed to Ignition as is
+ * @notice newOwner triggers OnChainRaffleOwnershipModule. The deploying account is chosen by
+ * the caller, so an OnChainRaffleModule.owner that Ignition would ignore is rejected
+ */
+function loadDeploymentParameters(file) {
+  const parameters = JSON.parse(fs.readFileSync(file, "utf8"));
+  const raffleParameters = parameters.OnChainRaffleModule || {};
+  const ownershipParameters = parameters.OnChainRaffleOwnershipModule || {};
+
+  const toAddress = (value, name) => {
+    let address;
+    try {
+      address = getAddress(value);
+    } catch {
+      throw new Error(`${name} in ${file} is not a valid address: ${value}`);
+    }
+    if (address === ZeroAddress) {
+      throw new Error(`${name} in ${file} cannot be the zero address.`);
+    }
+    return address;
+  };
+
+  if (raffleParameters.owner !== undefined) {
+    throw new Error(
+      `${file} sets OnChainRaffleModule.owner, which the module does not read. The deploying account ` +
+      "becomes the owner, use OnChainRaffleOwnershipModule.newOwner to hand ownership to another account."
+    );
+  }
+
+  if (!Array.isArray(raffleParameters.executors) || raffleParameters.executors.length === 0) {
+    throw new Error(`${file} must set OnChainRaffleModule.executors to a non-empty array of addresses.`);
+  }
+
+  const executors = raffleParameters.executors.map((executor, i) => toAddress(executor, `executors[${i}]`));
+  if (new Set(executors).size !== executors.length) {
+    throw new Error(`${file} lists the same executor more than once.`);
+  }
+
+  return {
+    parameters,
+    executors,
+    newOwner: ownershipParameters.newOwner ? toAddress(ownershipParameters.newOwner, "newOwner") : undefined,
+  };
+}
+
+/**
+ * @dev Checks the on-chain owner and executor set against the expected ones
+ * @param raffle OnChainRaffle contract instance
+ * @param expected.executors Exact executor set, order does not matter
+ * @param expected.owner Expected owner
+ * @return { owner, executors, missing, unexpected, inactive, ownerMatches, ok }
+ */
+async function verifyDeployment(raffle, expected) {
+  const owner = await raffle.owner();
+  const executors = [...(await raffle.getExecutors())];
+  const expectedExecutors = expected.executors.map(getAddress);
+
+  const inactive = [];
+  for (const executor of executors) {
+    if (!(await raffle.isExecutor(executor))) inactive.push(executor);
+  }
+
+  const missing = expectedExecutors.filter((executor) => !executors.includes(executor));
+  const unexpected = executors.filter((executor) => !expectedExecutors.includes(executor));
+  const ownerMatches = owner === getAddress(expected.owner);
+
+  return {
+    owner,
+    executors,
+    missing,
+    unexpected,
+    inactive,
+    ownerMatches,
+    ok: ownerMatches && missing.length === 0 && unexpected.length === 0 && inactive.length === 0,
+  };
+}
+
+/**
+ * @dev Deploys the libraries of RAFFLE_LIBRARIES, for deployments outside Ignition such as tests
+ * @param ethers The ethers object of the Hardhat runtime environment
+ * @return Library name to address, the libraries option of getContractFactory and deployContract
+ */
+async function deployRaffleLibraries(ethers) {
+  const libraries = {};
+  for (const name of RAFFLE_LIBRARIES) {
+    const library = await ethers.deployContract(name);
+    libraries[name] = await library.getAddress();
+  }
+  return libraries;
+}
+
+module.exports = {
+  RAFFLE_LIBRARIES,
+  deployRaffleLibraries,
+  loadDeploymentParameters,
+  verifyDeployment,
+};
@@ -0,0 +1,116 @@
+/**
+ * @dev Natural logarithm of the gamma function (Lanczos approximation, g = 7)
+ */
+function logGamma(x) {
+  const coefficients = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+    1.5056327351493116e-7,
+  ];
+
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+
+  x -= 1;
+  let sum = coefficients[0];
+  for (let i = 1; i < coefficients.length; i++) {
+    sum += coefficients[i] / (x + i);
+  }
+  const t = x + coefficients.length - 1.5;
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * @dev Regularized upper incomplete gamma function Q(a, x), by series below a + 1
+ * and by continued fraction above (Numerical Recipes 6.2)
+ */
+function regularizedGammaQ(a, x) {
+  if (x <= 0) return 1;
+
+  const prefix = -x + a * Math.log(x) - logGamma(a);
+  const EPSILON = 1e-15;
+  const TINY = 1e-300;
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 1000 && Math.abs(term) > Math.abs(sum) * EPSILON; n++) {
+      term *= x / (a + n);
+      sum += term;
+    }
+    return 1 - sum * Math.exp(prefix);
+  }
+
+  let b = x + 1 - a;
+  let c = 1 / TINY;
+  let d = 1 / b;
+  let h = d;
+  for (let n = 1; n < 1000; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = b + an / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return h * Math.exp(prefix);
+}
+
+/**
+ * @dev Pearson's chi-square goodness-of-fit test against a uniform distribution
+ * @param counts Observed count of each outcome
+ * @return { statistic, degreesOfFreedom, pValue, expected }
+ * @notice Needs an expected count of at least 5 per outcome for the approximation to hold
+ */
+function chiSquareUniform(counts) {
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  const expected = total / counts.length;
+  if (counts.length < 2 || expected < 5) {
+    throw new Error(`Chi-square needs at least 2 outcomes and 5 expected draws each, got ${expected.toFixed(2)}.`);
+  }
+
+  const statistic = counts.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+  const degreesOfFreedom = counts.length - 1;
+
+  return { statistic, degreesOfFreedom, pValue: regularizedGammaQ(degreesOfFreedom / 2, statistic / 2), expected };
+}
+
+/**
+ * @dev Tests every winner position of repeated draws for uniformity
+ * @param draws Winner lists whose values are participant indices (0 to participantCount - 1)
+ * @param participantCount Number of participants of each draw
+ * @return { positions, overall }, one chiSquareUniform result per position and one
+ * for how often each participant wins at any position
+ */
+function analyzeDraws(draws, participantCount) {
+  const numberOfWinners = draws[0].length;
+  const positions = Array.from({ length: numberOfWinners }, () => new Array(participantCount).fill(0));
+  const overall = new Array(participantCount).fill(0);
+
+  for (const winners of draws) {
+    if (winners.length !== numberOfWinners) {
+      throw new Error("Every draw must have the same number of winners.");
+    }
+    winners.forEach((winner, position) => {
+      const index = Number(winner);
+      if (!Number.isInteger(index) || index < 0 || index >= participantCount) {
+        throw new Error(`Winner ${winner} is not a participant index.`);
+      }
+      positions[position][index]++;
+      overall[index]++;
+    });
+  }
+
+  return { positions: positions.map(chiSquareUniform), overall: chiSquareUniform(overall) };
+}
+
+module.exports = {
+  analyzeDraws,
+  chiSquareUniform,
+  regularizedGammaQ,
+};
@@ -0,0 +1,98 @@
+const http = require("http");
+const { getAddress, isAddress } = require("ethers");
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parseAddress(value) {
+  if (!isAddress(value)) {
+    throw new HttpError(400, `Invalid address "${value}".`);
+  }
+  return getAddress(value);
+}
+
+function parseInteger(value, name, fallback) {
+  if (value === null) return fallback;
+  if (!/^\d+$/.test(value)) {
+    throw new HttpError(400, `Invalid ${name} "${value}".`);
+  }
+  return Number(value);
+}
+
+/**
+ * @dev Routes a GET request to the store
+ * @return JSON-serializable response body
+ */
+function route(store, url) {
+  const parts = url.pathname.split("/").filter(Boolean);
+
+  if (parts.length === 1 && parts[0] === "status") {
+    return { lastIndexedBlock: store.getLastIndexedBlock() ?? null, raffles: store.countRaffles() };
+  }
+
+  if (parts.length === 2 && parts[0] === "raffles") {
+    if (!/^\d+$/.test(parts[1])) {
+      throw new HttpError(400, `Invalid raffle ID "${parts[1]}".`);
+    }
+    const raffle = store.getRaffle(parts[1]);
+    if (!raffle) {
+      throw new HttpError(404, `Raffle #${parts[1]} is not indexed.`);
+    }
+    return raffle;
+  }
+
+  if (parts.length === 1 && parts[0] === "executors") {
+    return { executors: store.getExecutors() };
+  }
+
+  if (parts.length === 3 && parts[0] === "executors" && parts[2] === "raffles") {
+    const executor = parseAddress(parts[1]);
+    const offset = parseInteger(url.searchParams.get("offset"), "offset", 0);
+    const limit = Math.min(parseInteger(url.searchParams.get("limit"), "limit", 100), 1000);
+    return { executor, offset, limit, raffles: store.getRafflesByExecutor(executor, { offset, limit }) };
+  }
+
+  if (parts.length === 3 && parts[0] === "executors" && parts[2] === "history") {
+    const executor = parseAddress(parts[1]);
+    return { executor, changes: store.getExecutorHistory(executor) };
+  }
+
+  throw new HttpError(404, `No route for ${url.pathname}.`);
+}
+
+/**
+ * @dev Creates the read-only HTTP/JSON API over an IndexerStore
+ * @notice Routes:
+ *   GET /status
+ *   GET /raffles/:id
+ *   GET /executors
+ *   GET /executors/:address/raffles?offset=&limit=
+ *   GET /executors/:address/history
+ * @param store IndexerStore
+ * @return http.Server, not yet listening
+ */
+function createApiServer(store) {
+  return http.createServer((request, response) => {
+    let status = 200;
+    let body;
+
+    try {
+      if (request.method !== "GET") {
+        throw new HttpError(405, `Method ${request.method} is not allowed.`);
+      }
+      body = route(store, new URL(request.url, "http://localhost"));
+    } catch (error) {
+      status = error instanceof HttpError ? error.status : 500;
+      body = { error: error.message };
+    }
+
+    response.writeHead(status, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(body));
+  });
+}
+
+module.exports = { createApiServer };
@@ -0,0 +1,10 @@
+const { IndexerStore } = require("./store");
+const { RAFFLE_ABI, RaffleIndexer } = require("./indexer");
+const { createApiServer } = require("./api");
+
+module.exports = {
+  IndexerStore,
+  RAFFLE_ABI,
+  RaffleIndexer,
+  createApiServer,
+};
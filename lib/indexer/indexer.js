@@ -0,0 +1,238 @@
+const { Contract, getAddress } = require("ethers");
+const { RaffleMode } = require("../verifier");
+
+const RAFFLE_ABI = [
+  "event RaffleExecuted(uint256 indexed raffleId, uint256[] participants, uint256[] winners)",
+  "event WeightedRaffleExecuted(uint256 indexed raffleId, uint256[] participants, uint256[] weights, uint256[] winners)",
+  "event MerkleRaffleExecuted(uint256 indexed raffleId, bytes32 participantsRoot, uint256 participantCount, uint256[] winningIndices)",
+  "event TieredRaffleExecuted(uint256 indexed raffleId, uint256[] participants, uint256[] tierSizes, uint256[] excludedRaffleIds, uint256[] winners)",
+  "event RaffleInvalidated(uint256 indexed raffleId, address indexed by, string reason)",
+  "event RaffleRerun(uint256 indexed originalRaffleId, uint256 indexed raffleId)",
+  "event ExecutorAdded(address indexed executor)",
+  "event ExecutorRemoved(address indexed executor)",
+  "function getRaffle(uint256 raffleId) view returns (tuple(uint256 id, address executor, uint256 blockNumber, uint256 timestamp, uint256 participantCount, uint8 mode, uint8 status, bool isRerun, bytes32 participantsHash, string title, string uri, uint256[] winners))",
+];
+
+const MODE_NAMES = Object.fromEntries(Object.entries(RaffleMode).map(([name, value]) => [value, name]));
+
+/**
+ * @title RaffleIndexer
+ * @dev Follows OnChainRaffle logs into an IndexerStore and rolls back on reorgs
+ * @notice Reorgs are detected by re-checking the hashes of the last `reorgDepth` indexed blocks
+ */
+class RaffleIndexer {
+  /**
+   * @param options.provider ethers provider
+   * @param options.address OnChainRaffle address
+   * @param options.store IndexerStore
+   * @param options.startBlock First block to index, usually the deployment block
+   * @param options.reorgDepth Number of recent blocks re-checked for reorgs
+   * @param options.batchSize Maximum block range per getLogs call
+   */
+  constructor({ provider, address, store, startBlock = 0, reorgDepth = 12, batchSize = 2000 }) {
+    this.provider = provider;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.reorgDepth = reorgDepth;
+    this.batchSize = batchSize;
+    this.contract = new Contract(getAddress(address), RAFFLE_ABI, provider);
+    this.topics = [
+      "RaffleExecuted",
+      "WeightedRaffleExecuted",
+      "MerkleRaffleExecuted",
+      "TieredRaffleExecuted",
+      "RaffleInvalidated",
+      "RaffleRerun",
+      "ExecutorAdded",
+      "ExecutorRemoved",
+    ].map((name) => this.contract.interface.getEvent(name).topicHash);
+  }
+
+  /**
+   * @dev Indexes every block up to the current head
+   * @return { fromBlock, toBlock, raffles, executorChanges, statusChanges, reorgedFrom }
+   */
+  async sync() {
+    const head = await this.provider.getBlockNumber();
+    const reorgedFrom = await this._checkReorg();
+
+    const lastIndexed = this.store.getLastIndexedBlock();
+    const fromBlock = lastIndexed === undefined ? this.startBlock : lastIndexed + 1;
+    const summary = {
+      fromBlock,
+      toBlock: fromBlock - 1,
+      raffles: 0,
+      executorChanges: 0,
+      statusChanges: 0,
+      reorgedFrom,
+    };
+
+    for (let from = fromBlock; from <= head; from += this.batchSize) {
+      const to = Math.min(head, from + this.batchSize - 1);
+      const { raffles, executorChanges, statusChanges } = await this._indexRange(from, to, head);
+
+      summary.toBlock = to;
+      summary.raffles += raffles;
+      summary.executorChanges += executorChanges;
+      summary.statusChanges += statusChanges;
+    }
+
+    this.store.save();
+    return summary;
+  }
+
+  /**
+   * @dev Syncs repeatedly until stop() is called
+   * @param options.interval Delay between syncs in milliseconds
+   * @param options.onSync Called with each sync summary
+   * @param options.onError Called with sync errors, the loop keeps going
+   */
+  async follow({ interval = 4000, onSync, onError } = {}) {
+    this.following = true;
+
+    while (this.following) {
+      try {
+        const summary = await this.sync();
+        if (onSync) onSync(summary);
+      } catch (error) {
+        if (!onError) throw error;
+        onError(error);
+      }
+
+      if (this.following) {
+        await new Promise((resolve) => {
+          this._wake = resolve;
+          this._timer = setTimeout(resolve, interval);
+        });
+      }
+    }
+  }
+
+  /**
+   * @dev Stops a running follow() loop
+   */
+  stop() {
+    this.following = false;
+    clearTimeout(this._timer);
+    if (this._wake) this._wake();
+  }
+
+  /**
+   * @dev Compares stored block hashes with the chain and rolls back from the first mismatch
+   * @return First rolled back block, or null when no reorg happened
+   */
+  async _checkReorg() {
+    const lastIndexed = this.store.getLastIndexedBlock();
+    if (lastIndexed === undefined) return null;
+
+    for (const { number, hash } of this.store.getBlocksFrom(lastIndexed - this.reorgDepth + 1)) {
+      const block = await this.provider.getBlock(number);
+      if (!block || block.hash !== hash) {
+        this.store.rollback(number);
+        return number;
+      }
+    }
+
+    return null;
+  }
+
+  async _indexRange(from, to, head) {
+    const logs = await this.provider.getLogs({
+      address: this.contract.target,
+      fromBlock: from,
+      toBlock: to,
+      topics: [this.topics],
+    });
+
+    // Hashes are kept for blocks with logs and for the recent window re-checked on reorgs
+    const blockNumbers = new Set(logs.map((log) => log.blockNumber));
+    for (let number = Math.max(from, head - this.reorgDepth + 1); number <= to; number++) {
+      blockNumbers.add(number);
+    }
+
+    const blocks = new Map();
+    for (const number of blockNumbers) {
+      blocks.set(number, await this.provider.getBlock(number));
+    }
+
+    const raffles = [];
+    const executorChanges = [];
+    const statusChanges = [];
+
+    for (const log of logs) {
+      const block = blocks.get(log.blockNumber);
+      if (block.hash !== log.blockHash) {
+        throw new Error(`Block ${log.blockNumber} changed while indexing, retry the sync.`);
+      }
+
+      const parsed = this.contract.interface.parseLog(log);
+      const base = {
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        txHash: log.transactionHash,
+        logIndex: log.index,
+      };
+
+      if (parsed.name === "ExecutorAdded" || parsed.name === "ExecutorRemoved") {
+        executorChanges.push({
+          ...base,
+          executor: parsed.args.executor,
+          action: parsed.name === "ExecutorAdded" ? "added" : "removed",
+        });
+        continue;
+      }
+
+      if (parsed.name === "RaffleInvalidated") {
+        statusChanges.push({
+          ...base,
+          raffleId: parsed.args.raffleId.toString(),
+          status: "Invalidated",
+          reason: parsed.args.reason,
+        });
+        continue;
+      }
+
+      if (parsed.name === "RaffleRerun") {
+        statusChanges.push({
+          ...base,
+          raffleId: parsed.args.originalRaffleId.toString(),
+          status: "Replaced",
+          linkedRaffleId: parsed.args.raffleId.toString(),
+        });
+        continue;
+      }
+
+      const record = await this.contract.getRaffle(parsed.args.raffleId);
+      const winners = parsed.name === "MerkleRaffleExecuted" ? parsed.args.winningIndices : parsed.args.winners;
+      const participants = parsed.name === "MerkleRaffleExecuted" ? null : parsed.args.participants;
+
+      raffles.push({
+        ...base,
+        raffleId: parsed.args.raffleId.toString(),
+        mode: MODE_NAMES[Number(record.mode)],
+        executor: record.executor,
+        participantCount: Number(record.participantCount),
+        participants: participants && participants.map((participant) => participant.toString()),
+        winners: winners.map((winner) => winner.toString()),
+        timestamp: block.timestamp,
+      });
+    }
+
+    this.store.transaction(() => {
+      for (const raffle of raffles) this.store.insertRaffle(raffle);
+      for (const change of executorChanges) this.store.insertExecutorChange(change);
+      for (const change of statusChanges) this.store.insertStatusChange(change);
+      for (const [number, block] of blocks) this.store.saveBlock(number, block.hash);
+      this.store.pruneBlocks(to - this.reorgDepth + 1);
+      this.store.setLastIndexedBlock(to);
+    });
+
+    return {
+      raffles: raffles.length,
+      executorChanges: executorChanges.length,
+      statusChanges: statusChanges.length,
+    };
+  }
+}
+
+module.exports = { RAFFLE_ABI, RaffleIndexer };
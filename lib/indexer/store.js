@@ -0,0 +1,329 @@
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS raffles (
+    raffle_id TEXT PRIMARY KEY,
+    mode TEXT NOT NULL,
+    executor TEXT NOT NULL,
+    participant_count INTEGER NOT NULL,
+    participants TEXT,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS raffles_executor ON raffles (executor, block_number, log_index);
+  CREATE TABLE IF NOT EXISTS winners (
+    raffle_id TEXT NOT NULL,
+    rank INTEGER NOT NULL,
+    winner TEXT NOT NULL,
+    PRIMARY KEY (raffle_id, rank)
+  );
+  CREATE TABLE IF NOT EXISTS executor_changes (
+    executor TEXT NOT NULL,
+    action TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE TABLE IF NOT EXISTS raffle_status_changes (
+    raffle_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    reason TEXT,
+    linked_raffle_id TEXT,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS raffle_status_changes_raffle ON raffle_status_changes (raffle_id, block_number, log_index);
+  CREATE INDEX IF NOT EXISTS executor_changes_executor ON executor_changes (executor, block_number, log_index);
+`;
+
+/**
+ * @title IndexerStore
+ * @dev SQLite store of indexed raffles, winners and executor changes
+ * @notice Backed by sql.js, the database lives in memory and is written to `file` on save()
+ */
+class IndexerStore {
+  /**
+   * @dev Opens or creates a store
+   * @param file Database file, omit for a purely in-memory store
+   * @return IndexerStore
+   */
+  static async open(file) {
+    const SQL = await initSqlJs();
+    const db = file && fs.existsSync(file)
+      ? new SQL.Database(fs.readFileSync(file))
+      : new SQL.Database();
+
+    return new IndexerStore(db, file);
+  }
+
+  constructor(db, file) {
+    this.db = db;
+    this.file = file;
+    this.db.exec(SCHEMA);
+  }
+
+  /**
+   * @dev Runs fn inside a transaction, rolled back if it throws
+   */
+  transaction(fn) {
+    this.db.exec("BEGIN");
+    try {
+      const result = fn();
+      this.db.exec("COMMIT");
+      return result;
+    } catch (error) {
+      this.db.exec("ROLLBACK");
+      throw error;
+    }
+  }
+
+  all(sql, params = []) {
+    const statement = this.db.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  get(sql, params = []) {
+    return this.all(sql, params)[0];
+  }
+
+  run(sql, params = []) {
+    this.db.run(sql, params);
+  }
+
+  /**
+   * @dev Last block fully indexed, or undefined before the first sync
+   */
+  getLastIndexedBlock() {
+    const row = this.get("SELECT value FROM meta WHERE key = 'lastIndexedBlock'");
+    return row ? Number(row.value) : undefined;
+  }
+
+  setLastIndexedBlock(blockNumber) {
+    this.run(
+      "INSERT INTO meta (key, value) VALUES ('lastIndexedBlock', ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value",
+      [String(blockNumber)]
+    );
+  }
+
+  saveBlock(number, hash) {
+    this.run("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)", [number, hash]);
+  }
+
+  /**
+   * @dev Block hashes recorded at or above a block number, lowest first
+   */
+  getBlocksFrom(number) {
+    return this.all("SELECT number, hash FROM blocks WHERE number >= ? ORDER BY number", [number]);
+  }
+
+  pruneBlocks(belowNumber) {
+    this.run("DELETE FROM blocks WHERE number < ?", [belowNumber]);
+  }
+
+  insertRaffle(raffle) {
+    this.run(
+      `INSERT OR REPLACE INTO raffles
+        (raffle_id, mode, executor, participant_count, participants, block_number, block_hash, timestamp, tx_hash, log_index)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        raffle.raffleId,
+        raffle.mode,
+        raffle.executor,
+        raffle.participantCount,
+        raffle.participants ? JSON.stringify(raffle.participants) : null,
+        raffle.blockNumber,
+        raffle.blockHash,
+        raffle.timestamp,
+        raffle.txHash,
+        raffle.logIndex,
+      ]
+    );
+    this.run("DELETE FROM winners WHERE raffle_id = ?", [raffle.raffleId]);
+    raffle.winners.forEach((winner, rank) => {
+      this.run("INSERT INTO winners (raffle_id, rank, winner) VALUES (?, ?, ?)", [raffle.raffleId, rank, winner]);
+    });
+  }
+
+  insertExecutorChange(change) {
+    this.run(
+      `INSERT OR REPLACE INTO executor_changes
+        (executor, action, block_number, block_hash, tx_hash, log_index)
+        VALUES (?, ?, ?, ?, ?, ?)`,
+      [change.executor, change.action, change.blockNumber, change.blockHash, change.txHash, change.logIndex]
+    );
+  }
+
+  /**
+   * @dev Records an invalidation (status Invalidated) or a rerun (status Replaced, linked to the rerun)
+   */
+  insertStatusChange(change) {
+    this.run(
+      `INSERT OR REPLACE INTO raffle_status_changes
+        (raffle_id, status, reason, linked_raffle_id, block_number, block_hash, tx_hash, log_index)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        change.raffleId,
+        change.status,
+        change.reason ?? null,
+        change.linkedRaffleId ?? null,
+        change.blockNumber,
+        change.blockHash,
+        change.txHash,
+        change.logIndex,
+      ]
+    );
+  }
+
+  /**
+   * @dev Drops everything indexed at or above a block, used when a reorg is detected
+   * @param blockNumber First block to drop
+   */
+  rollback(blockNumber) {
+    this.transaction(() => {
+      this.run(
+        "DELETE FROM winners WHERE raffle_id IN (SELECT raffle_id FROM raffles WHERE block_number >= ?)",
+        [blockNumber]
+      );
+      this.run("DELETE FROM raffles WHERE block_number >= ?", [blockNumber]);
+      this.run("DELETE FROM executor_changes WHERE block_number >= ?", [blockNumber]);
+      this.run("DELETE FROM raffle_status_changes WHERE block_number >= ?", [blockNumber]);
+      this.run("DELETE FROM blocks WHERE number >= ?", [blockNumber]);
+      this.setLastIndexedBlock(blockNumber - 1);
+    });
+  }
+
+  /**
+   * @dev Gets an indexed raffle with its winners
+   * @param raffleId The ID of the raffle
+   * @return Raffle object or undefined
+   */
+  getRaffle(raffleId) {
+    const row = this.get("SELECT * FROM raffles WHERE raffle_id = ?", [String(raffleId)]);
+    return row ? this._toRaffle(row) : undefined;
+  }
+
+  /**
+   * @dev Lists the raffles run by an executor, oldest first
+   */
+  getRafflesByExecutor(executor, { offset = 0, limit = 100 } = {}) {
+    return this.all(
+      "SELECT * FROM raffles WHERE executor = ? ORDER BY block_number, log_index LIMIT ? OFFSET ?",
+      [executor, limit, offset]
+    ).map((row) => this._toRaffle(row));
+  }
+
+  /**
+   * @dev Lists every ExecutorAdded/ExecutorRemoved event of an executor, oldest first
+   */
+  getExecutorHistory(executor) {
+    return this.all(
+      "SELECT * FROM executor_changes WHERE executor = ? ORDER BY block_number, log_index",
+      [executor]
+    ).map((row) => this._toExecutorChange(row));
+  }
+
+  /**
+   * @dev Executors whose latest change is an addition
+   */
+  getExecutors() {
+    return this.all(
+      `SELECT executor FROM executor_changes AS c
+        WHERE action = 'added' AND NOT EXISTS (
+          SELECT 1 FROM executor_changes AS later
+          WHERE later.executor = c.executor
+            AND (later.block_number > c.block_number
+              OR (later.block_number = c.block_number AND later.log_index > c.log_index))
+        )
+        ORDER BY block_number, log_index`
+    ).map((row) => row.executor);
+  }
+
+  countRaffles() {
+    return this.get("SELECT COUNT(*) AS count FROM raffles").count;
+  }
+
+  /**
+   * @dev Writes the database to its file, no-op for in-memory stores
+   */
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, Buffer.from(this.db.export()));
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  _toRaffle(row) {
+    const changes = this.all(
+      "SELECT * FROM raffle_status_changes WHERE raffle_id = ? ORDER BY block_number, log_index",
+      [row.raffle_id]
+    );
+    const invalidation = changes.find((change) => change.status === "Invalidated");
+    const replacement = changes.find((change) => change.status === "Replaced");
+    const rerun = this.get(
+      "SELECT raffle_id FROM raffle_status_changes WHERE status = 'Replaced' AND linked_raffle_id = ?",
+      [row.raffle_id]
+    );
+
+    return {
+      raffleId: row.raffle_id,
+      mode: row.mode,
+      status: changes.length > 0 ? changes[changes.length - 1].status : "Valid",
+      invalidationReason: invalidation ? invalidation.reason : null,
+      replacedBy: replacement ? replacement.linked_raffle_id : null,
+      rerunOf: rerun ? rerun.raffle_id : null,
+      executor: row.executor,
+      participantCount: row.participant_count,
+      participants: row.participants ? JSON.parse(row.participants) : null,
+      winners: this.all("SELECT winner FROM winners WHERE raffle_id = ? ORDER BY rank", [row.raffle_id])
+        .map((winner) => winner.winner),
+      blockNumber: row.block_number,
+      blockHash: row.block_hash,
+      timestamp: row.timestamp,
+      txHash: row.tx_hash,
+      logIndex: row.log_index,
+    };
+  }
+
+  _toExecutorChange(row) {
+    return {
+      executor: row.executor,
+      action: row.action,
+      blockNumber: row.block_number,
+      blockHash: row.block_hash,
+      txHash: row.tx_hash,
+      logIndex: row.log_index,
+    };
+  }
+}
+
+module.exports = { IndexerStore };
@@ -0,0 +1,64 @@
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+
+/// Leaf layout expected by OnChainRaffle.verifyMerkleWinner: (index, participant)
+const LEAF_ENCODING = ["uint256", "uint256"];
+
+/**
+ * @dev Builds the participant tree committed by executeMerkleRaffle
+ * @param participants Participant IDs in draw order
+ * @return StandardMerkleTree whose leaves are [index, participant]
+ */
+function buildParticipantTree(participants) {
+  if (participants.length === 0) {
+    throw new Error("Cannot build a participant tree without participants.");
+  }
+
+  return StandardMerkleTree.of(
+    participants.map((participant, index) => [index, BigInt(participant)]),
+    LEAF_ENCODING
+  );
+}
+
+/**
+ * @dev Restores a tree archived with tree.dump()
+ * @param dump Output of StandardMerkleTree#dump
+ * @return StandardMerkleTree
+ */
+function loadParticipantTree(dump) {
+  return StandardMerkleTree.load(dump);
+}
+
+/**
+ * @dev Produces the proofs for the winning indices of a Merkle raffle
+ * @param tree Tree returned by buildParticipantTree
+ * @param winningIndices Indices from MerkleRaffleExecuted or getRaffleWinners
+ * @return One { rank, index, participant, proof } entry per winner, in rank order
+ */
+function getWinnerProofs(tree, winningIndices) {
+  const leafPositions = new Map();
+  for (const [position, [index]] of tree.entries()) {
+    leafPositions.set(BigInt(index), position);
+  }
+
+  return winningIndices.map((winningIndex, rank) => {
+    const position = leafPositions.get(BigInt(winningIndex));
+    if (position === undefined) {
+      throw new Error(`Index ${winningIndex} is not in the participant tree.`);
+    }
+
+    const [index, participant] = tree.at(position);
+    return {
+      rank,
+      index: BigInt(index),
+      participant: BigInt(participant),
+      proof: tree.getProof(position),
+    };
+  });
+}
+
+module.exports = {
+  LEAF_ENCODING,
+  buildParticipantTree,
+  getWinnerProofs,
+  loadParticipantTree,
+};
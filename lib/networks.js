@@ -0,0 +1,88 @@
+/// Named networks configured from .env, each reading <PREFIX>_RPC and <PREFIX>_PK before RPC and PK,
+/// with the Sourcify endpoint and explorer that `npx hardhat verify` uses on that network
+const NETWORK_PROFILES = {
+  monadTestnet: {
+    chainId: 10143,
+    envPrefix: "MONAD_TESTNET",
+    sourcify: { apiUrl: "https://sourcify-api-monad.blockvision.org", browserUrl: "https://testnet.monadexplorer.com" },
+  },
+  monad: {
+    chainId: 143,
+    envPrefix: "MONAD",
+    sourcify: { apiUrl: "https://sourcify-api-monad.blockvision.org", browserUrl: "https://monadvision.com" },
+  },
+};
+
+/**
+ * @dev Reads a variable, treating empty strings (as left by .env.example) as unset
+ */
+function readEnv(env, name) {
+  const value = env[name];
+  return value === undefined || value.trim() === "" ? undefined : value.trim();
+}
+
+/**
+ * @dev Parses a comma-separated list of private keys, with or without 0x prefix
+ * @param value Value of a PK variable
+ * @return Array of 0x-prefixed keys
+ */
+function parsePrivateKeys(value) {
+  return value
+    .split(",")
+    .map((key) => key.trim())
+    .filter((key) => key.length > 0)
+    .map((key) => {
+      const hex = key.startsWith("0x") ? key.slice(2) : key;
+      if (!/^[0-9a-fA-F]{64}$/.test(hex)) {
+        throw new Error("Private keys must be 32-byte hex strings.");
+      }
+      return `0x${hex}`;
+    });
+}
+
+/**
+ * @dev Builds the Hardhat network entries of every profile with an RPC URL
+ * @param env Environment variables, process.env by default
+ * @param profiles Profiles to build, NETWORK_PROFILES by default
+ * @return Hardhat networks config, profiles without an RPC URL are left out
+ * @notice A profile without a private key uses the node's own accounts
+ */
+function buildNetworks(env = process.env, profiles = NETWORK_PROFILES) {
+  const networks = {};
+
+  for (const [name, { chainId, envPrefix }] of Object.entries(profiles)) {
+    const url = readEnv(env, `${envPrefix}_RPC`) || readEnv(env, "RPC");
+    if (!url) continue;
+
+    const keys = readEnv(env, `${envPrefix}_PK`) || readEnv(env, "PK");
+    networks[name] = {
+      url,
+      chainId,
+      ...(keys ? { accounts: parsePrivateKeys(keys) } : {}),
+    };
+  }
+
+  return networks;
+}
+
+/**
+ * @dev Builds the hardhat-verify Sourcify settings of a network
+ * @param networkName Name of the selected network
+ * @param profiles Profiles to look the network up in, NETWORK_PROFILES by default
+ * @return Sourcify config, disabled for networks without a profile such as hardhat and localhost
+ */
+function sourcifyConfig(networkName, profiles = NETWORK_PROFILES) {
+  const profile = Object.hasOwn(profiles, networkName) ? profiles[networkName] : undefined;
+  if (!profile || !profile.sourcify) {
+    return { enabled: false };
+  }
+
+  return { enabled: true, ...profile.sourcify };
+}
+
+module.exports = {
+  NETWORK_PROFILES,
+  buildNetworks,
+  parsePrivateKeys,
+  sourcifyConfig,
+};
@@ -0,0 +1,240 @@
+const fs = require("fs");
+const path = require("path");
+const { getAddress, isAddress, keccak256, toUtf8Bytes } = require("ethers");
+
+const STORE_VERSION = 1;
+
+/**
+ * @dev Splits one CSV line into cells, honouring double-quoted values
+ */
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+
+  return cells;
+}
+
+/**
+ * @dev Normalizes an entrant into a record with an address and/or handle
+ * @param entrant Address string, handle string or record object
+ * @return Entrant record
+ */
+function normalizeEntrant(entrant) {
+  if (typeof entrant === "string") {
+    return isAddress(entrant) ? { address: entrant } : { handle: entrant };
+  }
+  if (entrant === null || typeof entrant !== "object") {
+    throw new Error(`Invalid entrant ${JSON.stringify(entrant)}.`);
+  }
+  return { ...entrant };
+}
+
+/**
+ * @dev Returns the identity an entrant ID is derived from
+ * @notice Addresses take precedence over handles and are namespaced so an
+ * address and a handle with the same text never collide
+ * @param entrant Entrant record
+ * @return Identity string such as "address:0xAb..." or "handle:alice"
+ */
+function entrantKey(entrant) {
+  const record = normalizeEntrant(entrant);
+
+  if (record.address) {
+    if (!isAddress(record.address)) {
+      throw new Error(`Invalid entrant address "${record.address}".`);
+    }
+    return `address:${getAddress(record.address)}`;
+  }
+
+  const handle = record.handle || record.username;
+  if (handle && String(handle).trim().length > 0) {
+    return `handle:${String(handle).trim().toLowerCase()}`;
+  }
+
+  throw new Error(`Entrant ${JSON.stringify(entrant)} has no address or handle.`);
+}
+
+/**
+ * @dev Derives the deterministic uint256 participant ID of an entrant
+ * @param entrant Entrant record, address or handle
+ * @return keccak256 of the entrant key as bigint
+ */
+function entrantId(entrant) {
+  return BigInt(keccak256(toUtf8Bytes(entrantKey(entrant))));
+}
+
+/**
+ * @dev Loads entrants from a CSV file with a header row or from a JSON array
+ * @param file Path to the entrant list
+ * @return Array of entrant records
+ */
+function loadEntrants(file) {
+  const content = fs.readFileSync(file, "utf8");
+
+  if (path.extname(file).toLowerCase() === ".json") {
+    const parsed = JSON.parse(content);
+    if (!Array.isArray(parsed)) {
+      throw new Error(`${file} must contain a JSON array of entrants.`);
+    }
+    return parsed.map(normalizeEntrant);
+  }
+
+  const lines = content.split(/\r?\n/).filter((line) => line.trim().length > 0);
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const header = parseCsvLine(lines[0]).map((column) => column.toLowerCase());
+  if (!header.includes("address") && !header.includes("handle") && !header.includes("username")) {
+    throw new Error(`${file} needs an address, handle or username column.`);
+  }
+
+  return lines.slice(1).map((line) => {
+    const cells = parseCsvLine(line);
+    const record = {};
+    header.forEach((column, i) => {
+      if (cells[i] !== undefined && cells[i] !== "") {
+        record[column] = cells[i];
+      }
+    });
+    return record;
+  });
+}
+
+/**
+ * @dev Assigns participant IDs to an entrant list
+ * @param entrants Entrant records
+ * @return Records extended with their `id`, in input order
+ */
+function assignIds(entrants) {
+  const seen = new Map();
+
+  return entrants.map((entrant) => {
+    const record = normalizeEntrant(entrant);
+    const key = entrantKey(record);
+    if (seen.has(key)) {
+      throw new Error(`Duplicate entrant ${key}.`);
+    }
+    seen.set(key, true);
+    return { ...record, id: entrantId(record) };
+  });
+}
+
+/**
+ * @title ParticipantRegistry
+ * @dev Local JSON store mapping raffle participant IDs back to entrant records
+ */
+class ParticipantRegistry {
+  /**
+   * @param file Path of the JSON store, created on first save
+   */
+  constructor(file) {
+    this.file = file;
+    this.data = fs.existsSync(file)
+      ? JSON.parse(fs.readFileSync(file, "utf8"))
+      : { version: STORE_VERSION, raffles: {} };
+
+    if (this.data.version !== STORE_VERSION) {
+      throw new Error(`Unsupported registry version ${this.data.version} in ${file}.`);
+    }
+  }
+
+  /**
+   * @dev Stores the entrants of a raffle
+   * @param raffleId The ID of the raffle
+   * @param entrants Entrant records, IDs are assigned when missing
+   * @return Stored records with their IDs
+   */
+  register(raffleId, entrants) {
+    const key = String(raffleId);
+    if (this.data.raffles[key]) {
+      throw new Error(`Raffle #${key} is already registered.`);
+    }
+
+    const records = assignIds(entrants);
+    this.data.raffles[key] = {
+      registeredAt: new Date().toISOString(),
+      entrants: records.map((record) => ({ ...record, id: record.id.toString() })),
+    };
+    this.save();
+
+    return records;
+  }
+
+  /**
+   * @dev Checks whether a raffle has stored entrants
+   */
+  has(raffleId) {
+    return Boolean(this.data.raffles[String(raffleId)]);
+  }
+
+  /**
+   * @dev Returns the stored entrants of a raffle
+   * @param raffleId The ID of the raffle
+   * @return Entrant records with bigint IDs
+   */
+  entrants(raffleId) {
+    const raffle = this.data.raffles[String(raffleId)];
+    if (!raffle) {
+      throw new Error(`Raffle #${raffleId} is not registered.`);
+    }
+    return raffle.entrants.map((record) => ({ ...record, id: BigInt(record.id) }));
+  }
+
+  /**
+   * @dev Maps winner IDs of a raffle back to entrant records
+   * @param raffleId The ID of the raffle
+   * @param winners Winner IDs from RaffleExecuted or getRaffleWinners
+   * @return Entrant records in winner order
+   */
+  resolveWinners(raffleId, winners) {
+    const byId = new Map(this.entrants(raffleId).map((record) => [record.id, record]));
+
+    return winners.map((winner) => {
+      const record = byId.get(BigInt(winner));
+      if (!record) {
+        throw new Error(`Winner ${winner} is not an entrant of raffle #${raffleId}.`);
+      }
+      return record;
+    });
+  }
+
+  /**
+   * @dev Writes the store to disk
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2) + "\n");
+  }
+}
+
+module.exports = {
+  ParticipantRegistry,
+  assignIds,
+  entrantId,
+  entrantKey,
+  loadEntrants,
+};
@@ -0,0 +1,85 @@
+/// Mirrors OnChainRaffle.EXECUTE_RAFFLE_TYPEHASH
+const EXECUTE_RAFFLE_TYPES = {
+  ExecuteRaffle: [
+    { name: "executor", type: "address" },
+    { name: "participants", type: "uint256[]" },
+    { name: "numberOfWinners", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * @dev Builds the typed data signed for executeRaffleWithSignature
+ * @param domain EIP-712 domain { name, version, chainId, verifyingContract }
+ * @param authorization { executor, participants, numberOfWinners, nonce, deadline }
+ * @return { domain, types, message } ready for signer.signTypedData
+ */
+function buildRaffleAuthorization(domain, { executor, participants, numberOfWinners, nonce, deadline }) {
+  if (participants.length === 0) {
+    throw new Error("Cannot authorize a raffle without participants.");
+  }
+
+  return {
+    domain,
+    types: EXECUTE_RAFFLE_TYPES,
+    message: {
+      executor,
+      participants: participants.map(BigInt),
+      numberOfWinners: BigInt(numberOfWinners),
+      nonce: BigInt(nonce),
+      deadline: BigInt(deadline),
+    },
+  };
+}
+
+/**
+ * @dev Reads the EIP-712 domain of a deployed raffle contract (ERC-5267)
+ * @param raffle OnChainRaffle contract instance
+ * @return { name, version, chainId, verifyingContract }
+ */
+async function getRaffleDomain(raffle) {
+  const [, name, version, chainId, verifyingContract] = await raffle.eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+/**
+ * @dev Signs an authorization that any relayer can submit with executeRaffleWithSignature
+ * @param raffle OnChainRaffle contract instance
+ * @param signer Executor signer, it never sends a transaction
+ * @param options.participants Participant IDs/indices
+ * @param options.numberOfWinners Number of winners to select
+ * @param options.deadline Unix timestamp after which the signature is rejected
+ * @param options.nonce Defaults to the executor's current on-chain nonce
+ * @return { executor, participants, numberOfWinners, nonce, deadline, signature }
+ * @notice Nonces are sequential, authorizations must be submitted in nonce order
+ */
+async function signRaffleAuthorization(raffle, signer, { participants, numberOfWinners, deadline, nonce }) {
+  const executor = await signer.getAddress();
+  const { domain, types, message } = buildRaffleAuthorization(await getRaffleDomain(raffle), {
+    executor,
+    participants,
+    numberOfWinners,
+    nonce: nonce ?? (await raffle.nonces(executor)),
+    deadline,
+  });
+
+  return { ...message, signature: await signer.signTypedData(domain, types, message) };
+}
+
+/**
+ * @dev Orders an authorization as the arguments of executeRaffleWithSignature
+ * @param authorization Output of signRaffleAuthorization
+ * @return [executor, participants, numberOfWinners, nonce, deadline, signature]
+ */
+function authorizationArgs({ executor, participants, numberOfWinners, nonce, deadline, signature }) {
+  return [executor, participants, numberOfWinners, nonce, deadline, signature];
+}
+
+module.exports = {
+  EXECUTE_RAFFLE_TYPES,
+  authorizationArgs,
+  buildRaffleAuthorization,
+  getRaffleDomain,
+  signRaffleAuthorization,
+};
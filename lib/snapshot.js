@@ -0,0 +1,265 @@
+const fs = require("fs");
+const path = require("path");
+const { AbiCoder, ZeroAddress, dataSlice, getAddress, id, solidityPackedKeccak256 } = require("ethers");
+const { entrantId } = require("./registry");
+
+const SNAPSHOT_VERSION = 1;
+
+/// Shared by ERC-20 and ERC-721, which differ only in whether the value is indexed
+const TRANSFER_TOPIC = id("Transfer(address,address,uint256)");
+
+const STANDARDS = ["erc20", "erc721"];
+
+/**
+ * @dev Recomputes the participantsHash OnChainRaffle stores for a participant list
+ * @param participants Participant IDs in draw order
+ * @param weights Weights for executeWeightedRaffle, omitted for executeRaffle
+ * @return keccak256(abi.encodePacked(participants)) or keccak256(abi.encodePacked(participants, weights))
+ */
+function participantsHash(participants, weights) {
+  return weights
+    ? solidityPackedKeccak256(["uint256[]", "uint256[]"], [participants, weights])
+    : solidityPackedKeccak256(["uint256[]"], [participants]);
+}
+
+/**
+ * @dev Replays the Transfer logs of a token into holder balances
+ * @param provider ethers provider
+ * @param token Token address
+ * @param options.snapshotBlock Last block included in the snapshot
+ * @param options.fromBlock First block to replay, at or before the token's deployment (default 0)
+ * @param options.standard "erc20" or "erc721", detected from the logs when omitted
+ * @param options.blockRange Blocks per eth_getLogs request (default 2000)
+ * @return { standard, balances, transfers }, balances maps checksummed addresses to bigint
+ * balances (token count for ERC-721) and never contains the zero address
+ */
+async function replayTransfers(provider, token, { snapshotBlock, fromBlock = 0, standard, blockRange = 2000 }) {
+  if (standard !== undefined && !STANDARDS.includes(standard)) {
+    throw new Error(`Unknown token standard "${standard}", expected erc20 or erc721.`);
+  }
+  if (fromBlock > snapshotBlock) {
+    throw new Error(`Start block ${fromBlock} is after snapshot block ${snapshotBlock}.`);
+  }
+
+  const coder = AbiCoder.defaultAbiCoder();
+  const balances = new Map();
+  const credit = (account, amount) => {
+    if (account !== ZeroAddress) balances.set(account, (balances.get(account) || 0n) + amount);
+  };
+
+  let detected = standard;
+  let transfers = 0;
+  for (let start = fromBlock; start <= snapshotBlock; start += blockRange) {
+    const logs = await provider.getLogs({
+      address: token,
+      topics: [TRANSFER_TOPIC],
+      fromBlock: start,
+      toBlock: Math.min(start + blockRange - 1, snapshotBlock),
+    });
+
+    for (const log of logs) {
+      const logStandard = log.topics.length === 4 ? "erc721" : "erc20";
+      detected = detected || logStandard;
+      if (logStandard !== detected) {
+        throw new Error(`Transfer in tx ${log.transactionHash} is not an ${detected.toUpperCase()} transfer.`);
+      }
+
+      const from = getAddress(dataSlice(log.topics[1], 12));
+      const to = getAddress(dataSlice(log.topics[2], 12));
+      const amount = detected === "erc721" ? 1n : coder.decode(["uint256"], log.data)[0];
+      credit(from, -amount);
+      credit(to, amount);
+      transfers++;
+    }
+  }
+
+  for (const [account, balance] of balances) {
+    if (balance < 0n) {
+      throw new Error(`Negative balance for ${account}, replay from the token's deployment block.`);
+    }
+  }
+
+  return { standard: detected || "erc20", balances, transfers };
+}
+
+/**
+ * @dev Turns balances into the sorted holder list of a snapshot
+ * @param balances Map of address to balance, from replayTransfers
+ * @param filters.minBalance Smallest balance that qualifies (default 1)
+ * @param filters.exclude Addresses that never qualify, e.g. treasury, pools or the raffle itself
+ * @param filters.weightUnit Balance per weight unit, enables weighting (weight = balance / weightUnit)
+ * @param filters.maxWeight Cap on a holder's weight, zero for none
+ * @return Holders sorted by address as { address, balance, id, weight }, weight only when weighted
+ * @notice Weighted holders whose balance is below one weightUnit are dropped
+ */
+function selectHolders(balances, { minBalance = 1n, exclude = [], weightUnit, maxWeight = 0n } = {}) {
+  const excluded = new Set(exclude.map((address) => getAddress(address)));
+  const weighted = weightUnit !== undefined && weightUnit !== null;
+  if (weighted && BigInt(weightUnit) <= 0n) {
+    throw new Error("Weight unit must be positive.");
+  }
+
+  const holders = [];
+  for (const [address, balance] of balances) {
+    if (excluded.has(address) || balance < BigInt(minBalance) || balance === 0n) continue;
+
+    const holder = { address, balance, id: entrantId({ address }) };
+    if (weighted) {
+      let weight = balance / BigInt(weightUnit);
+      if (BigInt(maxWeight) > 0n && weight > BigInt(maxWeight)) weight = BigInt(maxWeight);
+      if (weight === 0n) continue;
+      holder.weight = weight;
+    }
+    holders.push(holder);
+  }
+
+  // Sort on lowercase addresses so the order does not depend on checksum casing or Map insertion
+  return holders.sort((a, b) => (a.address.toLowerCase() < b.address.toLowerCase() ? -1 : 1));
+}
+
+/**
+ * @dev Derives the draw inputs of a holder list
+ * @return { participants, weights, participantsHash }, weights is undefined for unweighted snapshots
+ */
+function snapshotParticipants(holders) {
+  const participants = holders.map((holder) => holder.id);
+  const weights = holders.length > 0 && holders[0].weight !== undefined
+    ? holders.map((holder) => holder.weight)
+    : undefined;
+
+  return { participants, weights, participantsHash: participantsHash(participants, weights) };
+}
+
+/**
+ * @dev Builds an eligibility snapshot of the holders of a token at a block
+ * @param provider ethers provider
+ * @param token ERC-20 or ERC-721 address
+ * @param options.snapshotBlock Snapshot block, must already be mined (defaults to the latest block)
+ * @param options Other replayTransfers options and selectHolders filters
+ * @return Snapshot with its holders, participants (registry entrant IDs of the holder addresses),
+ * weights when weighted, participantsHash and the block hash for audit
+ * @notice The participants and hash only depend on the token, blocks and filters
+ */
+async function buildSnapshot(provider, token, options = {}) {
+  const latest = await provider.getBlockNumber();
+  const snapshotBlock = options.snapshotBlock ?? latest;
+  if (snapshotBlock > latest) {
+    throw new Error(`Snapshot block ${snapshotBlock} is ahead of the latest block ${latest}.`);
+  }
+
+  const { standard, balances, transfers } = await replayTransfers(provider, token, { ...options, snapshotBlock });
+  const filters = {
+    minBalance: BigInt(options.minBalance ?? 1n),
+    exclude: (options.exclude || []).map((address) => getAddress(address)).sort(),
+    weightUnit: options.weightUnit !== undefined && options.weightUnit !== null ? BigInt(options.weightUnit) : null,
+    maxWeight: BigInt(options.maxWeight ?? 0n),
+  };
+  const holders = selectHolders(balances, filters);
+  const { chainId } = await provider.getNetwork();
+  const block = await provider.getBlock(snapshotBlock);
+
+  return {
+    version: SNAPSHOT_VERSION,
+    chainId,
+    token: getAddress(token),
+    standard,
+    fromBlock: options.fromBlock ?? 0,
+    snapshotBlock,
+    blockHash: block.hash,
+    transfers,
+    filters,
+    holders,
+    ...snapshotParticipants(holders),
+  };
+}
+
+/**
+ * @dev Recomputes the participants and hash of a snapshot from its holders
+ * @return Whether the stored participants, weights and participantsHash are consistent
+ */
+function verifySnapshot(snapshot) {
+  const expected = snapshotParticipants(snapshot.holders);
+  const sameList = (a, b) => (a === undefined && b === undefined) ||
+    (a !== undefined && b !== undefined && a.length === b.length && a.every((value, i) => value === b[i]));
+
+  return snapshot.holders.every((holder) => holder.id === entrantId({ address: holder.address })) &&
+    sameList(expected.participants, snapshot.participants) &&
+    sameList(expected.weights, snapshot.weights) &&
+    expected.participantsHash === snapshot.participantsHash;
+}
+
+/**
+ * @dev Archives a snapshot as snapshots/chain-<chainId>/<token>-<block>.json under a directory
+ * @param dir Archive root
+ * @param snapshot Output of buildSnapshot
+ * @return Path of the archive file
+ * @notice An existing archive is kept when identical and never overwritten with different holders
+ */
+function archiveSnapshot(dir, snapshot) {
+  const file = path.join(dir, `chain-${snapshot.chainId}`, `${snapshot.token}-${snapshot.snapshotBlock}.json`);
+
+  if (fs.existsSync(file)) {
+    const existing = loadSnapshot(file);
+    if (existing.participantsHash !== snapshot.participantsHash) {
+      throw new Error(`${file} already archives a different snapshot (${existing.participantsHash}).`);
+    }
+    return file;
+  }
+
+  const archived = { ...snapshot, archivedAt: new Date().toISOString() };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(
+    file,
+    JSON.stringify(archived, (_, value) => (typeof value === "bigint" ? value.toString() : value), 2) + "\n"
+  );
+
+  return file;
+}
+
+/**
+ * @dev Loads an archived snapshot and checks it has not been altered
+ * @param file Archive written by archiveSnapshot
+ * @return Snapshot with bigint balances, IDs and weights
+ */
+function loadSnapshot(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (data.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${data.version} in ${file}.`);
+  }
+
+  const optionalBigInt = (value) => (value === null || value === undefined ? value : BigInt(value));
+  const snapshot = {
+    ...data,
+    chainId: BigInt(data.chainId),
+    filters: {
+      ...data.filters,
+      minBalance: BigInt(data.filters.minBalance),
+      weightUnit: optionalBigInt(data.filters.weightUnit),
+      maxWeight: BigInt(data.filters.maxWeight),
+    },
+    holders: data.holders.map((holder) => ({
+      ...holder,
+      balance: BigInt(holder.balance),
+      id: BigInt(holder.id),
+      ...(holder.weight !== undefined && { weight: BigInt(holder.weight) }),
+    })),
+    participants: data.participants.map(BigInt),
+    weights: data.weights && data.weights.map(BigInt),
+  };
+
+  if (!verifySnapshot(snapshot)) {
+    throw new Error(`Snapshot ${file} does not match its participantsHash ${data.participantsHash}.`);
+  }
+  return snapshot;
+}
+
+module.exports = {
+  TRANSFER_TOPIC,
+  archiveSnapshot,
+  buildSnapshot,
+  loadSnapshot,
+  participantsHash,
+  replayTransfers,
+  selectHolders,
+  verifySnapshot,
+};
@@ -0,0 +1,290 @@
+const { solidityPackedKeccak256, toQuantity } = require("ethers");
+
+/// Mirrors OnChainRaffle.RaffleMode
+const RaffleMode = {
+  Standard: 0,
+  CommitReveal: 1,
+  Requested: 2,
+  Weighted: 3,
+  Merkle: 4,
+  Scheduled: 5,
+  Tiered: 6,
+};
+
+/// Mirrors OnChainRaffle.CommitmentStatus
+const CommitmentStatus = {
+  None: 0,
+  Pending: 1,
+  Revealed: 2,
+  Expired: 3,
+};
+
+const MODE_NAMES = Object.fromEntries(Object.entries(RaffleMode).map(([name, value]) => [value, name]));
+
+/**
+ * @dev Random source matching OnChainRaffle._generateRandomNumber
+ * @param block.timestamp Timestamp of the raffle block
+ * @param block.prevRandao prevrandao of the raffle block
+ * @param sender Executor the draw is attributed to (the caller, or the signer of a relayed raffle)
+ * @param raffleCounter Value of raffleCounter during the draw, raffleId + 1
+ * @return (nonce, max) => bigint
+ */
+function blockRandomSource({ timestamp, prevRandao }, sender, raffleCounter) {
+  return (nonce, max) => BigInt(
+    solidityPackedKeccak256(
+      ["uint256", "uint256", "address", "uint256", "uint256"],
+      [timestamp, prevRandao, sender, nonce, raffleCounter]
+    )
+  ) % BigInt(max);
+}
+
+/**
+ * @dev Random source matching OnChainRaffle._seededRandomNumber
+ * @param seed Draw seed
+ * @return (nonce, max) => bigint
+ */
+function seededRandomSource(seed) {
+  return (nonce, max) => BigInt(solidityPackedKeccak256(["bytes32", "uint256"], [seed, nonce])) % BigInt(max);
+}
+
+/**
+ * @dev Replays the partial Fisher-Yates shuffle of executeRaffle
+ * @param participants Participant IDs in input order
+ * @param numberOfWinners Number of winners drawn
+ * @param random Random source
+ * @return Winners as bigint
+ */
+function replayFisherYates(participants, numberOfWinners, random) {
+  const pool = participants.map(BigInt);
+  const winners = [];
+  let remaining = pool.length;
+
+  for (let i = 0; i < numberOfWinners; i++) {
+    const index = Number(random(i, remaining));
+    winners.push(pool[index]);
+    pool[index] = pool[remaining - 1];
+    remaining--;
+  }
+
+  return winners;
+}
+
+/**
+ * @dev Replays the draw of executeTieredRaffle, a Fisher-Yates shuffle that skips repeat winners
+ * @param participants Eligible participant IDs in input order
+ * @param numberOfWinners Number of winners drawn across all tiers
+ * @param random Random source
+ * @return Winners as bigint
+ */
+function replayDistinct(participants, numberOfWinners, random) {
+  const pool = participants.map(BigInt);
+  const winners = [];
+  let remaining = pool.length;
+
+  for (let nonce = 0; winners.length < numberOfWinners; nonce++) {
+    if (remaining === 0) {
+      throw new Error("Not enough distinct participants for the number of winners.");
+    }
+
+    const index = Number(random(nonce, remaining));
+    const candidate = pool[index];
+    pool[index] = pool[remaining - 1];
+    remaining--;
+
+    if (!winners.includes(candidate)) winners.push(candidate);
+  }
+
+  return winners;
+}
+
+/**
+ * @dev Replays the sparse shuffle of executeMerkleRaffle over the indices [0, count)
+ * @param count Number of leaves in the participant tree
+ * @param numberOfWinners Number of indices drawn
+ * @param random Random source
+ * @return Winning indices as bigint
+ */
+function replayIndices(count, numberOfWinners, random) {
+  const swapped = new Map();
+  const indices = [];
+  let remaining = BigInt(count);
+
+  for (let i = 0; i < numberOfWinners; i++) {
+    const position = random(i, remaining);
+    const last = remaining - 1n;
+    indices.push(swapped.has(position) ? swapped.get(position) : position);
+    swapped.set(position, swapped.has(last) ? swapped.get(last) : last);
+    remaining--;
+  }
+
+  return indices;
+}
+
+/**
+ * @dev Replays the draw without replacement of executeWeightedRaffle
+ * @param participants Participant IDs in input order
+ * @param weights Weight of each participant
+ * @param numberOfWinners Number of winners drawn
+ * @param random Random source
+ * @return Winners as bigint
+ */
+function replayWeighted(participants, weights, numberOfWinners, random) {
+  const remainingWeights = weights.map(BigInt);
+  let remainingWeight = remainingWeights.reduce((sum, weight) => sum + weight, 0n);
+  const winners = [];
+
+  for (let i = 0; i < numberOfWinners; i++) {
+    let ticket = random(i, remainingWeight);
+    let index = 0;
+    while (ticket >= remainingWeights[index]) {
+      ticket -= remainingWeights[index];
+      index++;
+    }
+
+    const winner = BigInt(participants[index]);
+    winners.push(winner);
+
+    // Like the contract, drop every entry of a repeated ID
+    participants.forEach((participant, j) => {
+      if (BigInt(participant) === winner) {
+        remainingWeight -= remainingWeights[j];
+        remainingWeights[j] = 0n;
+      }
+    });
+  }
+
+  return winners;
+}
+
+/**
+ * @dev Fetches the block fields a draw depends on
+ * @notice Read over raw JSON-RPC, as some providers drop mixHash (prevrandao) when formatting blocks
+ * @param provider Provider exposing send()
+ * @param blockNumber Block to fetch
+ * @return { hash, timestamp, prevRandao }
+ */
+async function getDrawBlock(provider, blockNumber) {
+  const raw = await provider.send("eth_getBlockByNumber", [toQuantity(blockNumber), false]);
+  if (!raw) {
+    throw new Error(`Block ${blockNumber} not found.`);
+  }
+
+  return {
+    hash: raw.hash,
+    timestamp: BigInt(raw.timestamp),
+    prevRandao: BigInt(raw.prevRandao || raw.mixHash),
+  };
+}
+
+/**
+ * @dev Finds the single event of a raffle in its block
+ */
+async function findRaffleEvent(raffle, filter, blockNumber) {
+  const [event] = await raffle.queryFilter(filter, blockNumber, blockNumber);
+  if (!event) {
+    throw new Error(`No ${filter.fragment.name} log found in block ${blockNumber}.`);
+  }
+  return event;
+}
+
+/**
+ * @dev Recomputes the winners of a raffle from its logs and block
+ * @param raffle OnChainRaffle contract connected to a provider
+ * @param raffleId The ID of the raffle
+ * @return { raffleId, mode, match, expected, actual, blockNumber, reason }
+ */
+async function verifyRaffle(raffle, raffleId) {
+  const id = BigInt(raffleId);
+  const record = await raffle.getRaffle(id);
+  const mode = Number(record.mode);
+  const blockNumber = Number(record.blockNumber);
+  const actual = record.winners.map(BigInt);
+  const numberOfWinners = actual.length;
+
+  const result = { raffleId: id, mode: MODE_NAMES[mode], blockNumber, actual };
+
+  if (mode === RaffleMode.Requested) {
+    return { ...result, match: null, expected: null, reason: "Coordinator randomness is not logged by the raffle." };
+  }
+
+  const provider = raffle.runner.provider;
+  const block = await getDrawBlock(provider, blockNumber);
+  const blockSource = blockRandomSource(block, record.executor, id + 1n);
+  let expected;
+
+  if (mode === RaffleMode.Standard) {
+    const event = await findRaffleEvent(raffle, raffle.filters.RaffleExecuted(id), blockNumber);
+    expected = replayFisherYates([...event.args.participants], numberOfWinners, blockSource);
+  } else if (mode === RaffleMode.Scheduled) {
+    const executed = await findRaffleEvent(raffle, raffle.filters.RaffleExecuted(id), blockNumber);
+    const drawn = await findRaffleEvent(raffle, raffle.filters.RoundDrawn(null, id), blockNumber);
+    const round = await raffle.raffleRounds(drawn.args.roundId);
+    const seedBlock = await getDrawBlock(provider, Number(round.closeBlock) + 1);
+    const drawSeed = solidityPackedKeccak256(["bytes32", "uint256"], [seedBlock.hash, drawn.args.roundId]);
+    expected = replayFisherYates([...executed.args.participants], numberOfWinners, seededRandomSource(drawSeed));
+  } else if (mode === RaffleMode.CommitReveal) {
+    const executed = await findRaffleEvent(raffle, raffle.filters.RaffleExecuted(id), blockNumber);
+    const revealed = await findRaffleEvent(raffle, raffle.filters.RaffleRevealed(null, id), blockNumber);
+    const commitment = await raffle.raffleCommitments(revealed.args.commitmentId);
+    const commitBlock = await getDrawBlock(provider, commitment.commitBlock);
+    const drawSeed = solidityPackedKeccak256(["bytes32", "bytes32"], [revealed.args.seed, commitBlock.hash]);
+    expected = replayFisherYates([...executed.args.participants], numberOfWinners, seededRandomSource(drawSeed));
+  } else if (mode === RaffleMode.Weighted) {
+    const event = await findRaffleEvent(raffle, raffle.filters.WeightedRaffleExecuted(id), blockNumber);
+    expected = replayWeighted([...event.args.participants], [...event.args.weights], numberOfWinners, blockSource);
+  } else if (mode === RaffleMode.Merkle) {
+    expected = replayIndices(record.participantCount, numberOfWinners, blockSource);
+  } else if (mode === RaffleMode.Tiered) {
+    const event = await findRaffleEvent(raffle, raffle.filters.TieredRaffleExecuted(id), blockNumber);
+    const excluded = new Set();
+    for (const excludedId of event.args.excludedRaffleIds) {
+      for (const winner of await raffle.getRaffleWinners(excludedId)) excluded.add(BigInt(winner));
+    }
+    const eligible = event.args.participants.map(BigInt).filter((participant) => !excluded.has(participant));
+    expected = replayDistinct(eligible, numberOfWinners, blockSource);
+  } else {
+    throw new Error(`Unknown raffle mode ${mode}.`);
+  }
+
+  const match = expected.length === actual.length && expected.every((winner, i) => winner === actual[i]);
+  return { ...result, match, expected };
+}
+
+/**
+ * @dev Lists the commit-reveal commitments whose executor let the reveal window pass
+ * @param raffle OnChainRaffle contract connected to a provider
+ * @return Array of { commitmentId, executor, commitBlock, recorded }, recorded is true once
+ * expireCommitment has emitted CommitmentExpired for it
+ */
+async function findExpiredCommitments(raffle) {
+  const counter = await raffle.commitmentCounter();
+  const expired = [];
+
+  for (let id = 0n; id < counter; id++) {
+    if (Number(await raffle.getCommitmentStatus(id)) !== CommitmentStatus.Expired) continue;
+
+    const commitment = await raffle.raffleCommitments(id);
+    expired.push({
+      commitmentId: id,
+      executor: commitment.executor,
+      commitBlock: Number(commitment.commitBlock),
+      recorded: await raffle.expiredCommitments(id),
+    });
+  }
+
+  return expired;
+}
+
+module.exports = {
+  CommitmentStatus,
+  RaffleMode,
+  blockRandomSource,
+  findExpiredCommitments,
+  getDrawBlock,
+  replayFisherYates,
+  replayDistinct,
+  replayIndices,
+  replayWeighted,
+  seededRandomSource,
+  verifyRaffle,
+};
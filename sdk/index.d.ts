@@ -0,0 +1,117 @@
+import type { BigNumberish, ContractRunner, InterfaceAbi } from "ethers";
+
+export type RaffleMode = "Standard" | "CommitReveal" | "Requested" | "Weighted" | "Merkle" | "Scheduled" | "Tiered";
+export type RaffleStatus = "Valid" | "Invalidated" | "Replaced";
+
+export const ABI: InterfaceAbi;
+export const RAFFLE_MODES: readonly RaffleMode[];
+export const RAFFLE_STATUSES: readonly RaffleStatus[];
+
+export interface TransactionResult {
+  txHash: string;
+  blockNumber: number;
+}
+
+export interface RaffleResult extends TransactionResult {
+  raffleId: bigint;
+  winners: bigint[];
+}
+
+export interface BatchResult extends TransactionResult {
+  raffles: { raffleId: bigint; winners: bigint[] }[];
+}
+
+export interface TieredRaffleResult extends RaffleResult {
+  tiers: bigint[][];
+}
+
+export interface RaffleInput {
+  participants: BigNumberish[];
+  numberOfWinners: BigNumberish;
+}
+
+export interface RaffleDetails {
+  id: bigint;
+  executor: string;
+  blockNumber: number;
+  timestamp: number;
+  participantCount: number;
+  mode: RaffleMode;
+  status: RaffleStatus;
+  isRerun: boolean;
+  participantsHash: string;
+  title: string;
+  uri: string;
+  winners: bigint[];
+}
+
+export interface ExecutorLimits {
+  expiresAt?: number;
+  maxRafflesPerDay?: number;
+  maxParticipants?: number;
+}
+
+export interface ExecutorInfo extends Required<ExecutorLimits> {
+  address: string;
+  active: boolean;
+}
+
+export interface RaffleEvent {
+  eventName: string;
+  txHash: string;
+  blockNumber: number;
+  [arg: string]: unknown;
+}
+
+export interface RaffleExecutedEvent {
+  raffleId: bigint;
+  participants: bigint[];
+  winners: bigint[];
+  txHash: string;
+  blockNumber: number;
+}
+
+export type Unsubscribe = () => Promise<unknown>;
+
+export class RaffleClient {
+  constructor(address: string, runner: ContractRunner);
+  readonly address: string;
+  connect(runner: ContractRunner): RaffleClient;
+
+  runRaffle(participants: BigNumberish[], numberOfWinners: BigNumberish): Promise<RaffleResult>;
+  runRaffles(inputs: RaffleInput[]): Promise<BatchResult>;
+  runTieredRaffle(
+    participants: BigNumberish[],
+    tierSizes: BigNumberish[],
+    options?: { exclude?: BigNumberish[] },
+  ): Promise<TieredRaffleResult>;
+  getWinners(raffleId: BigNumberish): Promise<bigint[]>;
+  getRaffle(raffleId: BigNumberish): Promise<RaffleDetails>;
+  getRaffleCount(): Promise<bigint>;
+  getRaffleIdsByExecutor(executor: string, options?: { offset?: number; limit?: number }): Promise<bigint[]>;
+
+  isExecutor(account: string): Promise<boolean>;
+  getExecutors(): Promise<ExecutorInfo[]>;
+  addExecutor(account: string): Promise<TransactionResult>;
+  removeExecutor(account: string): Promise<TransactionResult>;
+  setExecutorLimits(account: string, limits?: ExecutorLimits): Promise<TransactionResult>;
+
+  on(eventName: string, listener: (event: RaffleEvent) => void): Promise<Unsubscribe>;
+  onRaffleExecuted(listener: (event: RaffleExecutedEvent) => void): Promise<Unsubscribe>;
+  removeAllListeners(): Promise<void>;
+}
+
+export class RaffleError extends Error {}
+
+export class RaffleContractError extends RaffleError {
+  constructor(errorName: string, args: unknown[], options?: ErrorOptions);
+  readonly errorName: string;
+  readonly args: unknown[];
+}
+
+export class RaffleRevertError extends RaffleError {}
+
+/** One RaffleContractError subclass per custom error, keyed `${errorName}Error` */
+export const errors: Record<string, typeof RaffleContractError>;
+
+export function decodeError(error: unknown): unknown;
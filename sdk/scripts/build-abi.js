@@ -0,0 +1,18 @@
+// Copies the OnChainRaffle ABI from the Hardhat artifacts into the package.
+// Run `npx hardhat compile` in the repository root first.
+
+const fs = require("fs");
+const path = require("path");
+
+const artifact = path.join(__dirname, "..", "..", "artifacts", "contracts", "OnChainRaffle.sol", "OnChainRaffle.json");
+const output = path.join(__dirname, "..", "abi", "OnChainRaffle.json");
+
+if (!fs.existsSync(artifact)) {
+  throw new Error(`No artifact at ${artifact}. Run npx hardhat compile in the repository root.`);
+}
+
+const { abi } = JSON.parse(fs.readFileSync(artifact, "utf8"));
+fs.mkdirSync(path.dirname(output), { recursive: true });
+fs.writeFileSync(output, JSON.stringify(abi, null, 2) + "\n");
+
+console.log(`Wrote ${abi.length} ABI entries to ${path.relative(process.cwd(), output)}`);
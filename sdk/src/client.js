@@ -0,0 +1,291 @@
+const { Contract } = require("ethers");
+const ABI = require("../abi/OnChainRaffle.json");
+const { RaffleError, contractErrors, decodeError } = require("./errors");
+
+/// Mirrors OnChainRaffle.RaffleMode
+const RAFFLE_MODES = ["Standard", "CommitReveal", "Requested", "Weighted", "Merkle", "Scheduled", "Tiered"];
+
+/// Mirrors OnChainRaffle.RaffleStatus
+const RAFFLE_STATUSES = ["Valid", "Invalidated", "Replaced"];
+
+/**
+ * @title RaffleClient
+ * @dev Thin wrapper around an OnChainRaffle deployment with decoded results and errors
+ * @notice Write methods need a Signer runner, read methods and subscriptions work with a Provider.
+ * Every method throws RaffleContractError subclasses (e.g. NotAuthorizedError) on reverts
+ */
+class RaffleClient {
+  /**
+   * @param address OnChainRaffle or proxy address
+   * @param runner ethers Signer, or Provider for read-only use
+   */
+  constructor(address, runner) {
+    this.contract = new Contract(address, ABI, runner);
+  }
+
+  /// Contract address
+  get address() {
+    return this.contract.target;
+  }
+
+  /**
+   * @dev Returns a client for the same contract with another signer or provider
+   */
+  connect(runner) {
+    return new RaffleClient(this.address, runner);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Raffles
+
+  /**
+   * @dev Executes a standard raffle
+   * @param participants Participant IDs
+   * @param numberOfWinners Number of winners to select
+   * @return { raffleId, winners, txHash, blockNumber }
+   */
+  async runRaffle(participants, numberOfWinners) {
+    const receipt = await this._send("executeRaffle", [participants, numberOfWinners]);
+    const [event] = this._parseEvents(receipt, "RaffleExecuted");
+
+    return {
+      raffleId: event.args.raffleId,
+      winners: [...event.args.winners],
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  /**
+   * @dev Executes several standard raffles atomically with executeRaffles
+   * @param inputs Array of { participants, numberOfWinners }
+   * @return { raffles: [{ raffleId, winners }], txHash, blockNumber }
+   */
+  async runRaffles(inputs) {
+    const receipt = await this._send("executeRaffles", [inputs]);
+
+    return {
+      raffles: this._parseEvents(receipt, "RaffleExecuted").map((event) => ({
+        raffleId: event.args.raffleId,
+        winners: [...event.args.winners],
+      })),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  /**
+   * @dev Executes a tiered raffle
+   * @param participants Participant IDs
+   * @param tierSizes Number of winners of each tier, grand prize first
+   * @param options.exclude Previous raffle IDs whose winners are ineligible
+   * @return { raffleId, winners, tiers, txHash, blockNumber }, tiers holds the winners of each tier
+   */
+  async runTieredRaffle(participants, tierSizes, { exclude = [] } = {}) {
+    const receipt = await this._send("executeTieredRaffle", [participants, tierSizes, exclude]);
+    const [event] = this._parseEvents(receipt, "TieredRaffleExecuted");
+
+    const winners = [...event.args.winners];
+    let offset = 0;
+    const tiers = tierSizes.map((size) => {
+      const tier = winners.slice(offset, offset + Number(size));
+      offset += Number(size);
+      return tier;
+    });
+
+    return { raffleId: event.args.raffleId, winners, tiers, txHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * @dev Gets the winners of a raffle
+   * @return Array of winners as bigint
+   * @notice Throws RaffleNotFoundError for unknown IDs, where the contract returns an empty array
+   */
+  async getWinners(raffleId) {
+    await this._requireRaffle(raffleId);
+    return [...(await this._call("getRaffleWinners", [raffleId]))];
+  }
+
+  /**
+   * @dev Gets a raffle with its record, metadata and winners
+   * @return Plain object, mode and status are names such as "Standard" and "Valid"
+   */
+  async getRaffle(raffleId) {
+    const raffle = await this._call("getRaffle", [raffleId]);
+
+    return {
+      id: raffle.id,
+      executor: raffle.executor,
+      blockNumber: Number(raffle.blockNumber),
+      timestamp: Number(raffle.timestamp),
+      participantCount: Number(raffle.participantCount),
+      mode: RAFFLE_MODES[Number(raffle.mode)],
+      status: RAFFLE_STATUSES[Number(raffle.status)],
+      isRerun: raffle.isRerun,
+      participantsHash: raffle.participantsHash,
+      title: raffle.title,
+      uri: raffle.uri,
+      winners: [...raffle.winners],
+    };
+  }
+
+  /**
+   * @dev Gets the number of raffles executed so far, also the next raffle ID
+   */
+  async getRaffleCount() {
+    return this._call("raffleCounter");
+  }
+
+  /**
+   * @dev Gets the IDs of the raffles run by an executor, oldest first
+   */
+  async getRaffleIdsByExecutor(executor, { offset = 0, limit = 100 } = {}) {
+    return [...(await this._call("getRafflesByExecutor", [executor, offset, limit]))];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Executors
+
+  /**
+   * @dev Whether an account can currently run raffles (has the role and has not expired)
+   */
+  async isExecutor(account) {
+    return this._call("isExecutor", [account]);
+  }
+
+  /**
+   * @dev Lists every executor with its limits
+   * @return Array of { address, active, expiresAt, maxRafflesPerDay, maxParticipants }, zero limits are unlimited
+   */
+  async getExecutors() {
+    const executors = await this._call("getExecutors");
+
+    return Promise.all(executors.map(async (address) => {
+      const limits = await this._call("executorLimits", [address]);
+      return {
+        address,
+        active: await this.isExecutor(address),
+        expiresAt: Number(limits.expiresAt),
+        maxRafflesPerDay: Number(limits.maxRafflesPerDay),
+        maxParticipants: Number(limits.maxParticipants),
+      };
+    }));
+  }
+
+  /**
+   * @dev Grants the executor role, requires an admin signer
+   * @return { txHash, blockNumber }
+   */
+  async addExecutor(account) {
+    return this._transaction("addExecutor", [account]);
+  }
+
+  /**
+   * @dev Revokes the executor role, requires an admin signer
+   * @return { txHash, blockNumber }
+   */
+  async removeExecutor(account) {
+    return this._transaction("removeExecutor", [account]);
+  }
+
+  /**
+   * @dev Sets an executor's limits, requires an admin signer
+   * @param limits.expiresAt Unix timestamp after which the executor is inactive, 0 for never
+   * @param limits.maxRafflesPerDay Raffles per UTC day, 0 for unlimited
+   * @param limits.maxParticipants Participants per raffle, 0 for unlimited
+   * @return { txHash, blockNumber }
+   */
+  async setExecutorLimits(account, { expiresAt = 0, maxRafflesPerDay = 0, maxParticipants = 0 } = {}) {
+    return this._transaction("setExecutorLimits", [account, expiresAt, maxRafflesPerDay, maxParticipants]);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Events
+
+  /**
+   * @dev Subscribes to a contract event
+   * @param eventName Event name, e.g. "RaffleExecuted" or "ExecutorAdded"
+   * @param listener Called with the event arguments by name, plus eventName, txHash and blockNumber
+   * @return Async function that removes the subscription
+   */
+  async on(eventName, listener) {
+    if (!this.contract.interface.getEvent(eventName)) {
+      throw new RaffleError(`Unknown OnChainRaffle event "${eventName}".`);
+    }
+
+    const handler = (...args) => {
+      const payload = args[args.length - 1];
+      listener({
+        ...payload.args.toObject(),
+        eventName,
+        txHash: payload.log.transactionHash,
+        blockNumber: payload.log.blockNumber,
+      });
+    };
+
+    await this.contract.on(eventName, handler);
+    return () => this.contract.off(eventName, handler);
+  }
+
+  /**
+   * @dev Subscribes to standard, batch, scheduled, commit-reveal and requested draws
+   * @param listener Called with { raffleId, participants, winners, txHash, blockNumber }
+   * @return Async function that removes the subscription
+   */
+  async onRaffleExecuted(listener) {
+    return this.on("RaffleExecuted", ({ raffleId, participants, winners, txHash, blockNumber }) => {
+      listener({ raffleId, participants: [...participants], winners: [...winners], txHash, blockNumber });
+    });
+  }
+
+  /**
+   * @dev Removes every subscription of this client
+   */
+  async removeAllListeners() {
+    await this.contract.removeAllListeners();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internals
+
+  async _call(method, args = []) {
+    try {
+      return await this.contract[method](...args);
+    } catch (error) {
+      throw decodeError(error);
+    }
+  }
+
+  async _send(method, args) {
+    try {
+      const tx = await this.contract[method](...args);
+      return await tx.wait();
+    } catch (error) {
+      throw decodeError(error);
+    }
+  }
+
+  async _transaction(method, args) {
+    const receipt = await this._send(method, args);
+    return { txHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  _parseEvents(receipt, eventName) {
+    return receipt.logs
+      .filter((log) => log.address === this.contract.target)
+      .map((log) => this.contract.interface.parseLog(log))
+      .filter((parsed) => parsed && parsed.name === eventName);
+  }
+
+  async _requireRaffle(raffleId) {
+    if (BigInt(raffleId) >= (await this.getRaffleCount())) {
+      throw new contractErrors.RaffleNotFoundError("RaffleNotFound", []);
+    }
+  }
+}
+
+module.exports = {
+  RAFFLE_MODES,
+  RAFFLE_STATUSES,
+  RaffleClient,
+};
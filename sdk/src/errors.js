@@ -0,0 +1,99 @@
+const { Interface } = require("ethers");
+const ABI = require("../abi/OnChainRaffle.json");
+
+/**
+ * @title RaffleError
+ * @dev Base class of every error thrown by the SDK
+ */
+class RaffleError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * @title RaffleContractError
+ * @dev A transaction or call reverted with one of OnChainRaffle's custom errors
+ * @notice errorName is the Solidity error name, args its decoded arguments
+ */
+class RaffleContractError extends RaffleError {
+  constructor(errorName, args, options) {
+    super(args.length > 0 ? `${errorName}(${args.join(", ")})` : errorName, options);
+    this.errorName = errorName;
+    this.args = args;
+  }
+}
+
+/**
+ * @title RaffleRevertError
+ * @dev A transaction or call reverted without a known custom error
+ */
+class RaffleRevertError extends RaffleError {}
+
+const contractInterface = new Interface(ABI);
+
+/// One RaffleContractError subclass per custom error of the ABI, e.g. InvalidNumberOfWinnersError
+const contractErrors = {};
+contractInterface.forEachError((fragment) => {
+  const className = `${fragment.name}Error`;
+  contractErrors[className] = { [className]: class extends RaffleContractError {} }[className];
+});
+
+/**
+ * @dev Finds the revert data of an ethers error, wherever the provider put it
+ */
+function findRevertData(error) {
+  for (let current = error; current; current = current.error || current.info?.error || current.cause) {
+    if (typeof current.data === "string" && current.data.startsWith("0x")) return current.data;
+    if (typeof current.data?.data === "string") return current.data.data;
+  }
+  return undefined;
+}
+
+/**
+ * @dev Decodes revert data with the contract ABI, null when it matches no custom error
+ */
+function parseRevertData(data) {
+  try {
+    return contractInterface.parseError(data);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @dev Converts an ethers error into a named SDK exception
+ * @param error Error thrown by a contract call or transaction
+ * @return RaffleContractError subclass for custom errors, RaffleRevertError for other
+ * reverts, or the original error when it is not a revert (network failures, user rejection)
+ */
+function decodeError(error) {
+  if (error instanceof RaffleError) return error;
+
+  let name;
+  let args;
+  if (error?.revert?.name) {
+    ({ name, args } = error.revert);
+  } else {
+    const data = findRevertData(error);
+    const parsed = data && data !== "0x" ? parseRevertData(data) : null;
+    if (parsed) ({ name, args } = parsed);
+  }
+
+  if (name && contractErrors[`${name}Error`]) {
+    return new contractErrors[`${name}Error`](name, [...args], { cause: error });
+  }
+  if (error?.code === "CALL_EXCEPTION") {
+    return new RaffleRevertError(error.shortMessage || error.message, { cause: error });
+  }
+  return error;
+}
+
+module.exports = {
+  RaffleContractError,
+  RaffleError,
+  RaffleRevertError,
+  contractErrors,
+  decodeError,
+};
@@ -0,0 +1,15 @@
+const ABI = require("../abi/OnChainRaffle.json");
+const { RAFFLE_MODES, RAFFLE_STATUSES, RaffleClient } = require("./client");
+const { RaffleContractError, RaffleError, RaffleRevertError, contractErrors, decodeError } = require("./errors");
+
+module.exports = {
+  ABI,
+  RAFFLE_MODES,
+  RAFFLE_STATUSES,
+  RaffleClient,
+  RaffleContractError,
+  RaffleError,
+  RaffleRevertError,
+  decodeError,
+  errors: contractErrors,
+};
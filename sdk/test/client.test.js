@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  ABI,
+  RaffleClient,
+  RaffleContractError,
+  RaffleError,
+  RaffleRevertError,
+  decodeError,
+  errors,
+} = require("../src");
+const { deployRaffleFixture } = require("../../test/helpers");
+
+/**
+ * @dev Resolves once the predicate holds, polling like the provider does
+ */
+async function waitFor(predicate, timeoutMs = 10000) {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeoutMs) throw new Error("Timed out waiting for event");
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+describe("SDK RaffleClient", function () {
+  async function clientFixture() {
+    const fixture = await deployRaffleFixture();
+    const { raffle, owner, executor1 } = fixture;
+    const address = await raffle.getAddress();
+
+    return {
+      ...fixture,
+      admin: new RaffleClient(address, owner),
+      client: new RaffleClient(address, executor1),
+      reader: new RaffleClient(address, ethers.provider),
+    };
+  }
+
+  describe("ABI", function () {
+    it("Should match the compiled contract", async function () {
+      const artifact = await hre.artifacts.readArtifact("OnChainRaffle");
+      expect(ABI).to.deep.equal(artifact.abi, "Run `npm run build:abi` in sdk/ after changing the contract");
+    });
+
+    it("Should expose a named error class per custom error", async function () {
+      const artifact = await hre.artifacts.readArtifact("OnChainRaffle");
+      const names = artifact.abi.filter((item) => item.type === "error").map((item) => `${item.name}Error`);
+
+      expect(Object.keys(errors)).to.have.members(names);
+      expect(new errors.NotAuthorizedError("NotAuthorized", [])).to.be.instanceOf(RaffleContractError);
+      expect(new errors.NotAuthorizedError("NotAuthorized", [])).to.be.instanceOf(RaffleError);
+    });
+  });
+
+  describe("Raffles", function () {
+    it("Should run a raffle and return its ID, winners and transaction", async function () {
+      const { raffle, client } = await loadFixture(clientFixture);
+
+      const result = await client.runRaffle([10, 20, 30, 40, 50], 2);
+
+      expect(result.raffleId).to.equal(0n);
+      expect(result.winners).to.deep.equal([...(await raffle.getRaffleWinners(0))]);
+      expect(result.winners).to.have.lengthOf(2);
+      const receipt = await ethers.provider.getTransactionReceipt(result.txHash);
+      expect(receipt.blockNumber).to.equal(result.blockNumber);
+
+      const second = await client.runRaffle([1, 2, 3], 1);
+      expect(second.raffleId).to.equal(1n);
+    });
+
+    it("Should run a batch of raffles", async function () {
+      const { raffle, client } = await loadFixture(clientFixture);
+
+      const result = await client.runRaffles([
+        { participants: [1, 2, 3, 4], numberOfWinners: 2 },
+        { participants: [5, 6, 7], numberOfWinners: 1 },
+      ]);
+
+      expect(result.raffles.map(({ raffleId }) => raffleId)).to.deep.equal([0n, 1n]);
+      for (const { raffleId, winners } of result.raffles) {
+        expect(winners).to.deep.equal([...(await raffle.getRaffleWinners(raffleId))]);
+      }
+    });
+
+    it("Should run a tiered raffle and split winners by tier", async function () {
+      const { client } = await loadFixture(clientFixture);
+      const participants = Array.from({ length: 20 }, (_, i) => i + 1);
+
+      const first = await client.runRaffle(participants, 3);
+      const result = await client.runTieredRaffle(participants, [1, 2, 3], { exclude: [first.raffleId] });
+
+      expect(result.raffleId).to.equal(1n);
+      expect(result.tiers.map((tier) => tier.length)).to.deep.equal([1, 2, 3]);
+      expect(result.tiers.flat()).to.deep.equal(result.winners);
+      expect(new Set(result.winners).size).to.equal(6);
+      for (const winner of first.winners) {
+        expect(result.winners).to.not.include(winner);
+      }
+    });
+
+    it("Should read raffles with named mode and status", async function () {
+      const { raffle, client, reader, executor1 } = await loadFixture(clientFixture);
+
+      const { raffleId, winners } = await client.runRaffle([1, 2, 3, 4], 2);
+      await raffle.connect(executor1).setRaffleMetadata(raffleId, "Launch", "ipfs://launch");
+
+      const details = await reader.getRaffle(raffleId);
+      expect(details).to.include({
+        executor: executor1.address,
+        participantCount: 4,
+        mode: "Standard",
+        status: "Valid",
+        isRerun: false,
+        title: "Launch",
+        uri: "ipfs://launch",
+      });
+      expect(details.winners).to.deep.equal(winners);
+      expect(await reader.getWinners(raffleId)).to.deep.equal(winners);
+      expect(await reader.getRaffleCount()).to.equal(1n);
+      expect(await reader.getRaffleIdsByExecutor(executor1.address)).to.deep.equal([0n]);
+    });
+  });
+
+  describe("Executors", function () {
+    it("Should add, limit, list and remove executors", async function () {
+      const { admin, reader, executor1, executor2, nonExecutor } = await loadFixture(clientFixture);
+
+      const { txHash } = await admin.addExecutor(nonExecutor.address);
+      expect(txHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(await reader.isExecutor(nonExecutor.address)).to.be.true;
+
+      const expiresAt = (await time.latest()) + 3600;
+      await admin.setExecutorLimits(executor2.address, { expiresAt, maxRafflesPerDay: 5 });
+      const executors = await reader.getExecutors();
+      expect(executors.map(({ address }) => address)).to.deep.equal([
+        executor1.address,
+        executor2.address,
+        nonExecutor.address,
+      ]);
+      expect(executors[1]).to.deep.equal({
+        address: executor2.address,
+        active: true,
+        expiresAt,
+        maxRafflesPerDay: 5,
+        maxParticipants: 0,
+      });
+
+      await admin.removeExecutor(nonExecutor.address);
+      expect(await reader.isExecutor(nonExecutor.address)).to.be.false;
+    });
+  });
+
+  describe("Errors", function () {
+    it("Should throw named errors for custom reverts", async function () {
+      const { client, nonExecutor } = await loadFixture(clientFixture);
+
+      let error = await client.runRaffle([1, 2, 3], 4).catch((e) => e);
+      expect(error).to.be.instanceOf(errors.InvalidNumberOfWinnersError);
+      expect(error.errorName).to.equal("InvalidNumberOfWinners");
+
+      error = await client.connect(nonExecutor).runRaffle([1, 2, 3], 1).catch((e) => e);
+      expect(error).to.be.instanceOf(errors.NotAuthorizedError);
+
+      error = await client.connect(nonExecutor).addExecutor(nonExecutor.address).catch((e) => e);
+      expect(error).to.be.instanceOf(errors.OwnableUnauthorizedAccountError);
+      expect(error.args).to.deep.equal([nonExecutor.address]);
+
+      error = await client.runTieredRaffle([1, 2, 3], [2, 0]).catch((e) => e);
+      expect(error).to.be.instanceOf(errors.InvalidTiersError);
+
+      error = await client.getRaffle(5).catch((e) => e);
+      expect(error).to.be.instanceOf(errors.RaffleNotFoundError);
+      error = await client.getWinners(5).catch((e) => e);
+      expect(error).to.be.instanceOf(errors.RaffleNotFoundError);
+    });
+
+    it("Should decode raw revert data and leave other errors untouched", async function () {
+      const { raffle } = await loadFixture(clientFixture);
+
+      const data = raffle.interface.encodeErrorResult("ExecutorDailyLimitReached", []);
+      const decoded = decodeError({ code: "CALL_EXCEPTION", info: { error: { data: { data } } } });
+      expect(decoded).to.be.instanceOf(errors.ExecutorDailyLimitReachedError);
+
+      expect(decodeError({ code: "CALL_EXCEPTION", shortMessage: "execution reverted", data: "0x" }))
+        .to.be.instanceOf(RaffleRevertError);
+
+      const networkError = new Error("connection refused");
+      expect(decodeError(networkError)).to.equal(networkError);
+    });
+  });
+
+  describe("Events", function () {
+    it("Should notify raffle executions until unsubscribed", async function () {
+      const { client, reader } = await loadFixture(clientFixture);
+      const received = [];
+
+      const unsubscribe = await reader.onRaffleExecuted((event) => received.push(event));
+      const { raffleId, winners, txHash } = await client.runRaffle([1, 2, 3, 4], 2);
+      await waitFor(() => received.length === 1);
+
+      expect(received[0]).to.deep.include({ raffleId, participants: [1n, 2n, 3n, 4n], winners, txHash });
+
+      await unsubscribe();
+      await client.runRaffle([5, 6, 7], 1);
+      await new Promise((resolve) => setTimeout(resolve, 500));
+      expect(received).to.have.lengthOf(1);
+    });
+
+    it("Should subscribe to any event and reject unknown names", async function () {
+      const { admin, reader, nonExecutor } = await loadFixture(clientFixture);
+      const received = [];
+
+      const unsubscribe = await reader.on("ExecutorLimitsUpdated", (event) => received.push(event));
+      await admin.setExecutorLimits(nonExecutor.address, { maxParticipants: 10 });
+      await waitFor(() => received.length === 1);
+      await unsubscribe();
+
+      expect(received[0]).to.include({
+        eventName: "ExecutorLimitsUpdated",
+        executor: nonExecutor.address,
+        maxParticipants: 10n,
+      });
+
+      let error;
+      try {
+        await reader.on("NotAnEvent", () => {});
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(RaffleError);
+    });
+  });
+});
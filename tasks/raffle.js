@@ -0,0 +1,387 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { getRaffle, getRegistry, readParticipants, report, resolveRaffleAddress } = require("./utils");
+const { assignIds, loadEntrants } = require("../lib/registry");
+const { loadDeploymentParameters, verifyDeployment } = require("../lib/deployment");
+const { IndexerStore, RaffleIndexer, createApiServer } = require("../lib/indexer");
+const { archiveSnapshot, buildSnapshot, loadSnapshot } = require("../lib/snapshot");
+const { findExpiredCommitments, verifyRaffle } = require("../lib/verifier");
+const OnChainRaffleModule = require("../ignition/modules/OnChainRaffle");
+const OnChainRaffleOwnershipModule = require("../ignition/modules/OnChainRaffleOwnership");
+
+/**
+ * @dev Adds the options shared by every raffle task
+ */
+function withRaffleOptions(definition) {
+  return definition
+    .addOptionalParam("address", "OnChainRaffle address (defaults to the Ignition deployment)")
+    .addOptionalParam("deploymentId", "Ignition deployment id (defaults to chain-<chainId>)")
+    .addOptionalParam("from", "Address of the signer to use (defaults to the first account)")
+    .addFlag("json", "Print the result as JSON");
+}
+
+/**
+ * @dev Formats winners, preferring registry records over bare IDs
+ */
+function formatWinners(result) {
+  if (!result.winnerEntrants) {
+    return result.winners.join(", ");
+  }
+  return result.winnerEntrants
+    .map((entrant) => entrant.address || entrant.handle || entrant.username)
+    .join(", ");
+}
+
+/**
+ * @dev Formats an executor with its limits, zero limits are omitted
+ */
+function formatExecutor(executor) {
+  const notes = [];
+  if (!executor.active) notes.push("expired");
+  if (executor.expiresAt > 0n) notes.push(`expires ${new Date(Number(executor.expiresAt) * 1000).toISOString()}`);
+  if (executor.maxRafflesPerDay > 0n) notes.push(`${executor.maxRafflesPerDay} raffles/day`);
+  if (executor.maxParticipants > 0n) notes.push(`max ${executor.maxParticipants} participants`);
+
+  return `  ${executor.address}${notes.length > 0 ? ` (${notes.join(", ")})` : ""}`;
+}
+
+withRaffleOptions(
+  task("raffle:run", "Executes a raffle on the deployed OnChainRaffle")
+    .addOptionalParam("participants", "CSV or JSON file with participant IDs")
+    .addOptionalParam("entrants", "CSV or JSON file with entrant records, stored in the registry")
+    .addOptionalParam("snapshot", "Holder snapshot archived by raffle:snapshot, weighted snapshots run a weighted raffle")
+    .addOptionalParam("registry", "Participant registry file (defaults to registry/chain-<chainId>.json)")
+    .addParam("winners", "Number of winners to select", undefined, types.int)
+).setAction(async (args, hre) => {
+  if ([args.participants, args.entrants, args.snapshot].filter(Boolean).length !== 1) {
+    throw new Error("raffle:run requires exactly one of --participants, --entrants or --snapshot.");
+  }
+
+  const raffle = await getRaffle(hre, args);
+  const snapshot = args.snapshot ? loadSnapshot(args.snapshot) : undefined;
+  if (snapshot) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    if (snapshot.chainId !== chainId) {
+      throw new Error(`Snapshot ${args.snapshot} was taken on chain ${snapshot.chainId}, not ${chainId}.`);
+    }
+  }
+
+  const entrants = args.entrants
+    ? assignIds(loadEntrants(args.entrants))
+    : snapshot && snapshot.holders.map(({ address, id }) => ({ address, id }));
+  const participants = entrants
+    ? entrants.map((entrant) => entrant.id)
+    : readParticipants(args.participants);
+  const weights = snapshot && snapshot.weights;
+
+  const tx = weights
+    ? await raffle.executeWeightedRaffle(participants, weights, args.winners)
+    : await raffle.executeRaffle(participants, args.winners);
+  const receipt = await tx.wait();
+
+  const eventName = weights ? "WeightedRaffleExecuted" : "RaffleExecuted";
+  const event = receipt.logs
+    .map((log) => raffle.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === eventName);
+
+  const result = {
+    raffleId: event.args.raffleId,
+    participants: participants.length,
+    winners: [...event.args.winners],
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+  };
+
+  if (entrants) {
+    const registry = await getRegistry(hre, args);
+    registry.register(result.raffleId, entrants);
+    result.winnerEntrants = registry.resolveWinners(result.raffleId, result.winners);
+  }
+
+  if (snapshot) {
+    result.participantsHash = snapshot.participantsHash;
+  }
+
+  report(args.json, result, [
+    `Raffle #${result.raffleId} executed in tx ${result.txHash} (block ${result.blockNumber})`,
+    `Participants: ${result.participants}`,
+    ...(snapshot ? [`Snapshot: ${snapshot.token} at block ${snapshot.snapshotBlock} (${snapshot.participantsHash})`] : []),
+    `Winners: ${formatWinners(result)}`,
+  ]);
+
+  return result;
+});
+
+task("raffle:snapshot", "Builds and archives the eligible holders of an ERC-20 or ERC-721 at a block")
+  .addParam("token", "ERC-20 or ERC-721 address")
+  .addOptionalParam("block", "Snapshot block (defaults to the latest block)", undefined, types.int)
+  .addOptionalParam("fromBlock", "First block to replay, at or before the token's deployment", 0, types.int)
+  .addOptionalParam("standard", "erc20 or erc721 (detected from the Transfer logs by default)")
+  .addOptionalParam("minBalance", "Smallest qualifying balance in base units", 1n, types.bigint)
+  .addOptionalParam("exclude", "Comma-separated addresses that never qualify")
+  .addOptionalParam("weightUnit", "Balance per weight unit, produces a weighted snapshot", undefined, types.bigint)
+  .addOptionalParam("maxWeight", "Cap on a holder's weight, 0 for none", 0n, types.bigint)
+  .addOptionalParam("blockRange", "Blocks per eth_getLogs request", 2000, types.int)
+  .addOptionalParam("outDir", "Archive directory (defaults to snapshots/)")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async (args, hre) => {
+    const snapshot = await buildSnapshot(hre.ethers.provider, hre.ethers.getAddress(args.token), {
+      snapshotBlock: args.block,
+      fromBlock: args.fromBlock,
+      standard: args.standard,
+      minBalance: args.minBalance,
+      exclude: args.exclude ? args.exclude.split(",").map((address) => address.trim()).filter(Boolean) : [],
+      weightUnit: args.weightUnit,
+      maxWeight: args.maxWeight,
+      blockRange: args.blockRange,
+    });
+    const file = archiveSnapshot(args.outDir || path.join(hre.config.paths.root, "snapshots"), snapshot);
+
+    const result = {
+      file,
+      token: snapshot.token,
+      standard: snapshot.standard,
+      snapshotBlock: snapshot.snapshotBlock,
+      blockHash: snapshot.blockHash,
+      holders: snapshot.holders.length,
+      weighted: Boolean(snapshot.weights),
+      participantsHash: snapshot.participantsHash,
+    };
+    report(args.json, result, [
+      `${snapshot.standard.toUpperCase()} ${snapshot.token} at block ${snapshot.snapshotBlock} (${snapshot.blockHash})`,
+      `Eligible holders: ${result.holders}${result.weighted ? " (weighted)" : ""}`,
+      `Participants hash: ${result.participantsHash}`,
+      `Archived to ${file}, run it with raffle:run --snapshot ${file}`,
+    ]);
+
+    return result;
+  });
+
+withRaffleOptions(
+  task("raffle:winners", "Shows the winners of a raffle")
+    .addParam("id", "Raffle ID", undefined, types.bigint)
+    .addOptionalParam("registry", "Participant registry file (defaults to registry/chain-<chainId>.json)")
+).setAction(async (args, hre) => {
+  const raffle = await getRaffle(hre, args);
+
+  if (args.id >= (await raffle.raffleCounter())) {
+    throw new Error(`Raffle #${args.id} has not been executed yet.`);
+  }
+
+  const result = {
+    raffleId: args.id,
+    winners: [...(await raffle.getRaffleWinners(args.id))],
+  };
+
+  const registry = await getRegistry(hre, args);
+  if (registry.has(args.id)) {
+    result.winnerEntrants = registry.resolveWinners(args.id, result.winners);
+  }
+
+  report(args.json, result, [
+    `Raffle #${result.raffleId} winners: ${formatWinners(result)}`,
+  ]);
+
+  return result;
+});
+
+withRaffleOptions(
+  task("raffle:verify", "Replays raffle draws off-chain and checks the stored winners")
+    .addOptionalParam("id", "Raffle ID (defaults to every raffle)", undefined, types.bigint)
+).setAction(async (args, hre) => {
+  const raffle = await getRaffle(hre, args);
+  const counter = await raffle.raffleCounter();
+
+  if (args.id !== undefined && args.id >= counter) {
+    throw new Error(`Raffle #${args.id} has not been executed yet.`);
+  }
+
+  const ids = args.id !== undefined
+    ? [args.id]
+    : Array.from({ length: Number(counter) }, (_, i) => BigInt(i));
+
+  const results = [];
+  for (const id of ids) {
+    results.push(await verifyRaffle(raffle, id));
+  }
+
+  // Abandoned commit-reveal draws never become raffles, so they are listed alongside a full run
+  const expiredCommitments = args.id === undefined ? await findExpiredCommitments(raffle) : [];
+
+  const mismatches = results.filter((result) => result.match === false).length;
+  report(args.json, { results, mismatches, expiredCommitments }, [
+    ...results.map((result) => {
+      const status = result.match === null ? `skipped (${result.reason})` : result.match ? "match" : "MISMATCH";
+      return `Raffle #${result.raffleId} [${result.mode}]: ${status}`;
+    }),
+    ...expiredCommitments.map((commitment) =>
+      `Commitment #${commitment.commitmentId} by ${commitment.executor} (block ${commitment.commitBlock}): ` +
+      `never revealed${commitment.recorded ? ", recorded as expired" : ""}`
+    ),
+    `${results.length} verified, ${mismatches} mismatched, ${expiredCommitments.length} commitments expired`,
+  ]);
+
+  return { results, mismatches, expiredCommitments };
+});
+
+withRaffleOptions(
+  task("raffle:executors", "Lists, adds or removes raffle executors")
+    .addPositionalParam("action", "One of list, add or remove", "list")
+    .addOptionalPositionalParam("account", "Executor address for add and remove")
+).setAction(async (args, hre) => {
+  const raffle = await getRaffle(hre, args);
+
+  if (args.action === "add" || args.action === "remove") {
+    if (!args.account) {
+      throw new Error(`raffle:executors ${args.action} requires an account.`);
+    }
+
+    const account = hre.ethers.getAddress(args.account);
+    const tx = args.action === "add"
+      ? await raffle.addExecutor(account)
+      : await raffle.removeExecutor(account);
+    const receipt = await tx.wait();
+
+    const result = { action: args.action, executor: account, txHash: receipt.hash };
+    report(args.json, result, [
+      `${args.action === "add" ? "Added" : "Removed"} executor ${account} in tx ${receipt.hash}`,
+    ]);
+
+    return result;
+  }
+
+  if (args.action !== "list") {
+    throw new Error(`Unknown action "${args.action}", expected list, add or remove.`);
+  }
+
+  const executors = [];
+  for (const executor of await raffle.getExecutors()) {
+    const limits = await raffle.executorLimits(executor);
+    executors.push({
+      address: executor,
+      active: await raffle.isExecutor(executor),
+      expiresAt: limits.expiresAt,
+      maxRafflesPerDay: limits.maxRafflesPerDay,
+      maxParticipants: limits.maxParticipants,
+    });
+  }
+
+  const result = { executors: executors.map((executor) => executor.address), details: executors };
+  report(args.json, result, executors.length > 0
+    ? [`Executors (${executors.length}):`, ...executors.map(formatExecutor)]
+    : ["No executors"]);
+
+  return result;
+});
+
+task("raffle:indexer", "Indexes raffle events into SQLite and serves them over HTTP")
+  .addOptionalParam("address", "OnChainRaffle address (defaults to the Ignition deployment)")
+  .addOptionalParam("deploymentId", "Ignition deployment id (defaults to chain-<chainId>)")
+  .addOptionalParam("db", "SQLite database file (defaults to data/indexer-chain-<chainId>.sqlite)")
+  .addOptionalParam("startBlock", "First block to index", 0, types.int)
+  .addOptionalParam("reorgDepth", "Number of recent blocks re-checked for reorgs", 12, types.int)
+  .addOptionalParam("interval", "Delay between syncs in milliseconds", 4000, types.int)
+  .addOptionalParam("port", "Port of the HTTP API", 8645, types.int)
+  .addFlag("once", "Sync once and exit without serving the API")
+  .setAction(async (args, hre) => {
+    const address = await resolveRaffleAddress(hre, args);
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const file = args.db || path.join(hre.config.paths.root, "data", `indexer-chain-${chainId}.sqlite`);
+
+    const store = await IndexerStore.open(file);
+    const indexer = new RaffleIndexer({
+      provider: hre.ethers.provider,
+      address,
+      store,
+      startBlock: args.startBlock,
+      reorgDepth: args.reorgDepth,
+    });
+
+    const logSync = (summary) => {
+      if (summary.reorgedFrom !== null) {
+        console.log(`Reorg detected, rolled back from block ${summary.reorgedFrom}`);
+      }
+      if (summary.toBlock >= summary.fromBlock) {
+        console.log(
+          `Indexed blocks ${summary.fromBlock}-${summary.toBlock}: ` +
+          `${summary.raffles} raffles, ${summary.executorChanges} executor changes`
+        );
+      }
+    };
+
+    if (args.once) {
+      const summary = await indexer.sync();
+      logSync(summary);
+      store.close();
+      return summary;
+    }
+
+    const server = createApiServer(store);
+    await new Promise((resolve) => server.listen(args.port, resolve));
+    console.log(`Indexing ${address} into ${file}, API on http://localhost:${args.port}`);
+
+    process.once("SIGINT", () => indexer.stop());
+    await indexer.follow({
+      interval: args.interval,
+      onSync: logSync,
+      onError: (error) => console.error(`Sync failed: ${error.message}`),
+    });
+
+    await new Promise((resolve) => server.close(resolve));
+    store.save();
+    store.close();
+  });
+
+task("raffle:deploy", "Deploys OnChainRaffle from an Ignition parameter file and verifies its owner and executors")
+  .addOptionalParam("parameters", "Ignition parameter file (defaults to ignition/parameters/<network>.json)")
+  .addOptionalParam("deploymentId", "Ignition deployment id (defaults to chain-<chainId>)")
+  .addOptionalParam("address", "Existing OnChainRaffle to verify with --verify-only (defaults to the Ignition deployment)")
+  .addOptionalParam("deployer", "Account that deploys and first owns the contract (defaults to the first account)")
+  .addFlag("verifyOnly", "Only verify the existing deployment against the parameter file")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async (args, hre) => {
+    const file = args.parameters ||
+      path.join(hre.config.paths.ignition, "parameters", `${hre.network.name}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`No parameter file found at ${file}. Create it or pass --parameters.`);
+    }
+
+    const { parameters, executors, newOwner } = loadDeploymentParameters(file);
+    const accounts = await Promise.all((await hre.ethers.getSigners()).map((signer) => signer.getAddress()));
+    const deployer = args.deployer ? hre.ethers.getAddress(args.deployer) : accounts[0];
+
+    let raffle;
+    if (args.verifyOnly) {
+      raffle = await hre.ethers.getContractAt("OnChainRaffle", await resolveRaffleAddress(hre, args));
+    } else {
+      if (!accounts.includes(deployer)) {
+        throw new Error(`Deployer ${deployer} is not an account of network ${hre.network.name}, check PK in .env.`);
+      }
+
+      ({ ocr: raffle } = await hre.ignition.deploy(newOwner ? OnChainRaffleOwnershipModule : OnChainRaffleModule, {
+        parameters,
+        deploymentId: args.deploymentId,
+        defaultSender: deployer,
+      }));
+    }
+
+    const verification = await verifyDeployment(raffle, { executors, owner: newOwner || deployer });
+    const result = { network: hre.network.name, address: await raffle.getAddress(), ...verification };
+
+    report(args.json, result, [
+      `OnChainRaffle at ${result.address} on ${result.network}`,
+      `Owner: ${result.owner}${result.ownerMatches ? "" : ` (expected ${newOwner || deployer})`}`,
+      `Executors (${result.executors.length}): ${result.executors.join(", ")}`,
+      ...result.missing.map((executor) => `  missing: ${executor}`),
+      ...result.unexpected.map((executor) => `  unexpected: ${executor}`),
+      ...result.inactive.map((executor) => `  inactive: ${executor}`),
+      result.ok ? "Deployment verified" : "Deployment does NOT match the parameter file",
+    ]);
+
+    if (!result.ok) {
+      throw new Error(`Deployment at ${result.address} does not match ${file}.`);
+    }
+
+    return result;
+  });
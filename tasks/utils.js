@@ -0,0 +1,128 @@
+const fs = require("fs");
+const path = require("path");
+const { ParticipantRegistry } = require("../lib/registry");
+
+/// Ignition futures holding the raffle, tried in order: the plain module, then the proxy of the upgradeable one
+const DEFAULT_FUTURE_IDS = ["OnChainRaffleModule#OnChainRaffle", "OnChainRaffleUpgradeableModule#ERC1967Proxy"];
+
+/**
+ * @dev Resolves the OnChainRaffle address for the selected network
+ * @param hre Hardhat runtime environment
+ * @param options.address Explicit address, skips the Ignition lookup when set
+ * @param options.deploymentId Ignition deployment id (defaults to chain-<chainId>)
+ * @param options.futureId Ignition future holding the contract (defaults to DEFAULT_FUTURE_IDS)
+ * @param options.deploymentsDir Directory holding Ignition deployments
+ * @return Checksummed contract address
+ */
+async function resolveRaffleAddress(hre, options = {}) {
+  if (options.address) {
+    return hre.ethers.getAddress(options.address);
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deploymentId = options.deploymentId || `chain-${chainId}`;
+  const deploymentsDir = options.deploymentsDir || path.join(hre.config.paths.ignition, "deployments");
+  const addressesPath = path.join(deploymentsDir, deploymentId, "deployed_addresses.json");
+
+  if (!fs.existsSync(addressesPath)) {
+    throw new Error(
+      `No Ignition deployment found at ${addressesPath}. Deploy first or pass --address.`
+    );
+  }
+
+  const addresses = JSON.parse(fs.readFileSync(addressesPath, "utf8"));
+  const futureIds = options.futureId ? [options.futureId] : DEFAULT_FUTURE_IDS;
+  const futureId = futureIds.find((id) => addresses[id]);
+  if (!futureId) {
+    throw new Error(`Deployment ${deploymentId} has no ${futureIds.join(" or ")} entry.`);
+  }
+
+  return hre.ethers.getAddress(addresses[futureId]);
+}
+
+/**
+ * @dev Connects to the deployed OnChainRaffle with the requested signer
+ * @param hre Hardhat runtime environment
+ * @param args Task arguments (address, deploymentId, from)
+ * @return OnChainRaffle contract instance
+ */
+async function getRaffle(hre, args) {
+  const address = await resolveRaffleAddress(hre, args);
+  const signer = args.from
+    ? await hre.ethers.getSigner(args.from)
+    : (await hre.ethers.getSigners())[0];
+
+  return hre.ethers.getContractAt("OnChainRaffle", address, signer);
+}
+
+/**
+ * @dev Opens the participant registry of the selected network
+ * @param hre Hardhat runtime environment
+ * @param args Task arguments, `registry` overrides the default file
+ * @return ParticipantRegistry instance
+ */
+async function getRegistry(hre, args) {
+  if (args.registry) {
+    return new ParticipantRegistry(args.registry);
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  return new ParticipantRegistry(path.join(hre.config.paths.root, "registry", `chain-${chainId}.json`));
+}
+
+/**
+ * @dev Reads participant IDs from a JSON array or a CSV file
+ * @notice Only the first CSV column is used and a non-numeric header row is skipped
+ * @param file Path to the participants file
+ * @return Array of participant IDs as bigint
+ */
+function readParticipants(file) {
+  const content = fs.readFileSync(file, "utf8");
+
+  if (path.extname(file).toLowerCase() === ".json") {
+    const parsed = JSON.parse(content);
+    if (!Array.isArray(parsed)) {
+      throw new Error(`${file} must contain a JSON array of participant IDs.`);
+    }
+    return parsed.map((value) => BigInt(value));
+  }
+
+  const rows = content
+    .split(/\r?\n/)
+    .map((line) => line.split(",")[0].trim())
+    .filter((cell) => cell.length > 0);
+
+  if (rows.length > 0 && !/^(0x[0-9a-f]+|\d+)$/i.test(rows[0])) {
+    rows.shift();
+  }
+
+  return rows.map((cell) => {
+    if (!/^(0x[0-9a-f]+|\d+)$/i.test(cell)) {
+      throw new Error(`Invalid participant ID "${cell}" in ${file}.`);
+    }
+    return BigInt(cell);
+  });
+}
+
+/**
+ * @dev Prints task results either as JSON or as human-readable lines
+ * @param json Whether to print JSON
+ * @param data Result object, bigints are serialized as strings
+ * @param lines Human-readable lines
+ */
+function report(json, data, lines) {
+  if (json) {
+    console.log(JSON.stringify(data, (_, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+  } else {
+    console.log(lines.join("\n"));
+  }
+}
+
+module.exports = {
+  DEFAULT_FUTURE_IDS,
+  resolveRaffleAddress,
+  getRaffle,
+  getRegistry,
+  readParticipants,
+  report,
+};
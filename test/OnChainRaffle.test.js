@@ -1,17 +1,17 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { ethers, ignition } = require("hardhat");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 require("@nomicfoundation/hardhat-chai-matchers");
+const MockRandomnessCoordinatorModule = require("../ignition/modules/MockRandomnessCoordinator");
+const { buildParticipantTree, getWinnerProofs } = require("../lib/merkle");
+const { authorizationArgs, signRaffleAuthorization } = require("../lib/signing");
+const { deployRaffleFixture, getRaffleFactory } = require("./helpers");
 
 describe("OnChainRaffle", function () {
-  // Fixture to deploy the contract with initial setup
-  async function deployRaffleFixture() {
-    const [owner, executor1, executor2, nonExecutor, user1, user2] = await ethers.getSigners();
-
-    const OnChainRaffle = await ethers.getContractFactory("OnChainRaffle");
-    const raffle = await OnChainRaffle.deploy([executor1.address, executor2.address]);
-
-    return { raffle, owner, executor1, executor2, nonExecutor, user1, user2 };
+  // Closes a round past its deadline and mines the block its draw seed is taken from
+  async function closeRoundForDraw(raffle, roundId) {
+    await raffle.closeRound(roundId);
+    await mine();
   }
 
   describe("Deployment", function () {
@@ -37,7 +37,7 @@ describe("OnChainRaffle", function () {
       // Note: Testing constructor events during deployment is challenging
       // We verify the executors are properly added by checking the state instead
       const [owner, executor1, executor2] = await ethers.getSigners();
-      const OnChainRaffle = await ethers.getContractFactory("OnChainRaffle");
+      const OnChainRaffle = await getRaffleFactory();
       const raffle = await OnChainRaffle.deploy([executor1.address, executor2.address]);
 
       // Verify executors were added successfully
@@ -46,14 +46,14 @@ describe("OnChainRaffle", function () {
     });
 
     it("Should revert if initial executor is zero address", async function () {
-      const OnChainRaffle = await ethers.getContractFactory("OnChainRaffle");
+      const OnChainRaffle = await getRaffleFactory();
       await expect(
         OnChainRaffle.deploy([ethers.ZeroAddress])
       ).to.be.revertedWithCustomError(OnChainRaffle, "ZeroAddress");
     });
 
     it("Should allow deployment with no initial executors", async function () {
-      const OnChainRaffle = await ethers.getContractFactory("OnChainRaffle");
+      const OnChainRaffle = await getRaffleFactory();
       const raffle = await OnChainRaffle.deploy([]);
       expect(await raffle.raffleCounter()).to.equal(0);
     });
@@ -313,6 +313,157 @@ describe("OnChainRaffle", function () {
 
       expect(await raffle.isExecutor(user1.address)).to.be.true;
     });
+
+    it("Should enumerate executors", async function () {
+      const { raffle, owner, executor1, executor2, user1 } = await loadFixture(deployRaffleFixture);
+
+      expect(await raffle.getExecutors()).to.deep.equal([executor1.address, executor2.address]);
+
+      await raffle.connect(owner).addExecutor(user1.address);
+      await raffle.connect(owner).addExecutor(user1.address);
+      await raffle.connect(owner).removeExecutor(executor1.address);
+
+      expect([...(await raffle.getExecutors())]).to.have.members([executor2.address, user1.address]);
+      expect((await raffle.getExecutors()).length).to.equal(2);
+    });
+
+    it("Should keep executor events in sync with the executor role", async function () {
+      const { raffle, owner, executor1, user1 } = await loadFixture(deployRaffleFixture);
+      const EXECUTOR_ROLE = await raffle.EXECUTOR_ROLE();
+
+      await expect(raffle.connect(owner).grantRole(EXECUTOR_ROLE, user1.address))
+        .to.emit(raffle, "ExecutorAdded")
+        .withArgs(user1.address);
+      expect(await raffle.isExecutor(user1.address)).to.be.true;
+
+      await expect(raffle.connect(owner).revokeRole(EXECUTOR_ROLE, executor1.address))
+        .to.emit(raffle, "ExecutorRemoved")
+        .withArgs(executor1.address);
+
+      // Role functions stay silent when nothing changes, addExecutor and removeExecutor always emit
+      await expect(raffle.connect(owner).grantRole(EXECUTOR_ROLE, user1.address)).to.not.emit(raffle, "ExecutorAdded");
+      await expect(raffle.connect(owner).revokeRole(EXECUTOR_ROLE, executor1.address))
+        .to.not.emit(raffle, "ExecutorRemoved");
+      await expect(raffle.connect(owner).addExecutor(user1.address))
+        .to.emit(raffle, "ExecutorAdded")
+        .withArgs(user1.address);
+      await expect(raffle.connect(owner).removeExecutor(executor1.address))
+        .to.emit(raffle, "ExecutorRemoved")
+        .withArgs(executor1.address);
+    });
+
+    it("Should let additional admins manage executors", async function () {
+      const { raffle, owner, user1, user2 } = await loadFixture(deployRaffleFixture);
+      const DEFAULT_ADMIN_ROLE = await raffle.DEFAULT_ADMIN_ROLE();
+
+      expect(await raffle.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.true;
+
+      await raffle.connect(owner).grantRole(DEFAULT_ADMIN_ROLE, user1.address);
+      await raffle.connect(user1).addExecutor(user2.address);
+      expect(await raffle.isExecutor(user2.address)).to.be.true;
+
+      // Admins do not get owner-only functions
+      await expect(raffle.connect(user1).setProtocolFee(100))
+        .to.be.revertedWithCustomError(raffle, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should move the admin role with ownership", async function () {
+      const { raffle, owner, user1 } = await loadFixture(deployRaffleFixture);
+      const DEFAULT_ADMIN_ROLE = await raffle.DEFAULT_ADMIN_ROLE();
+
+      await raffle.connect(owner).transferOwnership(user1.address);
+
+      expect(await raffle.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.false;
+      expect(await raffle.hasRole(DEFAULT_ADMIN_ROLE, user1.address)).to.be.true;
+      expect(await raffle.getRoleMembers(DEFAULT_ADMIN_ROLE)).to.deep.equal([user1.address]);
+    });
+
+    it("Should let admins grant the auditor role", async function () {
+      const { raffle, owner, executor1, user1 } = await loadFixture(deployRaffleFixture);
+      const AUDITOR_ROLE = await raffle.AUDITOR_ROLE();
+
+      await raffle.connect(owner).grantRole(AUDITOR_ROLE, user1.address);
+      expect(await raffle.getRoleMembers(AUDITOR_ROLE)).to.deep.equal([user1.address]);
+
+      await expect(raffle.connect(executor1).grantRole(AUDITOR_ROLE, executor1.address))
+        .to.be.revertedWithCustomError(raffle, "AccessControlUnauthorizedAccount");
+    });
+
+    describe("Executor Limits", function () {
+      it("Should set limits and emit ExecutorLimitsUpdated", async function () {
+        const { raffle, owner, executor1 } = await loadFixture(deployRaffleFixture);
+        const expiresAt = (await time.latest()) + 3600;
+
+        await expect(raffle.connect(owner).setExecutorLimits(executor1.address, expiresAt, 3, 100))
+          .to.emit(raffle, "ExecutorLimitsUpdated")
+          .withArgs(executor1.address, expiresAt, 3, 100);
+
+        const limits = await raffle.executorLimits(executor1.address);
+        expect(limits.expiresAt).to.equal(expiresAt);
+        expect(limits.maxRafflesPerDay).to.equal(3);
+        expect(limits.maxParticipants).to.equal(100);
+      });
+
+      it("Should only let admins set limits", async function () {
+        const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+
+        await expect(raffle.connect(executor1).setExecutorLimits(executor1.address, 0, 0, 0))
+          .to.be.revertedWithCustomError(raffle, "OwnableUnauthorizedAccount");
+      });
+
+      it("Should cap the number of participants per raffle", async function () {
+        const { raffle, owner, executor1 } = await loadFixture(deployRaffleFixture);
+        await raffle.connect(owner).setExecutorLimits(executor1.address, 0, 0, 5);
+
+        await raffle.connect(executor1).executeRaffle([1, 2, 3, 4, 5], 1);
+        await expect(raffle.connect(executor1).executeRaffle([1, 2, 3, 4, 5, 6], 1))
+          .to.be.revertedWithCustomError(raffle, "ExecutorParticipantLimitExceeded");
+        await expect(raffle.connect(executor1).executeMerkleRaffle(ethers.id("root"), 6, 1))
+          .to.be.revertedWithCustomError(raffle, "ExecutorParticipantLimitExceeded");
+        await expect(raffle.connect(executor1).executeWeightedRaffle([1, 2, 3, 4, 5, 6], [1, 1, 1, 1, 1, 1], 1))
+          .to.be.revertedWithCustomError(raffle, "ExecutorParticipantLimitExceeded");
+      });
+
+      it("Should cap raffles per day and reset the next day", async function () {
+        const { raffle, owner, executor1, executor2 } = await loadFixture(deployRaffleFixture);
+        await raffle.connect(owner).setExecutorLimits(executor1.address, 0, 2, 0);
+
+        // Start from the beginning of a UTC day so both raffles fall on the same day
+        const day = 24 * 3600;
+        await time.increaseTo(Math.ceil(((await time.latest()) + 1) / day) * day);
+
+        await raffle.connect(executor1).executeRaffle([1, 2, 3], 1);
+        await raffle.connect(executor1).createScheduledRaffle((await time.latest()) + 3600, 1, false, 0);
+        await expect(raffle.connect(executor1).executeRaffle([1, 2, 3], 1))
+          .to.be.revertedWithCustomError(raffle, "ExecutorDailyLimitReached");
+
+        // Other executors are not limited
+        await raffle.connect(executor2).executeRaffle([1, 2, 3], 1);
+
+        await time.increase(day);
+        await raffle.connect(executor1).executeRaffle([1, 2, 3], 1);
+      });
+
+      it("Should stop temporary executors at their expiry", async function () {
+        const { raffle, owner, executor1 } = await loadFixture(deployRaffleFixture);
+        const expiresAt = (await time.latest()) + 3600;
+        await raffle.connect(owner).setExecutorLimits(executor1.address, expiresAt, 0, 0);
+
+        await raffle.connect(executor1).executeRaffle([1, 2, 3], 1);
+
+        await time.increaseTo(expiresAt);
+        expect(await raffle.isExecutor(executor1.address)).to.be.false;
+        // Still enumerated and holding the role until removed
+        expect(await raffle.raffleExecutors(executor1.address)).to.be.true;
+        expect(await raffle.getExecutors()).to.include(executor1.address);
+        await expect(raffle.connect(executor1).executeRaffle([1, 2, 3], 1))
+          .to.be.revertedWithCustomError(raffle, "NotAuthorized");
+
+        // Lifting the expiry restores the executor
+        await raffle.connect(owner).setExecutorLimits(executor1.address, 0, 0, 0);
+        await raffle.connect(executor1).executeRaffle([1, 2, 3], 1);
+      });
+    });
   });
 
   describe("Ownership Management", function () {
@@ -525,4 +676,1909 @@ describe("OnChainRaffle", function () {
       expect(areIdentical).to.be.false;
     });
   });
+  describe("Commit-Reveal", function () {
+    const seed = ethers.id("secret seed");
+    const seedHash = ethers.keccak256(seed);
+    const participants = [11, 22, 33, 44, 55, 66, 77, 88];
+
+    // Replays the seeded Fisher-Yates draw off-chain
+    function expectedWinners(drawSeed, pool, numberOfWinners) {
+      const temp = pool.map(BigInt);
+      const winners = [];
+      let remaining = temp.length;
+      for (let i = 0; i < numberOfWinners; i++) {
+        const random = BigInt(ethers.solidityPackedKeccak256(["bytes32", "uint256"], [drawSeed, i]));
+        const index = Number(random % BigInt(remaining));
+        winners.push(temp[index]);
+        temp[index] = temp[remaining - 1];
+        remaining--;
+      }
+      return winners;
+    }
+
+    async function commitFixture() {
+      const fixture = await deployRaffleFixture();
+      const tx = await fixture.raffle.connect(fixture.executor1).commitRaffle(seedHash, participants, 3);
+      const receipt = await tx.wait();
+      return { ...fixture, commitBlock: receipt.blockNumber };
+    }
+
+    it("Should store the commitment and emit RaffleCommitted", async function () {
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+      const participantsHash = ethers.solidityPackedKeccak256(["uint256[]"], [participants]);
+
+      await expect(raffle.connect(executor1).commitRaffle(seedHash, participants, 3))
+        .to.emit(raffle, "RaffleCommitted")
+        .withArgs(0, executor1.address, seedHash, participantsHash, 3);
+
+      const commitment = await raffle.raffleCommitments(0);
+      expect(commitment.executor).to.equal(executor1.address);
+      expect(commitment.participantsHash).to.equal(participantsHash);
+      expect(commitment.revealed).to.be.false;
+      expect(await raffle.commitmentCounter()).to.equal(1);
+      expect(await raffle.raffleCounter()).to.equal(0);
+    });
+
+    it("Should reveal in a later block and draw from the seed and commit blockhash", async function () {
+      const { raffle, executor1, commitBlock } = await loadFixture(commitFixture);
+      await mine(5);
+
+      const commitHash = (await ethers.provider.getBlock(commitBlock)).hash;
+      const drawSeed = ethers.solidityPackedKeccak256(["bytes32", "bytes32"], [seed, commitHash]);
+      const winners = expectedWinners(drawSeed, participants, 3);
+
+      await expect(raffle.connect(executor1).revealRaffle(0, seed, participants))
+        .to.emit(raffle, "RaffleRevealed").withArgs(0, 0, seed)
+        .and.to.emit(raffle, "RaffleExecuted").withArgs(0, participants, winners);
+
+      expect(await raffle.getRaffleWinners(0)).to.deep.equal(winners);
+      const commitment = await raffle.raffleCommitments(0);
+      expect(commitment.revealed).to.be.true;
+      expect(commitment.raffleId).to.equal(0);
+      expect(await raffle.raffleCounter()).to.equal(1);
+    });
+
+    it("Should share raffle IDs with executeRaffle", async function () {
+      const { raffle, executor1 } = await loadFixture(commitFixture);
+
+      await raffle.connect(executor1).executeRaffle(participants, 2);
+      await raffle.connect(executor1).revealRaffle(0, seed, participants);
+
+      expect((await raffle.raffleCommitments(0)).raffleId).to.equal(1);
+      expect((await raffle.getRaffleWinners(1)).length).to.equal(3);
+    });
+
+    it("Should revert a reveal in the commit block", async function () {
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        await raffle.connect(executor1).commitRaffle(seedHash, participants, 3, { gasLimit: 500000 });
+        const reveal = await raffle.connect(executor1).revealRaffle(0, seed, participants, { gasLimit: 500000 });
+        await mine();
+
+        // Both transactions land in the same block, so the revert reason comes from a trace
+        const receipt = await ethers.provider.getTransactionReceipt(reveal.hash);
+        expect(receipt.status).to.equal(0);
+        const trace = await ethers.provider.send("debug_traceTransaction", [reveal.hash]);
+        expect(raffle.interface.parseError(trace.returnValue).name).to.equal("RevealTooEarly");
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+    });
+
+    it("Should revert a stale reveal after the reveal window", async function () {
+      const { raffle, executor1 } = await loadFixture(commitFixture);
+      await mine(Number(await raffle.REVEAL_WINDOW()));
+
+      await expect(
+        raffle.connect(executor1).revealRaffle(0, seed, participants)
+      ).to.be.revertedWithCustomError(raffle, "RevealExpired");
+    });
+
+    it("Should accept a reveal on the last block of the window", async function () {
+      const { raffle, executor1 } = await loadFixture(commitFixture);
+      await mine(Number(await raffle.REVEAL_WINDOW()) - 1);
+
+      await expect(raffle.connect(executor1).revealRaffle(0, seed, participants))
+        .to.emit(raffle, "RaffleRevealed");
+    });
+
+    it("Should let anyone record an unrevealed commitment as expired", async function () {
+      const { raffle, executor1, nonExecutor } = await loadFixture(commitFixture);
+      const Status = { None: 0, Pending: 1, Revealed: 2, Expired: 3 };
+      const window = Number(await raffle.REVEAL_WINDOW());
+
+      expect(await raffle.getCommitmentStatus(0)).to.equal(Status.Pending);
+      expect(await raffle.getCommitmentStatus(1)).to.equal(Status.None);
+
+      await mine(window - 1);
+      await expect(raffle.connect(nonExecutor).expireCommitment(0))
+        .to.be.revertedWithCustomError(raffle, "CommitmentNotExpired");
+
+      // The status flips once the window has passed, before anyone calls expireCommitment
+      await mine(1);
+      expect(await raffle.getCommitmentStatus(0)).to.equal(Status.Expired);
+
+      await expect(raffle.connect(nonExecutor).expireCommitment(0))
+        .to.emit(raffle, "CommitmentExpired")
+        .withArgs(0, executor1.address);
+      expect(await raffle.expiredCommitments(0)).to.be.true;
+
+      await expect(raffle.connect(nonExecutor).expireCommitment(0))
+        .to.be.revertedWithCustomError(raffle, "CommitmentAlreadyExpired");
+      await expect(raffle.connect(nonExecutor).expireCommitment(1))
+        .to.be.revertedWithCustomError(raffle, "InvalidCommitment");
+      await expect(raffle.connect(executor1).revealRaffle(0, seed, participants))
+        .to.be.revertedWithCustomError(raffle, "RevealExpired");
+    });
+
+    it("Should not expire a revealed commitment", async function () {
+      const { raffle, executor1, nonExecutor } = await loadFixture(commitFixture);
+      await raffle.connect(executor1).revealRaffle(0, seed, participants);
+      await mine(Number(await raffle.REVEAL_WINDOW()) + 1);
+
+      expect(await raffle.getCommitmentStatus(0)).to.equal(2);
+      await expect(raffle.connect(nonExecutor).expireCommitment(0))
+        .to.be.revertedWithCustomError(raffle, "CommitmentAlreadyRevealed");
+    });
+
+    it("Should revert when the seed does not match the commitment", async function () {
+      const { raffle, executor1 } = await loadFixture(commitFixture);
+      await mine(2);
+
+      await expect(
+        raffle.connect(executor1).revealRaffle(0, ethers.id("other seed"), participants)
+      ).to.be.revertedWithCustomError(raffle, "InvalidReveal");
+    });
+
+    it("Should revert when the participants do not match the commitment", async function () {
+      const { raffle, executor1 } = await loadFixture(commitFixture);
+      await mine(2);
+
+      await expect(
+        raffle.connect(executor1).revealRaffle(0, seed, [...participants].reverse())
+      ).to.be.revertedWithCustomError(raffle, "ParticipantsMismatch");
+    });
+
+    it("Should revert a second reveal", async function () {
+      const { raffle, executor1 } = await loadFixture(commitFixture);
+      await raffle.connect(executor1).revealRaffle(0, seed, participants);
+
+      await expect(
+        raffle.connect(executor1).revealRaffle(0, seed, participants)
+      ).to.be.revertedWithCustomError(raffle, "CommitmentAlreadyRevealed");
+    });
+
+    it("Should only let the committing executor reveal", async function () {
+      const { raffle, executor2, nonExecutor } = await loadFixture(commitFixture);
+
+      await expect(
+        raffle.connect(executor2).revealRaffle(0, seed, participants)
+      ).to.be.revertedWithCustomError(raffle, "InvalidCommitment");
+      await expect(
+        raffle.connect(executor2).revealRaffle(7, seed, participants)
+      ).to.be.revertedWithCustomError(raffle, "InvalidCommitment");
+      await expect(
+        raffle.connect(nonExecutor).revealRaffle(0, seed, participants)
+      ).to.be.revertedWithCustomError(raffle, "NotAuthorized");
+    });
+
+    it("Should validate the raffle at commit time", async function () {
+      const { raffle, executor1, nonExecutor } = await loadFixture(deployRaffleFixture);
+
+      await expect(
+        raffle.connect(executor1).commitRaffle(seedHash, [], 1)
+      ).to.be.revertedWithCustomError(raffle, "InvalidParticipants");
+      await expect(
+        raffle.connect(executor1).commitRaffle(seedHash, participants, 9)
+      ).to.be.revertedWithCustomError(raffle, "InvalidNumberOfWinners");
+      await expect(
+        raffle.connect(nonExecutor).commitRaffle(seedHash, participants, 1)
+      ).to.be.revertedWithCustomError(raffle, "NotAuthorized");
+    });
+  });
+  describe("Requested Randomness", function () {
+    const participants = [5, 10, 15, 20, 25, 30];
+    const Status = { None: 0n, Pending: 1n, Fulfilled: 2n, Failed: 3n };
+
+    async function deployCoordinatorFixture() {
+      const [owner, executor1, executor2, nonExecutor] = await ethers.getSigners();
+
+      const { ocr, coordinator } = await ignition.deploy(MockRandomnessCoordinatorModule, {
+        parameters: {
+          OnChainRaffleModule: { executors: [executor1.address, executor2.address] },
+        },
+      });
+
+      return { raffle: ocr, coordinator, owner, executor1, executor2, nonExecutor };
+    }
+
+    async function requestFixture() {
+      const fixture = await deployCoordinatorFixture();
+      await fixture.raffle.connect(fixture.executor1).requestRaffle(participants, 2);
+      return fixture;
+    }
+
+    it("Should wire the mock coordinator through Ignition", async function () {
+      const { raffle, coordinator, owner } = await loadFixture(deployCoordinatorFixture);
+
+      expect(await raffle.randomnessCoordinator()).to.equal(await coordinator.getAddress());
+      expect(await raffle.owner()).to.equal(owner.address);
+    });
+
+    it("Should record a pending request", async function () {
+      const { raffle, coordinator, executor1 } = await loadFixture(deployCoordinatorFixture);
+
+      await expect(raffle.connect(executor1).requestRaffle(participants, 2))
+        .to.emit(raffle, "RaffleRequested").withArgs(1, executor1.address, 2)
+        .and.to.emit(coordinator, "RandomnessRequested").withArgs(1, await raffle.getAddress());
+
+      const request = await raffle.raffleRequests(1);
+      expect(request.status).to.equal(Status.Pending);
+      expect(request.executor).to.equal(executor1.address);
+      expect(request.coordinator).to.equal(await coordinator.getAddress());
+      expect(await raffle.raffleCounter()).to.equal(0);
+    });
+
+    it("Should finish the draw when the coordinator fulfills", async function () {
+      const { raffle, coordinator } = await loadFixture(requestFixture);
+      const randomness = 123456789n;
+
+      // Replay the seeded draw off-chain
+      const drawSeed = ethers.solidityPackedKeccak256(["uint256", "uint256"], [randomness, 1]);
+      const pool = participants.map(BigInt);
+      const expected = [];
+      for (let i = 0; i < 2; i++) {
+        const random = BigInt(ethers.solidityPackedKeccak256(["bytes32", "uint256"], [drawSeed, i]));
+        const index = Number(random % BigInt(pool.length - i));
+        expected.push(pool[index]);
+        pool[index] = pool[pool.length - 1 - i];
+      }
+
+      await expect(coordinator.fulfillRandomness(1, randomness))
+        .to.emit(raffle, "RaffleRequestFulfilled").withArgs(1, 0)
+        .and.to.emit(raffle, "RaffleExecuted").withArgs(0, participants, expected)
+        .and.to.emit(coordinator, "RandomnessFulfilled").withArgs(1, randomness, true);
+
+      const request = await raffle.raffleRequests(1);
+      expect(request.status).to.equal(Status.Fulfilled);
+      expect(request.raffleId).to.equal(0);
+      expect(await raffle.getRaffleWinners(0)).to.deep.equal(expected);
+    });
+
+    it("Should keep executeRaffle available alongside requests", async function () {
+      const { raffle, coordinator, executor1 } = await loadFixture(requestFixture);
+
+      await raffle.connect(executor1).executeRaffle(participants, 3);
+      await coordinator.fulfillRandomness(1, 42);
+
+      expect((await raffle.raffleRequests(1)).raffleId).to.equal(1);
+      expect(await raffle.raffleCounter()).to.equal(2);
+    });
+
+    it("Should mark the request failed if its executor was removed", async function () {
+      const { raffle, coordinator, owner, executor1 } = await loadFixture(requestFixture);
+
+      await raffle.connect(owner).removeExecutor(executor1.address);
+
+      await expect(coordinator.fulfillRandomness(1, 42))
+        .to.emit(raffle, "RaffleRequestFailed").withArgs(1)
+        .and.to.emit(coordinator, "RandomnessFulfilled").withArgs(1, 42, true);
+
+      expect((await raffle.raffleRequests(1)).status).to.equal(Status.Failed);
+      expect(await raffle.raffleCounter()).to.equal(0);
+    });
+
+    it("Should mark the request failed if randomness arrives while paused", async function () {
+      const { raffle, coordinator, owner } = await loadFixture(requestFixture);
+
+      await raffle.connect(owner).pause();
+
+      await expect(coordinator.fulfillRandomness(1, 42))
+        .to.emit(raffle, "RaffleRequestFailed").withArgs(1)
+        .and.to.emit(coordinator, "RandomnessFulfilled").withArgs(1, 42, true);
+
+      expect((await raffle.raffleRequests(1)).status).to.equal(Status.Failed);
+      expect(await raffle.raffleCounter()).to.equal(0);
+    });
+
+    it("Should only accept randomness from the request's coordinator", async function () {
+      const { raffle, nonExecutor } = await loadFixture(requestFixture);
+
+      await expect(
+        raffle.connect(nonExecutor).rawFulfillRandomness(1, 42)
+      ).to.be.revertedWithCustomError(raffle, "OnlyCoordinator");
+    });
+
+    it("Should expire unfulfilled requests after the timeout", async function () {
+      const { raffle, coordinator, executor1, executor2 } = await loadFixture(requestFixture);
+
+      await expect(
+        raffle.connect(executor1).expireRaffleRequest(1)
+      ).to.be.revertedWithCustomError(raffle, "RequestNotExpired");
+      await expect(
+        raffle.connect(executor2).expireRaffleRequest(1)
+      ).to.be.revertedWithCustomError(raffle, "NotAuthorized");
+
+      await mine(Number(await raffle.REQUEST_TIMEOUT()));
+
+      await expect(raffle.connect(executor1).expireRaffleRequest(1))
+        .to.emit(raffle, "RaffleRequestFailed").withArgs(1);
+      expect((await raffle.raffleRequests(1)).status).to.equal(Status.Failed);
+
+      // A late fulfillment is rejected by the raffle and reported by the coordinator
+      await expect(coordinator.fulfillRandomness(1, 42))
+        .to.emit(coordinator, "RandomnessFulfilled").withArgs(1, 42, false);
+      await expect(
+        raffle.connect(executor1).expireRaffleRequest(1)
+      ).to.be.revertedWithCustomError(raffle, "RequestNotPending");
+    });
+
+    it("Should let the owner expire requests", async function () {
+      const { raffle, owner } = await loadFixture(requestFixture);
+      await mine(Number(await raffle.REQUEST_TIMEOUT()));
+
+      await expect(raffle.connect(owner).expireRaffleRequest(1))
+        .to.emit(raffle, "RaffleRequestFailed");
+    });
+
+    it("Should revert requests without a coordinator", async function () {
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+
+      await expect(
+        raffle.connect(executor1).requestRaffle(participants, 2)
+      ).to.be.revertedWithCustomError(raffle, "CoordinatorNotSet");
+    });
+
+    it("Should validate requests like executeRaffle", async function () {
+      const { raffle, executor1, nonExecutor } = await loadFixture(deployCoordinatorFixture);
+
+      await expect(
+        raffle.connect(executor1).requestRaffle(participants, 7)
+      ).to.be.revertedWithCustomError(raffle, "InvalidNumberOfWinners");
+      await expect(
+        raffle.connect(nonExecutor).requestRaffle(participants, 1)
+      ).to.be.revertedWithCustomError(raffle, "NotAuthorized");
+    });
+
+    it("Should only let the owner set the coordinator", async function () {
+      const { raffle, owner, nonExecutor } = await loadFixture(deployCoordinatorFixture);
+
+      await expect(
+        raffle.connect(nonExecutor).setRandomnessCoordinator(nonExecutor.address)
+      ).to.be.revertedWithCustomError(raffle, "OwnableUnauthorizedAccount");
+
+      await expect(raffle.connect(owner).setRandomnessCoordinator(ethers.ZeroAddress))
+        .to.emit(raffle, "RandomnessCoordinatorUpdated").withArgs(ethers.ZeroAddress);
+    });
+  });
+  describe("Merkle Raffles", function () {
+    const participants = Array.from({ length: 200 }, (_, i) => 1000 + i);
+
+    async function merkleRaffleFixture() {
+      const fixture = await deployRaffleFixture();
+      const tree = buildParticipantTree(participants);
+
+      const tx = await fixture.raffle.connect(fixture.executor1).executeMerkleRaffle(tree.root, participants.length, 5);
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment && log.fragment.name === "MerkleRaffleExecuted");
+
+      return { ...fixture, tree, receipt, winningIndices: [...event.args.winningIndices] };
+    }
+
+    it("Should draw distinct in-range indices and store the root", async function () {
+      const { raffle, tree, winningIndices } = await loadFixture(merkleRaffleFixture);
+
+      expect(winningIndices.length).to.equal(5);
+      expect(new Set(winningIndices).size).to.equal(5);
+      for (const index of winningIndices) {
+        expect(index < BigInt(participants.length)).to.be.true;
+      }
+
+      expect(await raffle.getRaffleWinners(0)).to.deep.equal(winningIndices);
+      const merkleRaffle = await raffle.merkleRaffles(0);
+      expect(merkleRaffle.participantsRoot).to.equal(tree.root);
+      expect(merkleRaffle.participantCount).to.equal(participants.length);
+    });
+
+    it("Should emit MerkleRaffleExecuted without the participant list", async function () {
+      const { raffle, tree, receipt } = await loadFixture(merkleRaffleFixture);
+
+      const names = receipt.logs.map(log => log.fragment && log.fragment.name);
+      expect(names).to.include("MerkleRaffleExecuted");
+      expect(names).to.not.include("RaffleExecuted");
+      expect(await raffle.raffleCounter()).to.equal(1);
+      expect(tree.root).to.not.equal(ethers.ZeroHash);
+    });
+
+    it("Should verify winners with proofs from the JS helper", async function () {
+      const { raffle, tree, winningIndices } = await loadFixture(merkleRaffleFixture);
+
+      for (const { rank, index, participant, proof } of getWinnerProofs(tree, winningIndices)) {
+        expect(participant).to.equal(BigInt(participants[Number(index)]));
+        expect(await raffle.verifyMerkleWinner(0, rank, participant, proof)).to.be.true;
+      }
+    });
+
+    it("Should reject proofs for the wrong participant or rank", async function () {
+      const { raffle, tree, winningIndices } = await loadFixture(merkleRaffleFixture);
+      const [first, second] = getWinnerProofs(tree, winningIndices);
+
+      expect(await raffle.verifyMerkleWinner(0, 0, first.participant + 1n, first.proof)).to.be.false;
+      expect(await raffle.verifyMerkleWinner(0, 1, first.participant, first.proof)).to.be.false;
+      expect(await raffle.verifyMerkleWinner(0, 0, second.participant, second.proof)).to.be.false;
+      expect(await raffle.verifyMerkleWinner(0, 5, first.participant, first.proof)).to.be.false;
+      expect(await raffle.verifyMerkleWinner(1, 0, first.participant, first.proof)).to.be.false;
+    });
+
+    it("Should draw every index once when all participants win", async function () {
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+      const tree = buildParticipantTree(participants.slice(0, 12));
+
+      await raffle.connect(executor1).executeMerkleRaffle(tree.root, 12, 12);
+
+      const indices = (await raffle.getRaffleWinners(0)).map(Number).sort((a, b) => a - b);
+      expect(indices).to.deep.equal(Array.from({ length: 12 }, (_, i) => i));
+    });
+
+    it("Should use far less gas than executeRaffle and support 50k participants", async function () {
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+      const large = Array.from({ length: 1000 }, (_, i) => i + 1);
+      const tree = buildParticipantTree(large);
+
+      const arrayReceipt = await (await raffle.connect(executor1).executeRaffle(large, 10)).wait();
+      const merkleReceipt = await (await raffle.connect(executor1).executeMerkleRaffle(tree.root, large.length, 10)).wait();
+
+      // Calldata and copying for 1,000 participants cost over 400k gas on their own
+      expect(arrayReceipt.gasUsed - merkleReceipt.gasUsed > 400000n).to.be.true;
+
+      // The participant count does not change the cost of the draw. The margin covers the one
+      // storage cost that varies: a drawn index of 0 is a zero write, about 20k cheaper than any other
+      const hugeReceipt = await (await raffle.connect(executor1).executeMerkleRaffle(ethers.id("50k entrants"), 50000, 10)).wait();
+      expect(hugeReceipt.gasUsed < merkleReceipt.gasUsed + 25000n).to.be.true;
+    });
+
+    it("Should revert on an empty root, zero participants or too many winners", async function () {
+      const { raffle, executor1, nonExecutor } = await loadFixture(deployRaffleFixture);
+      const root = ethers.id("root");
+
+      await expect(
+        raffle.connect(executor1).executeMerkleRaffle(ethers.ZeroHash, 10, 1)
+      ).to.be.revertedWithCustomError(raffle, "InvalidMerkleRoot");
+      await expect(
+        raffle.connect(executor1).executeMerkleRaffle(root, 0, 1)
+      ).to.be.revertedWithCustomError(raffle, "InvalidParticipants");
+      await expect(
+        raffle.connect(executor1).executeMerkleRaffle(root, 3, 4)
+      ).to.be.revertedWithCustomError(raffle, "InvalidNumberOfWinners");
+      await expect(
+        raffle.connect(nonExecutor).executeMerkleRaffle(root, 3, 1)
+      ).to.be.revertedWithCustomError(raffle, "NotAuthorized");
+    });
+
+    it("Should reject winning indices missing from the tree in the JS helper", function () {
+      const tree = buildParticipantTree([1, 2, 3]);
+      expect(() => getWinnerProofs(tree, [3])).to.throw("Index 3 is not in the participant tree.");
+      expect(() => buildParticipantTree([])).to.throw("without participants");
+    });
+  });
+  describe("Weighted Raffles", function () {
+    async function drawMany(raffle, executor, participants, weights, numberOfWinners, rounds) {
+      const draws = [];
+      for (let i = 0; i < rounds; i++) {
+        const receipt = await (await raffle.connect(executor).executeWeightedRaffle(participants, weights, numberOfWinners)).wait();
+        const event = receipt.logs.find(log => log.fragment && log.fragment.name === "WeightedRaffleExecuted");
+        draws.push(event.args.winners.map(Number));
+      }
+      return draws;
+    }
+
+    it("Should emit WeightedRaffleExecuted and store the weights", async function () {
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+      const participants = [7, 8, 9];
+      const weights = [5, 1, 4];
+
+      await expect(raffle.connect(executor1).executeWeightedRaffle(participants, weights, 2))
+        .to.emit(raffle, "WeightedRaffleExecuted")
+        .withArgs(0, participants, weights, (winners) => winners.length === 2);
+
+      const winners = (await raffle.getRaffleWinners(0)).map(Number);
+      const [winnerWeights, totalWeight] = await raffle.getRaffleWeights(0);
+
+      expect(totalWeight).to.equal(10);
+      expect(winnerWeights.map(Number)).to.deep.equal(
+        winners.map(winner => weights[participants.indexOf(winner)])
+      );
+      expect(await raffle.raffleCounter()).to.equal(1);
+    });
+
+    it("Should pick winners in proportion to their weight", async function () {
+      this.timeout(120000);
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+      const participants = [1, 2, 3, 4];
+      const weights = [1, 2, 3, 4];
+      const rounds = 400;
+
+      const draws = await drawMany(raffle, executor1, participants, weights, 1, rounds);
+
+      const counts = [0, 0, 0, 0];
+      for (const [winner] of draws) {
+        counts[participants.indexOf(winner)]++;
+      }
+
+      // Chi-square goodness of fit, 3 degrees of freedom, critical value at p = 0.001
+      const chiSquare = counts.reduce((sum, observed, i) => {
+        const expected = rounds * weights[i] / 10;
+        return sum + (observed - expected) ** 2 / expected;
+      }, 0);
+      expect(chiSquare).to.be.below(16.27);
+    });
+
+    it("Should never pick the same participant twice", async function () {
+      this.timeout(120000);
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+      const participants = [1, 2, 3, 4, 5];
+      const weights = [1, 1, 1, 1, 96];
+
+      const draws = await drawMany(raffle, executor1, participants, weights, 3, 100);
+
+      let heavyWins = 0;
+      for (const winners of draws) {
+        expect(new Set(winners).size).to.equal(3);
+        if (winners.includes(5)) heavyWins++;
+      }
+      // The heavy participant wins a seat in almost every draw, but only once per draw
+      expect(heavyWins).to.be.above(95);
+    });
+
+    it("Should let every participant win when all seats are drawn", async function () {
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+
+      await raffle.connect(executor1).executeWeightedRaffle([1, 2, 3], [100, 1, 1], 3);
+
+      const winners = (await raffle.getRaffleWinners(0)).map(Number).sort();
+      expect(winners).to.deep.equal([1, 2, 3]);
+    });
+
+    it("Should let a duplicated participant win only once", async function () {
+      this.timeout(120000);
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+      // Participant 1 is listed three times and holds almost every ticket
+      const participants = [1, 2, 1, 3, 1];
+      const weights = [30, 1, 30, 1, 30];
+
+      for (let i = 0; i < 10; i++) {
+        await raffle.connect(executor1).executeWeightedRaffle(participants, weights, 3);
+        const winners = (await raffle.getRaffleWinners(i)).map(Number);
+        expect([...winners].sort()).to.deep.equal([1, 2, 3]);
+
+        const [winnerWeights] = await raffle.getRaffleWeights(i);
+        expect(winnerWeights.map(Number)).to.deep.equal(winners.map((winner) => (winner === 1 ? 90 : 1)));
+      }
+
+      // Three entries but only two distinct participants
+      await expect(
+        raffle.connect(executor1).executeWeightedRaffle([1, 2, 1], [1, 1, 1], 3)
+      ).to.be.revertedWithCustomError(raffle, "InvalidNumberOfWinners");
+    });
+
+    it("Should revert on mismatched or zero weights", async function () {
+      const { raffle, executor1, nonExecutor } = await loadFixture(deployRaffleFixture);
+
+      await expect(
+        raffle.connect(executor1).executeWeightedRaffle([1, 2, 3], [1, 2], 1)
+      ).to.be.revertedWithCustomError(raffle, "InvalidWeights");
+      await expect(
+        raffle.connect(executor1).executeWeightedRaffle([1, 2, 3], [1, 0, 2], 1)
+      ).to.be.revertedWithCustomError(raffle, "InvalidWeights");
+      await expect(
+        raffle.connect(executor1).executeWeightedRaffle([1, 2], [1, 2], 3)
+      ).to.be.revertedWithCustomError(raffle, "InvalidNumberOfWinners");
+      await expect(
+        raffle.connect(nonExecutor).executeWeightedRaffle([1, 2], [1, 2], 1)
+      ).to.be.revertedWithCustomError(raffle, "NotAuthorized");
+    });
+
+    it("Should return empty weights for other raffles", async function () {
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+      await raffle.connect(executor1).executeRaffle([1, 2, 3], 1);
+
+      const [winnerWeights, totalWeight] = await raffle.getRaffleWeights(0);
+      expect(winnerWeights.length).to.equal(0);
+      expect(totalWeight).to.equal(0);
+    });
+  });
+  describe("Raffle Metadata", function () {
+    const Mode = { Standard: 0n, CommitReveal: 1n, Requested: 2n, Weighted: 3n, Merkle: 4n };
+
+    async function metadataFixture() {
+      const fixture = await deployRaffleFixture();
+      const { raffle, executor1, executor2 } = fixture;
+
+      await raffle.connect(executor1).executeRaffle([1, 2, 3, 4], 2);
+      await raffle.connect(executor2).executeWeightedRaffle([5, 6], [1, 3], 1);
+      await raffle.connect(executor1).executeMerkleRaffle(ethers.id("root"), 100, 3);
+
+      return fixture;
+    }
+
+    it("Should record executor, block, timestamp and input of each raffle", async function () {
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+      const participants = [10, 20, 30];
+
+      const receipt = await (await raffle.connect(executor1).executeRaffle(participants, 2)).wait();
+      const block = await ethers.provider.getBlock(receipt.blockNumber);
+
+      const record = await raffle.getRaffle(0);
+      expect(record.id).to.equal(0);
+      expect(record.executor).to.equal(executor1.address);
+      expect(record.blockNumber).to.equal(receipt.blockNumber);
+      expect(record.timestamp).to.equal(block.timestamp);
+      expect(record.participantCount).to.equal(3);
+      expect(record.mode).to.equal(Mode.Standard);
+      expect(record.participantsHash).to.equal(ethers.solidityPackedKeccak256(["uint256[]"], [participants]));
+      expect(record.title).to.equal("");
+      expect(record.uri).to.equal("");
+      expect(record.winners).to.deep.equal(await raffle.getRaffleWinners(0));
+    });
+
+    it("Should record the mode and input hash of every raffle kind", async function () {
+      const { raffle } = await loadFixture(metadataFixture);
+
+      const weighted = await raffle.getRaffle(1);
+      expect(weighted.mode).to.equal(Mode.Weighted);
+      expect(weighted.participantsHash).to.equal(
+        ethers.solidityPackedKeccak256(["uint256[]", "uint256[]"], [[5, 6], [1, 3]])
+      );
+
+      const merkle = await raffle.getRaffle(2);
+      expect(merkle.mode).to.equal(Mode.Merkle);
+      expect(merkle.participantsHash).to.equal(ethers.id("root"));
+      expect(merkle.participantCount).to.equal(100);
+    });
+
+    it("Should revert for raffles that do not exist", async function () {
+      const { raffle } = await loadFixture(metadataFixture);
+
+      await expect(raffle.getRaffle(3)).to.be.revertedWithCustomError(raffle, "RaffleNotFound");
+    });
+
+    it("Should paginate raffles", async function () {
+      const { raffle } = await loadFixture(metadataFixture);
+
+      const firstPage = await raffle.getRaffles(0, 2);
+      expect(firstPage.map(r => r.id)).to.deep.equal([0n, 1n]);
+
+      const secondPage = await raffle.getRaffles(2, 2);
+      expect(secondPage.map(r => r.id)).to.deep.equal([2n]);
+
+      expect((await raffle.getRaffles(3, 2)).length).to.equal(0);
+      expect((await raffle.getRaffles(0, 0)).length).to.equal(0);
+    });
+
+    it("Should list raffles by executor", async function () {
+      const { raffle, executor1, executor2, nonExecutor } = await loadFixture(metadataFixture);
+
+      expect(await raffle.getExecutorRaffleCount(executor1.address)).to.equal(2);
+      expect(await raffle.getRafflesByExecutor(executor1.address, 0, 10)).to.deep.equal([0n, 2n]);
+      expect(await raffle.getRafflesByExecutor(executor1.address, 1, 10)).to.deep.equal([2n]);
+      expect(await raffle.getRafflesByExecutor(executor2.address, 0, 10)).to.deep.equal([1n]);
+      expect((await raffle.getRafflesByExecutor(nonExecutor.address, 0, 10)).length).to.equal(0);
+    });
+
+    it("Should credit requested raffles to the requesting executor", async function () {
+      const { raffle, owner, executor2 } = await loadFixture(deployRaffleFixture);
+      const coordinator = await ethers.deployContract("MockRandomnessCoordinator");
+      await raffle.connect(owner).setRandomnessCoordinator(await coordinator.getAddress());
+
+      await raffle.connect(executor2).requestRaffle([1, 2, 3], 1);
+      await coordinator.fulfillRandomness(1, 99);
+
+      const record = await raffle.getRaffle(0);
+      expect(record.executor).to.equal(executor2.address);
+      expect(record.mode).to.equal(Mode.Requested);
+      expect(record.participantsHash).to.equal(ethers.solidityPackedKeccak256(["uint256[]"], [[1, 2, 3]]));
+    });
+
+    it("Should let the executor or owner set the title and URI", async function () {
+      const { raffle, owner, executor1, executor2 } = await loadFixture(metadataFixture);
+
+      await expect(raffle.connect(executor1).setRaffleMetadata(0, "Spring giveaway", "ipfs://entrants"))
+        .to.emit(raffle, "RaffleMetadataUpdated")
+        .withArgs(0, "Spring giveaway", "ipfs://entrants");
+
+      const record = await raffle.getRaffle(0);
+      expect(record.title).to.equal("Spring giveaway");
+      expect(record.uri).to.equal("ipfs://entrants");
+
+      await raffle.connect(owner).setRaffleMetadata(0, "Renamed", "");
+      expect((await raffle.getRaffle(0)).title).to.equal("Renamed");
+
+      await expect(
+        raffle.connect(executor2).setRaffleMetadata(0, "Hijack", "")
+      ).to.be.revertedWithCustomError(raffle, "NotAuthorized");
+      await expect(
+        raffle.connect(executor1).setRaffleMetadata(9, "Missing", "")
+      ).to.be.revertedWithCustomError(raffle, "RaffleNotFound");
+    });
+  });
+
+  describe("Scheduled Raffles", function () {
+    const Status = { None: 0, Open: 1, Closed: 2, Drawn: 3, Cancelled: 4 };
+    const HOUR = 3600;
+    const DAY = 24 * HOUR;
+
+    async function scheduledFixture() {
+      const fixture = await deployRaffleFixture();
+      const deadline = (await time.latest()) + HOUR;
+
+      await fixture.raffle.connect(fixture.executor1).createScheduledRaffle(deadline, 2, true, 0);
+
+      return { ...fixture, deadline };
+    }
+
+    async function enterAll(raffle, roundId, signers) {
+      for (const signer of signers) {
+        await raffle.connect(signer).enter(roundId);
+      }
+    }
+
+    it("Should create a schedule and open its first round", async function () {
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+      const deadline = (await time.latest()) + HOUR;
+
+      await expect(raffle.connect(executor1).createScheduledRaffle(deadline, 3, false, DAY))
+        .to.emit(raffle, "ScheduledRaffleCreated")
+        .withArgs(0, executor1.address, 3, DAY, false)
+        .and.to.emit(raffle, "RoundOpened")
+        .withArgs(0, 0, deadline);
+
+      const schedule = await raffle.raffleSchedules(0);
+      expect(schedule.creator).to.equal(executor1.address);
+      expect(schedule.active).to.be.true;
+      expect(schedule.currentRound).to.equal(0);
+      expect(await raffle.getRoundStatus(0)).to.equal(Status.Open);
+    });
+
+    it("Should reject invalid schedules and non-executors", async function () {
+      const { raffle, executor1, nonExecutor } = await loadFixture(deployRaffleFixture);
+      const now = await time.latest();
+
+      await expect(
+        raffle.connect(nonExecutor).createScheduledRaffle(now + HOUR, 1, false, 0)
+      ).to.be.revertedWithCustomError(raffle, "NotAuthorized");
+      await expect(
+        raffle.connect(executor1).createScheduledRaffle(now, 1, false, 0)
+      ).to.be.revertedWithCustomError(raffle, "InvalidDeadline");
+      await expect(
+        raffle.connect(executor1).createScheduledRaffle(now + HOUR, 0, false, 0)
+      ).to.be.revertedWithCustomError(raffle, "InvalidNumberOfWinners");
+    });
+
+    it("Should accept entries until the deadline", async function () {
+      const { raffle, user1, user2, deadline } = await loadFixture(scheduledFixture);
+
+      await expect(raffle.connect(user1).enter(0))
+        .to.emit(raffle, "RaffleEntered")
+        .withArgs(0, user1.address);
+      await raffle.connect(user2).enter(0);
+
+      expect(await raffle.getRoundEntries(0)).to.deep.equal([BigInt(user1.address), BigInt(user2.address)]);
+      expect(await raffle.hasEntered(0, user1.address)).to.be.true;
+
+      await time.increaseTo(deadline);
+      expect(await raffle.getRoundStatus(0)).to.equal(Status.Closed);
+      await expect(raffle.connect(user1).enter(0)).to.be.revertedWithCustomError(raffle, "RoundNotOpen");
+      await expect(raffle.connect(user1).enter(7)).to.be.revertedWithCustomError(raffle, "RoundNotOpen");
+    });
+
+    it("Should enforce one entry per address only when configured", async function () {
+      const { raffle, executor1, user1 } = await loadFixture(scheduledFixture);
+
+      await raffle.connect(user1).enter(0);
+      await expect(raffle.connect(user1).enter(0)).to.be.revertedWithCustomError(raffle, "AlreadyEntered");
+
+      await raffle.connect(executor1).createScheduledRaffle((await time.latest()) + HOUR, 1, false, 0);
+      await raffle.connect(user1).enter(1);
+      await raffle.connect(user1).enter(1);
+      expect((await raffle.getRoundEntries(1)).length).to.equal(2);
+    });
+
+    it("Should close a round only after its deadline", async function () {
+      const { raffle, user1, nonExecutor, deadline } = await loadFixture(scheduledFixture);
+      await raffle.connect(user1).enter(0);
+
+      await expect(raffle.connect(nonExecutor).closeRound(0))
+        .to.be.revertedWithCustomError(raffle, "EntryWindowOpen");
+
+      await time.increaseTo(deadline);
+      await expect(raffle.connect(nonExecutor).closeRound(0))
+        .to.emit(raffle, "RoundClosed")
+        .withArgs(0, 1);
+
+      expect((await raffle.raffleRounds(0)).status).to.equal(Status.Closed);
+      await expect(raffle.closeRound(0)).to.be.revertedWithCustomError(raffle, "RoundNotOpen");
+    });
+
+    it("Should let any executor draw after the deadline", async function () {
+      const { raffle, executor1, executor2, user1, user2, nonExecutor, deadline } = await loadFixture(scheduledFixture);
+      const entrants = [user1, user2, nonExecutor];
+      await enterAll(raffle, 0, entrants);
+
+      await expect(raffle.connect(executor2).drawRound(0))
+        .to.be.revertedWithCustomError(raffle, "EntryWindowOpen");
+
+      await time.increaseTo(deadline);
+      await expect(raffle.connect(executor2).drawRound(0))
+        .to.be.revertedWithCustomError(raffle, "RoundNotClosed");
+      await expect(raffle.closeRound(0))
+        .to.emit(raffle, "RoundClosed")
+        .withArgs(0, 3);
+      await expect(raffle.connect(executor2).drawRound(0))
+        .to.be.revertedWithCustomError(raffle, "DrawTooEarly");
+
+      // The seed block is mined, so the result no longer depends on who draws
+      await mine();
+      const preview = await raffle.connect(executor1).drawRound.staticCall(0, { blockTag: "pending" });
+      await expect(raffle.connect(executor2).drawRound(0))
+        .to.emit(raffle, "RoundDrawn")
+        .withArgs(0, 0)
+        .and.to.emit(raffle, "RaffleExecuted");
+
+      const round = await raffle.raffleRounds(0);
+      expect(round.status).to.equal(Status.Drawn);
+      expect(round.raffleId).to.equal(0);
+
+      const record = await raffle.getRaffle(0);
+      expect(record.executor).to.equal(executor2.address);
+      expect(record.mode).to.equal(5);
+      expect(record.participantCount).to.equal(3);
+
+      const entered = entrants.map((signer) => BigInt(signer.address));
+      expect(record.winners).to.deep.equal(preview);
+      expect(new Set(record.winners).size).to.equal(2);
+      for (const winner of record.winners) {
+        expect(entered).to.include(winner);
+      }
+
+      await expect(raffle.connect(executor2).drawRound(0)).to.be.revertedWithCustomError(raffle, "RoundNotOpen");
+    });
+
+    it("Should let anyone draw once the grace period has passed", async function () {
+      const { raffle, user1, nonExecutor, deadline } = await loadFixture(scheduledFixture);
+      await raffle.connect(user1).enter(0);
+
+      await time.increaseTo(deadline);
+      await closeRoundForDraw(raffle, 0);
+      await expect(raffle.connect(nonExecutor).drawRound(0))
+        .to.be.revertedWithCustomError(raffle, "NotAuthorized");
+
+      await time.increaseTo(deadline + DAY);
+      await raffle.connect(nonExecutor).drawRound(0);
+
+      expect(await raffle.getRaffleWinners(0)).to.deep.equal([BigInt(user1.address)]);
+      expect((await raffle.getRaffle(0)).executor).to.equal(nonExecutor.address);
+    });
+
+    it("Should let anyone cancel a round whose draw seed has expired", async function () {
+      const { raffle, executor1, user1, nonExecutor, deadline } = await loadFixture(scheduledFixture);
+      await raffle.connect(user1).enter(0);
+
+      await time.increaseTo(deadline);
+      await expect(raffle.connect(nonExecutor).cancelAbandonedRound(0))
+        .to.be.revertedWithCustomError(raffle, "RoundNotClosed");
+
+      await raffle.connect(nonExecutor).closeRound(0);
+      await expect(raffle.connect(nonExecutor).cancelAbandonedRound(0))
+        .to.be.revertedWithCustomError(raffle, "DrawNotExpired");
+
+      // blockhash only covers the 256 most recent blocks
+      await mine(128);
+      await expect(raffle.connect(nonExecutor).cancelAbandonedRound(0))
+        .to.be.revertedWithCustomError(raffle, "DrawNotExpired");
+
+      await mine(128);
+      await expect(raffle.connect(executor1).drawRound(0)).to.be.revertedWithCustomError(raffle, "DrawExpired");
+      await expect(raffle.connect(nonExecutor).cancelAbandonedRound(0))
+        .to.emit(raffle, "RoundCancelled")
+        .withArgs(0)
+        .and.to.emit(raffle, "ScheduledRaffleCancelled")
+        .withArgs(0);
+
+      expect(await raffle.getRoundStatus(0)).to.equal(Status.Cancelled);
+      expect((await raffle.raffleSchedules(0)).active).to.be.false;
+      await expect(raffle.connect(executor1).drawRound(0)).to.be.revertedWithCustomError(raffle, "RoundNotOpen");
+      await expect(raffle.connect(nonExecutor).cancelAbandonedRound(0))
+        .to.be.revertedWithCustomError(raffle, "RoundNotClosed");
+    });
+
+    it("Should cancel a round that nobody entered", async function () {
+      const { raffle, executor1, deadline } = await loadFixture(scheduledFixture);
+
+      await time.increaseTo(deadline);
+      await raffle.closeRound(0);
+      await expect(raffle.connect(executor1).drawRound(0))
+        .to.emit(raffle, "RoundCancelled")
+        .withArgs(0);
+
+      expect(await raffle.getRoundStatus(0)).to.equal(Status.Cancelled);
+      expect(await raffle.raffleCounter()).to.equal(0);
+    });
+
+    it("Should open the next round of a recurring schedule after each draw", async function () {
+      const { raffle, executor1, user1, user2 } = await loadFixture(deployRaffleFixture);
+      const deadline = (await time.latest()) + DAY;
+      await raffle.connect(executor1).createScheduledRaffle(deadline, 1, true, DAY);
+
+      await raffle.connect(user1).enter(0);
+      await time.increaseTo(deadline);
+      await closeRoundForDraw(raffle, 0);
+      await expect(raffle.connect(executor1).drawRound(0))
+        .to.emit(raffle, "RoundOpened")
+        .withArgs(1, 0, deadline + DAY);
+
+      expect((await raffle.raffleSchedules(0)).currentRound).to.equal(1);
+
+      // Entry limits are per round
+      await raffle.connect(user1).enter(1);
+      await raffle.connect(user2).enter(1);
+
+      // A late draw pushes the next deadline out from the draw time
+      await time.increaseTo(deadline + 3 * DAY);
+      await closeRoundForDraw(raffle, 1);
+      await raffle.connect(executor1).drawRound(1);
+      const round = await raffle.raffleRounds(2);
+      expect(round.status).to.equal(Status.Open);
+      expect(round.entryDeadline).to.equal((await time.latest()) + DAY);
+
+      // Empty rounds still roll over
+      await time.increaseTo(round.entryDeadline);
+      await raffle.closeRound(2);
+      await expect(raffle.connect(executor1).drawRound(2))
+        .to.emit(raffle, "RoundCancelled")
+        .and.to.emit(raffle, "RoundOpened");
+      expect(await raffle.roundCounter()).to.equal(4);
+    });
+
+    it("Should let the creator or owner cancel a schedule", async function () {
+      const { raffle, owner, executor1, executor2, user1 } = await loadFixture(deployRaffleFixture);
+      const deadline = (await time.latest()) + HOUR;
+      await raffle.connect(executor1).createScheduledRaffle(deadline, 1, false, HOUR);
+      await raffle.connect(executor1).createScheduledRaffle(deadline, 1, false, HOUR);
+      await raffle.connect(user1).enter(0);
+
+      await expect(raffle.connect(executor2).cancelScheduledRaffle(0))
+        .to.be.revertedWithCustomError(raffle, "NotAuthorized");
+
+      await expect(raffle.connect(executor1).cancelScheduledRaffle(0))
+        .to.emit(raffle, "ScheduledRaffleCancelled")
+        .withArgs(0)
+        .and.to.emit(raffle, "RoundCancelled")
+        .withArgs(0);
+      await expect(raffle.connect(executor1).cancelScheduledRaffle(0))
+        .to.be.revertedWithCustomError(raffle, "ScheduleNotActive");
+
+      await time.increaseTo(deadline);
+      await expect(raffle.connect(executor1).drawRound(0)).to.be.revertedWithCustomError(raffle, "RoundNotOpen");
+
+      // A cancelled schedule does not open a next round
+      await raffle.connect(owner).cancelScheduledRaffle(1);
+      expect(await raffle.getRoundStatus(1)).to.equal(Status.Cancelled);
+      expect(await raffle.roundCounter()).to.equal(2);
+    });
+  });
+
+  describe("Paid Raffles", function () {
+    const HOUR = 3600;
+    const FEE = ethers.parseEther("0.1");
+    const SPLIT = [5000, 3000, 2000];
+
+    async function paidRaffleFixture() {
+      const fixture = await deployRaffleFixture();
+      const signers = await ethers.getSigners();
+      const entrants = signers.slice(6, 16);
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Raffle Token", "RAF");
+      for (const entrant of entrants) {
+        await token.mint(entrant.address, ethers.parseEther("100"));
+        await token.connect(entrant).approve(await fixture.raffle.getAddress(), ethers.MaxUint256);
+      }
+
+      const deadline = (await time.latest()) + HOUR;
+      return { ...fixture, token, entrants, deadline };
+    }
+
+    async function drawnEthRaffleFixture() {
+      const fixture = await paidRaffleFixture();
+      const { raffle, owner, executor1, entrants, deadline } = fixture;
+
+      await raffle.connect(owner).setProtocolFee(500);
+      await raffle.connect(executor1).createPaidRaffle(deadline, ethers.ZeroAddress, FEE, SPLIT, true, 0);
+      for (const entrant of entrants) {
+        await raffle.connect(entrant).enter(0, { value: FEE });
+      }
+
+      await time.increaseTo(deadline);
+      await closeRoundForDraw(raffle, 0);
+      await raffle.connect(executor1).drawRound(0);
+      const winners = (await raffle.getRaffleWinners(0)).map((winner) => ethers.getAddress(ethers.toBeHex(winner, 20)));
+
+      return { ...fixture, winners };
+    }
+
+    it("Should configure a prize pool with the current protocol fee", async function () {
+      const { raffle, owner, executor1, token, deadline } = await loadFixture(paidRaffleFixture);
+      await raffle.connect(owner).setProtocolFee(250);
+
+      await expect(raffle.connect(executor1).createPaidRaffle(deadline, token, FEE, SPLIT, true, 0))
+        .to.emit(raffle, "PrizePoolConfigured")
+        .withArgs(0, await token.getAddress(), FEE, SPLIT, 250)
+        .and.to.emit(raffle, "RoundOpened");
+
+      const config = await raffle.getPrizeConfig(0);
+      expect(config.entryFee).to.equal(FEE);
+      expect(config.payoutBps).to.deep.equal(SPLIT);
+      expect((await raffle.raffleSchedules(0)).numberOfWinners).to.equal(3);
+
+      // Later fee changes do not affect existing schedules
+      await raffle.connect(owner).setProtocolFee(1000);
+      expect((await raffle.getPrizeConfig(0)).protocolFeeBps).to.equal(250);
+    });
+
+    it("Should reject invalid prize pools and protocol fees", async function () {
+      const { raffle, owner, executor1, nonExecutor, deadline } = await loadFixture(paidRaffleFixture);
+      const create = (fee, split) =>
+        raffle.connect(executor1).createPaidRaffle(deadline, ethers.ZeroAddress, fee, split, false, 0);
+
+      await expect(create(0, SPLIT)).to.be.revertedWithCustomError(raffle, "InvalidEntryFee");
+      await expect(create(FEE, [])).to.be.revertedWithCustomError(raffle, "InvalidPayoutSplit");
+      await expect(create(FEE, [5000, 3000])).to.be.revertedWithCustomError(raffle, "InvalidPayoutSplit");
+      await expect(create(FEE, [10000, 0])).to.be.revertedWithCustomError(raffle, "InvalidPayoutSplit");
+      await expect(
+        raffle.connect(nonExecutor).createPaidRaffle(deadline, ethers.ZeroAddress, FEE, SPLIT, false, 0)
+      ).to.be.revertedWithCustomError(raffle, "NotAuthorized");
+
+      await expect(raffle.connect(owner).setProtocolFee(1001))
+        .to.be.revertedWithCustomError(raffle, "InvalidProtocolFee");
+      await expect(raffle.connect(executor1).setProtocolFee(100))
+        .to.be.revertedWithCustomError(raffle, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should collect exact ETH entry fees into the pot", async function () {
+      const { raffle, executor1, user1, user2, deadline } = await loadFixture(paidRaffleFixture);
+      await raffle.connect(executor1).createPaidRaffle(deadline, ethers.ZeroAddress, FEE, SPLIT, false, 0);
+
+      await expect(raffle.connect(user1).enter(0, { value: FEE }))
+        .to.changeEtherBalances([user1, raffle], [-FEE, FEE]);
+      await raffle.connect(user1).enter(0, { value: FEE });
+
+      await expect(raffle.connect(user2).enter(0)).to.be.revertedWithCustomError(raffle, "InvalidPayment");
+      await expect(raffle.connect(user2).enter(0, { value: FEE - 1n }))
+        .to.be.revertedWithCustomError(raffle, "InvalidPayment");
+
+      expect(await raffle.roundPots(0)).to.equal(2n * FEE);
+      expect(await raffle.paidEntries(0, user1.address)).to.equal(2);
+    });
+
+    it("Should collect ERC-20 entry fees and refuse ETH for token and free rounds", async function () {
+      const { raffle, executor1, token, entrants, deadline } = await loadFixture(paidRaffleFixture);
+      await raffle.connect(executor1).createPaidRaffle(deadline, token, FEE, SPLIT, true, 0);
+      await raffle.connect(executor1).createScheduledRaffle(deadline, 1, true, 0);
+
+      await expect(raffle.connect(entrants[0]).enter(0))
+        .to.changeTokenBalances(token, [entrants[0], raffle], [-FEE, FEE]);
+      await expect(raffle.connect(entrants[1]).enter(0, { value: FEE }))
+        .to.be.revertedWithCustomError(raffle, "InvalidPayment");
+      await expect(raffle.connect(entrants[1]).enter(1, { value: 1 }))
+        .to.be.revertedWithCustomError(raffle, "InvalidPayment");
+
+      await token.connect(entrants[1]).approve(await raffle.getAddress(), 0);
+      await expect(raffle.connect(entrants[1]).enter(0))
+        .to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+    });
+
+    it("Should credit the split and protocol fee when a round is drawn", async function () {
+      const { raffle, owner, winners } = await loadFixture(drawnEthRaffleFixture);
+      const pot = 10n * FEE;
+      const fee = pot / 20n;
+      const net = pot - fee;
+
+      expect(await raffle.roundPots(0)).to.equal(0);
+      expect(await raffle.pendingWithdrawals(ethers.ZeroAddress, owner.address)).to.equal(fee);
+      for (let rank = 0; rank < 3; rank++) {
+        expect(await raffle.pendingWithdrawals(ethers.ZeroAddress, winners[rank]))
+          .to.equal((net * BigInt(SPLIT[rank])) / 10000n);
+      }
+    });
+
+    it("Should pay winners and the owner only when they withdraw", async function () {
+      const { raffle, owner, entrants, winners } = await loadFixture(drawnEthRaffleFixture);
+      const first = entrants.find((entrant) => entrant.address === winners[0]);
+      const amount = await raffle.pendingWithdrawals(ethers.ZeroAddress, first.address);
+
+      const tx = raffle.connect(first).withdraw(ethers.ZeroAddress);
+      await expect(tx).to.changeEtherBalances([first, raffle], [amount, -amount]);
+      await expect(tx)
+        .to.emit(raffle, "Withdrawal")
+        .withArgs(first.address, ethers.ZeroAddress, amount);
+      await expect(raffle.connect(first).withdraw(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(raffle, "NothingToClaim");
+
+      const loser = entrants.find((entrant) => !winners.includes(entrant.address));
+      await expect(raffle.connect(loser).withdraw(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(raffle, "NothingToClaim");
+
+      await raffle.connect(owner).withdraw(ethers.ZeroAddress);
+      for (const winner of winners.slice(1)) {
+        await raffle.connect(entrants.find((entrant) => entrant.address === winner)).withdraw(ethers.ZeroAddress);
+      }
+      expect(await ethers.provider.getBalance(await raffle.getAddress())).to.equal(0);
+    });
+
+    it("Should share the pot between the drawn ranks when fewer addresses entered", async function () {
+      const { raffle, executor1, token, entrants, deadline } = await loadFixture(paidRaffleFixture);
+      await raffle.connect(executor1).createPaidRaffle(deadline, token, 1000n, SPLIT, true, 0);
+      await raffle.connect(entrants[0]).enter(0);
+      await raffle.connect(entrants[1]).enter(0);
+
+      await time.increaseTo(deadline);
+      await closeRoundForDraw(raffle, 0);
+      await raffle.connect(executor1).drawRound(0);
+
+      const [first, second] = (await raffle.getRaffleWinners(0)).map((winner) => ethers.toBeHex(winner, 20));
+      // 2000 split 50:30 gives 1250 and 750
+      expect(await raffle.pendingWithdrawals(token, first)).to.equal(1250);
+      expect(await raffle.pendingWithdrawals(token, second)).to.equal(750);
+
+      await raffle.connect(entrants.find((entrant) => entrant.address.toLowerCase() === first)).withdraw(token);
+      expect(await token.balanceOf(await raffle.getAddress())).to.equal(750);
+    });
+
+    it("Should refund entry fees of a cancelled round", async function () {
+      const { raffle, executor1, entrants, deadline } = await loadFixture(paidRaffleFixture);
+      await raffle.connect(executor1).createPaidRaffle(deadline, ethers.ZeroAddress, FEE, SPLIT, false, HOUR);
+      await raffle.connect(entrants[0]).enter(0, { value: FEE });
+      await raffle.connect(entrants[0]).enter(0, { value: FEE });
+
+      await expect(raffle.connect(entrants[0]).claimRefund(0))
+        .to.be.revertedWithCustomError(raffle, "RoundNotCancelled");
+
+      await raffle.connect(executor1).cancelScheduledRaffle(0);
+
+      const tx = raffle.connect(entrants[0]).claimRefund(0);
+      await expect(tx).to.changeEtherBalance(entrants[0], 2n * FEE);
+      await expect(tx)
+        .to.emit(raffle, "EntryRefunded")
+        .withArgs(0, entrants[0].address, 2n * FEE);
+      await expect(raffle.connect(entrants[0]).claimRefund(0))
+        .to.be.revertedWithCustomError(raffle, "NothingToClaim");
+      expect(await raffle.roundPots(0)).to.equal(0);
+    });
+
+    it("Should block reentrant withdrawals", async function () {
+      const { raffle, executor1, deadline } = await loadFixture(paidRaffleFixture);
+      const ReentrantEntrant = await ethers.getContractFactory("ReentrantEntrant");
+      const attacker = await ReentrantEntrant.deploy(await raffle.getAddress());
+
+      await raffle.connect(executor1).createPaidRaffle(deadline, ethers.ZeroAddress, FEE, [10000], false, 0);
+      await attacker.enter(0, { value: FEE });
+      await time.increaseTo(deadline);
+      await closeRoundForDraw(raffle, 0);
+      await raffle.connect(executor1).drawRound(0);
+
+      // The nested withdraw hits the guard, so the ETH transfer and the withdrawal fail
+      await expect(attacker.withdraw()).to.be.revertedWithCustomError(raffle, "TransferFailed");
+      expect(await raffle.pendingWithdrawals(ethers.ZeroAddress, await attacker.getAddress())).to.equal(FEE);
+    });
+
+    it("Should not let a contract entrant draw and revert until it wins", async function () {
+      const { raffle, entrants, deadline, executor1 } = await loadFixture(paidRaffleFixture);
+      const RerollingDrawer = await ethers.getContractFactory("RerollingDrawer");
+      const attacker = await RerollingDrawer.deploy(await raffle.getAddress());
+
+      await raffle.connect(executor1).createPaidRaffle(deadline, ethers.ZeroAddress, FEE, [10000], false, 0);
+      await attacker.enter(0, { value: FEE });
+      for (const entrant of entrants) {
+        await raffle.connect(entrant).enter(0, { value: FEE });
+      }
+
+      await time.increaseTo(deadline + 24 * HOUR);
+      await closeRoundForDraw(raffle, 0);
+      const [winner] = await raffle.connect(executor1).drawRound.staticCall(0, { blockTag: "pending" });
+      const attackerWins = winner === BigInt(await attacker.getAddress());
+
+      // Reverting a lost draw gains nothing, a retry in a later block draws the same winner
+      if (!attackerWins) {
+        await expect(attacker.drawIfWinning(0)).to.be.revertedWithCustomError(attacker, "NotWon");
+        await mine(10);
+      }
+      await (attackerWins ? attacker.drawIfWinning(0) : raffle.connect(entrants[0]).drawRound(0));
+
+      expect(await raffle.getRaffleWinners(0)).to.deep.equal([winner]);
+    });
+
+    it("Should keep pots separate across recurring rounds", async function () {
+      const { raffle, executor1, entrants, deadline } = await loadFixture(paidRaffleFixture);
+      await raffle.connect(executor1).createPaidRaffle(deadline, ethers.ZeroAddress, FEE, [10000], true, HOUR);
+
+      await raffle.connect(entrants[0]).enter(0, { value: FEE });
+      await time.increaseTo(deadline);
+      await closeRoundForDraw(raffle, 0);
+      await raffle.connect(executor1).drawRound(0);
+
+      await raffle.connect(entrants[0]).enter(1, { value: FEE });
+      await raffle.connect(entrants[1]).enter(1, { value: FEE });
+      expect(await raffle.roundPots(1)).to.equal(2n * FEE);
+      expect(await raffle.pendingWithdrawals(ethers.ZeroAddress, entrants[0].address)).to.equal(FEE);
+    });
+  });
+
+  describe("Prize Items", function () {
+    const Kind = { ERC721: 0, ERC1155: 1 };
+    const DAY = 24 * 3600;
+
+    async function prizeFixture() {
+      const fixture = await deployRaffleFixture();
+      const { raffle, executor1 } = fixture;
+      const raffleAddress = await raffle.getAddress();
+
+      const nft = await (await ethers.getContractFactory("MockERC721")).deploy();
+      const items = await (await ethers.getContractFactory("MockERC1155")).deploy();
+      await nft.mint(executor1.address, 1);
+      await nft.mint(executor1.address, 2);
+      await items.mint(executor1.address, 7, 10);
+      await nft.connect(executor1).setApprovalForAll(raffleAddress, true);
+      await items.connect(executor1).setApprovalForAll(raffleAddress, true);
+
+      const expiry = (await time.latest()) + 7 * DAY;
+      return { ...fixture, nft, items, expiry };
+    }
+
+    async function drawnPrizeFixture() {
+      const fixture = await prizeFixture();
+      const { raffle, executor1, user1, user2, nonExecutor, nft, items, expiry } = fixture;
+
+      await raffle.connect(executor1).depositPrizeItem(0, 0, Kind.ERC721, nft, 1, 1, expiry);
+      await raffle.connect(executor1).depositPrizeItem(0, 1, Kind.ERC1155, items, 7, 4, expiry);
+
+      const participants = [user1, user2, nonExecutor].map((signer) => BigInt(signer.address));
+      await raffle.connect(executor1).executeRaffle(participants, 2);
+
+      const [first, second] = await Promise.all(
+        (await raffle.getRaffleWinners(0)).map((winner) => ethers.getSigner(ethers.toBeHex(winner, 20)))
+      );
+      const loser = [user1, user2, nonExecutor].find(
+        (signer) => signer.address !== first.address && signer.address !== second.address
+      );
+
+      return { ...fixture, first, second, loser };
+    }
+
+    it("Should escrow ERC-721 and ERC-1155 prizes for future raffle IDs", async function () {
+      const { raffle, executor1, nft, items, expiry } = await loadFixture(prizeFixture);
+      const raffleAddress = await raffle.getAddress();
+
+      await expect(raffle.connect(executor1).depositPrizeItem(0, 0, Kind.ERC721, nft, 1, 1, expiry))
+        .to.emit(raffle, "PrizeItemDeposited")
+        .withArgs(0, 0, executor1.address, await nft.getAddress(), 1, 1, 0, expiry);
+      await raffle.connect(executor1).depositPrizeItem(0, 1, Kind.ERC1155, items, 7, 4, expiry);
+
+      expect(await nft.ownerOf(1)).to.equal(raffleAddress);
+      expect(await items.balanceOf(raffleAddress, 7)).to.equal(4);
+
+      const prizes = await raffle.getPrizeItems(0);
+      expect(prizes.length).to.equal(2);
+      expect(prizes[1].rank).to.equal(1);
+      expect(prizes[1].amount).to.equal(4);
+      expect(prizes[1].settled).to.be.false;
+    });
+
+    it("Should reject invalid deposits", async function () {
+      const { raffle, executor1, nonExecutor, nft, items, expiry } = await loadFixture(prizeFixture);
+
+      await expect(
+        raffle.connect(nonExecutor).depositPrizeItem(0, 0, Kind.ERC721, nft, 1, 1, expiry)
+      ).to.be.revertedWithCustomError(raffle, "NotAuthorized");
+      await expect(
+        raffle.connect(executor1).depositPrizeItem(0, 0, Kind.ERC721, nft, 1, 1, await time.latest())
+      ).to.be.revertedWithCustomError(raffle, "InvalidExpiry");
+      await expect(
+        raffle.connect(executor1).depositPrizeItem(0, 0, Kind.ERC721, nft, 1, 2, expiry)
+      ).to.be.revertedWithCustomError(raffle, "InvalidPrizeAmount");
+      await expect(
+        raffle.connect(executor1).depositPrizeItem(0, 0, Kind.ERC1155, items, 7, 0, expiry)
+      ).to.be.revertedWithCustomError(raffle, "InvalidPrizeAmount");
+
+      await raffle.connect(executor1).executeRaffle([1, 2, 3], 1);
+      await expect(
+        raffle.connect(executor1).depositPrizeItem(0, 0, Kind.ERC721, nft, 1, 1, expiry)
+      ).to.be.revertedWithCustomError(raffle, "RaffleAlreadyDrawn");
+    });
+
+    it("Should let each winner claim the prize of their rank", async function () {
+      const { raffle, nft, items, first, second } = await loadFixture(drawnPrizeFixture);
+
+      await expect(raffle.connect(first).claimPrizeItem(0, 0))
+        .to.emit(raffle, "PrizeItemClaimed")
+        .withArgs(0, 0, first.address);
+      expect(await nft.ownerOf(1)).to.equal(first.address);
+
+      await raffle.connect(second).claimPrizeItem(0, 1);
+      expect(await items.balanceOf(second.address, 7)).to.equal(4);
+      expect((await raffle.getPrizeItems(0)).every((prize) => prize.settled)).to.be.true;
+    });
+
+    it("Should reject claims by other accounts and double claims", async function () {
+      const { raffle, first, second, loser } = await loadFixture(drawnPrizeFixture);
+
+      await expect(raffle.connect(loser).claimPrizeItem(0, 0)).to.be.revertedWithCustomError(raffle, "NotWinner");
+      await expect(raffle.connect(second).claimPrizeItem(0, 0)).to.be.revertedWithCustomError(raffle, "NotWinner");
+      await expect(raffle.connect(first).claimPrizeItem(0, 5))
+        .to.be.revertedWithCustomError(raffle, "PrizeItemNotFound");
+
+      await raffle.connect(first).claimPrizeItem(0, 0);
+      await expect(raffle.connect(first).claimPrizeItem(0, 0))
+        .to.be.revertedWithCustomError(raffle, "PrizeItemSettled");
+    });
+
+    it("Should reject claims before the raffle is drawn", async function () {
+      const { raffle, executor1, user1, nft, expiry } = await loadFixture(prizeFixture);
+      await raffle.connect(executor1).depositPrizeItem(0, 0, Kind.ERC721, nft, 1, 1, expiry);
+
+      await expect(raffle.connect(user1).claimPrizeItem(0, 0)).to.be.revertedWithCustomError(raffle, "NotWinner");
+    });
+
+    it("Should return unclaimed prizes to the depositor after expiry", async function () {
+      const { raffle, executor1, executor2, nft, items, first, second, expiry } = await loadFixture(drawnPrizeFixture);
+
+      await raffle.connect(first).claimPrizeItem(0, 0);
+      await expect(raffle.connect(executor1).reclaimPrizeItem(0, 1))
+        .to.be.revertedWithCustomError(raffle, "ClaimPeriodActive");
+
+      await time.increaseTo(expiry + 1);
+      await expect(raffle.connect(second).claimPrizeItem(0, 1))
+        .to.be.revertedWithCustomError(raffle, "ClaimPeriodOver");
+      await expect(raffle.connect(executor2).reclaimPrizeItem(0, 1))
+        .to.be.revertedWithCustomError(raffle, "NotAuthorized");
+
+      await expect(raffle.connect(executor1).reclaimPrizeItem(0, 1))
+        .to.emit(raffle, "PrizeItemReclaimed")
+        .withArgs(0, 1, executor1.address);
+      expect(await items.balanceOf(executor1.address, 7)).to.equal(10);
+
+      await expect(raffle.connect(executor1).reclaimPrizeItem(0, 0))
+        .to.be.revertedWithCustomError(raffle, "PrizeItemSettled");
+      expect(await nft.ownerOf(1)).to.equal(first.address);
+    });
+
+    it("Should refund a prize whose raffle ID another executor took first", async function () {
+      const { raffle, executor1, executor2, user1, nft, expiry } = await loadFixture(prizeFixture);
+      await raffle.connect(executor1).depositPrizeItem(0, 0, Kind.ERC721, nft, 1, 1, expiry);
+
+      // Another executor front-runs the depositor's raffle and names itself the winner
+      await raffle.connect(executor2).executeRaffle([BigInt(executor2.address)], 1);
+      expect((await raffle.getRaffle(0)).executor).to.equal(executor2.address);
+
+      await expect(raffle.connect(executor2).claimPrizeItem(0, 0))
+        .to.be.revertedWithCustomError(raffle, "PrizeRaffleMismatch");
+
+      // The depositor gets the prize back before its expiry
+      await expect(raffle.connect(user1).reclaimPrizeItem(0, 0))
+        .to.be.revertedWithCustomError(raffle, "NotAuthorized");
+      await expect(raffle.connect(executor1).reclaimPrizeItem(0, 0))
+        .to.emit(raffle, "PrizeItemReclaimed")
+        .withArgs(0, 0, executor1.address);
+      expect(await nft.ownerOf(1)).to.equal(executor1.address);
+    });
+
+    it("Should return prizes of ranks without a winner and of undrawn raffles", async function () {
+      const { raffle, executor1, user1, nft, expiry } = await loadFixture(prizeFixture);
+
+      await raffle.connect(executor1).depositPrizeItem(0, 3, Kind.ERC721, nft, 1, 1, expiry);
+      await raffle.connect(executor1).depositPrizeItem(5, 0, Kind.ERC721, nft, 2, 1, expiry);
+      await raffle.connect(executor1).executeRaffle([BigInt(user1.address)], 1);
+
+      await expect(raffle.connect(user1).claimPrizeItem(0, 0)).to.be.revertedWithCustomError(raffle, "NotWinner");
+
+      await time.increaseTo(expiry + 1);
+      await raffle.connect(executor1).reclaimPrizeItem(0, 0);
+      await raffle.connect(executor1).reclaimPrizeItem(5, 0);
+      expect(await nft.ownerOf(1)).to.equal(executor1.address);
+      expect(await nft.ownerOf(2)).to.equal(executor1.address);
+    });
+  });
+
+  describe("Pause and Invalidation", function () {
+    const Status = { Valid: 0, Invalidated: 1, Replaced: 2 };
+
+    async function auditorFixture() {
+      const fixture = await deployRaffleFixture();
+      const { raffle, owner, user1 } = fixture;
+
+      await raffle.connect(owner).grantRole(await raffle.AUDITOR_ROLE(), user1.address);
+
+      return { ...fixture, auditor: user1 };
+    }
+
+    it("Should let the owner or an auditor pause, and only admins unpause", async function () {
+      const { raffle, owner, auditor, executor1 } = await loadFixture(auditorFixture);
+
+      await expect(raffle.connect(executor1).pause()).to.be.revertedWithCustomError(raffle, "NotAuthorized");
+
+      await expect(raffle.connect(auditor).pause())
+        .to.emit(raffle, "Paused")
+        .withArgs(auditor.address);
+      expect(await raffle.paused()).to.be.true;
+
+      await expect(raffle.connect(auditor).unpause())
+        .to.be.revertedWithCustomError(raffle, "OwnableUnauthorizedAccount");
+      await raffle.connect(owner).unpause();
+      expect(await raffle.paused()).to.be.false;
+
+      await raffle.connect(owner).pause();
+      expect(await raffle.paused()).to.be.true;
+    });
+
+    it("Should block raffle execution while paused", async function () {
+      const { raffle, owner, executor1 } = await loadFixture(deployRaffleFixture);
+      await raffle.connect(executor1).executeRaffle([1, 2, 3], 1);
+      await raffle.connect(owner).pause();
+
+      const deadline = (await time.latest()) + 3600;
+      const calls = [
+        () => raffle.connect(executor1).executeRaffle([1, 2, 3], 1),
+        () => raffle.connect(executor1).executeWeightedRaffle([1, 2], [1, 1], 1),
+        () => raffle.connect(executor1).executeMerkleRaffle(ethers.id("root"), 10, 1),
+        () => raffle.connect(executor1).commitRaffle(ethers.id("seed"), [1, 2, 3], 1),
+        () => raffle.connect(executor1).createScheduledRaffle(deadline, 1, false, 0),
+        () => raffle.connect(executor1).setRaffleMetadata(0, "title", ""),
+      ];
+      for (const call of calls) {
+        await expect(call()).to.be.revertedWithCustomError(raffle, "EnforcedPause");
+      }
+
+      await raffle.connect(owner).unpause();
+      await raffle.connect(executor1).executeRaffle([1, 2, 3], 1);
+    });
+
+    it("Should block entries and draws but not withdrawals while paused", async function () {
+      const { raffle, owner, executor1, user1, user2 } = await loadFixture(deployRaffleFixture);
+      const fee = ethers.parseEther("0.1");
+      const deadline = (await time.latest()) + 3600;
+      await raffle.connect(executor1).createPaidRaffle(deadline, ethers.ZeroAddress, fee, [10000], false, 0);
+      await raffle.connect(user1).enter(0, { value: fee });
+
+      await raffle.connect(owner).pause();
+      await expect(raffle.connect(user2).enter(0, { value: fee }))
+        .to.be.revertedWithCustomError(raffle, "EnforcedPause");
+      await time.increaseTo(deadline);
+      await expect(raffle.connect(executor1).drawRound(0)).to.be.revertedWithCustomError(raffle, "EnforcedPause");
+
+      await raffle.connect(owner).unpause();
+      await closeRoundForDraw(raffle, 0);
+      await raffle.connect(executor1).drawRound(0);
+      await raffle.connect(owner).pause();
+
+      await expect(raffle.connect(user1).withdraw(ethers.ZeroAddress)).to.changeEtherBalance(user1, fee);
+    });
+
+    it("Should invalidate a raffle and keep its history", async function () {
+      const { raffle, auditor, executor1 } = await loadFixture(auditorFixture);
+      await raffle.connect(executor1).executeRaffle([1, 2, 3, 4], 2);
+      const winners = await raffle.getRaffleWinners(0);
+
+      await expect(raffle.connect(auditor).invalidateRaffle(0, "Duplicate entrants"))
+        .to.emit(raffle, "RaffleInvalidated")
+        .withArgs(0, auditor.address, "Duplicate entrants");
+
+      expect(await raffle.getRaffleStatus(0)).to.equal(Status.Invalidated);
+      const record = await raffle.getRaffle(0);
+      expect(record.status).to.equal(Status.Invalidated);
+      expect(record.winners).to.deep.equal(winners);
+      expect(record.executor).to.equal(executor1.address);
+    });
+
+    it("Should reject invalidation by others, of unknown raffles and twice", async function () {
+      const { raffle, owner, executor1 } = await loadFixture(auditorFixture);
+      await raffle.connect(executor1).executeRaffle([1, 2, 3, 4], 2);
+
+      await expect(raffle.connect(executor1).invalidateRaffle(0, ""))
+        .to.be.revertedWithCustomError(raffle, "NotAuthorized");
+      await expect(raffle.connect(owner).invalidateRaffle(1, ""))
+        .to.be.revertedWithCustomError(raffle, "RaffleNotFound");
+
+      await raffle.connect(owner).invalidateRaffle(0, "Bad list");
+      await expect(raffle.connect(owner).invalidateRaffle(0, "Again"))
+        .to.be.revertedWithCustomError(raffle, "RaffleNotValid");
+    });
+
+    it("Should allow invalidation while paused", async function () {
+      const { raffle, owner, auditor, executor1 } = await loadFixture(auditorFixture);
+      await raffle.connect(executor1).executeRaffle([1, 2, 3, 4], 2);
+
+      await raffle.connect(auditor).pause();
+      await raffle.connect(auditor).invalidateRaffle(0, "Incident");
+
+      expect(await raffle.getRaffleStatus(0)).to.equal(Status.Invalidated);
+      await raffle.connect(owner).unpause();
+    });
+
+    it("Should rerun an invalidated raffle and link both IDs", async function () {
+      const { raffle, owner, executor1, executor2 } = await loadFixture(auditorFixture);
+      await raffle.connect(executor1).executeRaffle([1, 2, 3, 4], 2);
+
+      await expect(raffle.connect(executor2).rerunRaffle(0, [1, 2, 3], 2))
+        .to.be.revertedWithCustomError(raffle, "RaffleNotInvalidated");
+
+      await raffle.connect(owner).invalidateRaffle(0, "Participant 4 was ineligible");
+      await expect(raffle.connect(executor2).rerunRaffle(0, [1, 2, 3], 2))
+        .to.emit(raffle, "RaffleRerun")
+        .withArgs(0, 1)
+        .and.to.emit(raffle, "RaffleExecuted");
+
+      expect(await raffle.getRaffleStatus(0)).to.equal(Status.Replaced);
+      expect(await raffle.replacementOf(0)).to.equal(1);
+      expect(await raffle.rerunOf(1)).to.equal(0);
+
+      const rerun = await raffle.getRaffle(1);
+      expect(rerun.isRerun).to.be.true;
+      expect(rerun.status).to.equal(Status.Valid);
+      expect(rerun.executor).to.equal(executor2.address);
+      for (const winner of rerun.winners) {
+        expect([1n, 2n, 3n]).to.include(winner);
+      }
+
+      await expect(raffle.connect(executor2).rerunRaffle(0, [1, 2, 3], 2))
+        .to.be.revertedWithCustomError(raffle, "RaffleNotInvalidated");
+      await expect(raffle.connect(executor2).rerunRaffle(5, [1, 2, 3], 2))
+        .to.be.revertedWithCustomError(raffle, "RaffleNotFound");
+    });
+
+    it("Should block prize item claims of invalidated raffles", async function () {
+      const { raffle, owner, executor1, user1 } = await loadFixture(auditorFixture);
+      const nft = await (await ethers.getContractFactory("MockERC721")).deploy();
+      await nft.mint(executor1.address, 1);
+      await nft.connect(executor1).approve(await raffle.getAddress(), 1);
+
+      const expiry = (await time.latest()) + 3600;
+      await raffle.connect(executor1).depositPrizeItem(0, 0, 0, nft, 1, 1, expiry);
+      await raffle.connect(executor1).executeRaffle([BigInt(user1.address)], 1);
+      await raffle.connect(owner).invalidateRaffle(0, "Ineligible winner");
+
+      await expect(raffle.connect(user1).claimPrizeItem(0, 0))
+        .to.be.revertedWithCustomError(raffle, "RaffleNotValid");
+
+      await time.increaseTo(expiry + 1);
+      await raffle.connect(executor1).reclaimPrizeItem(0, 0);
+      expect(await nft.ownerOf(1)).to.equal(executor1.address);
+    });
+  });
+
+  describe("Signed Execution", function () {
+    async function signFixture() {
+      const fixture = await deployRaffleFixture();
+      const deadline = (await time.latest()) + 3600;
+      return { ...fixture, deadline };
+    }
+
+    it("Should let a relayer submit an executor's signed raffle", async function () {
+      const { raffle, executor1, user1, deadline } = await loadFixture(signFixture);
+      const participants = [1, 2, 3, 4, 5];
+
+      const authorization = await signRaffleAuthorization(raffle, executor1, {
+        participants,
+        numberOfWinners: 2,
+        deadline,
+      });
+      expect(authorization.nonce).to.equal(0n);
+
+      await expect(raffle.connect(user1).executeRaffleWithSignature(...authorizationArgs(authorization)))
+        .to.emit(raffle, "RaffleExecuted");
+
+      const stored = await raffle.getRaffle(0);
+      expect(stored.executor).to.equal(executor1.address);
+      expect(stored.winners.length).to.equal(2);
+      expect(await raffle.getExecutorRaffleCount(executor1.address)).to.equal(1);
+      expect(await raffle.getExecutorRaffleCount(user1.address)).to.equal(0);
+      expect(await raffle.nonces(executor1.address)).to.equal(1);
+    });
+
+    it("Should reject a replayed signature", async function () {
+      const { raffle, executor1, user1, user2, deadline } = await loadFixture(signFixture);
+      const authorization = await signRaffleAuthorization(raffle, executor1, {
+        participants: [1, 2, 3],
+        numberOfWinners: 1,
+        deadline,
+      });
+
+      await raffle.connect(user1).executeRaffleWithSignature(...authorizationArgs(authorization));
+
+      await expect(raffle.connect(user2).executeRaffleWithSignature(...authorizationArgs(authorization)))
+        .to.be.revertedWithCustomError(raffle, "InvalidAccountNonce")
+        .withArgs(executor1.address, 1);
+      expect(await raffle.raffleCounter()).to.equal(1);
+    });
+
+    it("Should reject an expired signature", async function () {
+      const { raffle, executor1, user1, deadline } = await loadFixture(signFixture);
+      const authorization = await signRaffleAuthorization(raffle, executor1, {
+        participants: [1, 2, 3],
+        numberOfWinners: 1,
+        deadline,
+      });
+
+      await time.increaseTo(deadline + 1);
+
+      await expect(raffle.connect(user1).executeRaffleWithSignature(...authorizationArgs(authorization)))
+        .to.be.revertedWithCustomError(raffle, "SignatureExpired");
+    });
+
+    it("Should reject a signature from the wrong signer or over other parameters", async function () {
+      const { raffle, executor1, executor2, user1, deadline } = await loadFixture(signFixture);
+      const authorization = await signRaffleAuthorization(raffle, executor2, {
+        participants: [1, 2, 3],
+        numberOfWinners: 1,
+        deadline,
+      });
+
+      // Claims executor1 but was signed by executor2
+      await expect(
+        raffle.connect(user1).executeRaffleWithSignature(
+          ...authorizationArgs({ ...authorization, executor: executor1.address })
+        )
+      ).to.be.revertedWithCustomError(raffle, "InvalidSignature");
+
+      await expect(
+        raffle.connect(user1).executeRaffleWithSignature(
+          ...authorizationArgs({ ...authorization, participants: [1, 2, 4] })
+        )
+      ).to.be.revertedWithCustomError(raffle, "InvalidSignature");
+
+      await expect(
+        raffle.connect(user1).executeRaffleWithSignature(
+          ...authorizationArgs({ ...authorization, signature: "0x1234" })
+        )
+      ).to.be.revertedWithCustomError(raffle, "InvalidSignature");
+    });
+
+    it("Should reject signatures from accounts that are not executors", async function () {
+      const { raffle, owner, executor1, nonExecutor, user1, deadline } = await loadFixture(signFixture);
+      const fromNonExecutor = await signRaffleAuthorization(raffle, nonExecutor, {
+        participants: [1, 2, 3],
+        numberOfWinners: 1,
+        deadline,
+      });
+      await expect(raffle.connect(user1).executeRaffleWithSignature(...authorizationArgs(fromNonExecutor)))
+        .to.be.revertedWithCustomError(raffle, "NotAuthorized");
+
+      const fromRemoved = await signRaffleAuthorization(raffle, executor1, {
+        participants: [1, 2, 3],
+        numberOfWinners: 1,
+        deadline,
+      });
+      await raffle.connect(owner).removeExecutor(executor1.address);
+      await expect(raffle.connect(user1).executeRaffleWithSignature(...authorizationArgs(fromRemoved)))
+        .to.be.revertedWithCustomError(raffle, "NotAuthorized");
+    });
+
+    it("Should apply the signer's limits and the pause", async function () {
+      const { raffle, owner, executor1, user1, deadline } = await loadFixture(signFixture);
+      await raffle.connect(owner).setExecutorLimits(executor1.address, 0, 1, 0);
+
+      const first = await signRaffleAuthorization(raffle, executor1, {
+        participants: [1, 2, 3],
+        numberOfWinners: 1,
+        deadline,
+      });
+      await raffle.connect(user1).executeRaffleWithSignature(...authorizationArgs(first));
+
+      const second = await signRaffleAuthorization(raffle, executor1, {
+        participants: [1, 2, 3],
+        numberOfWinners: 1,
+        deadline,
+      });
+      await expect(raffle.connect(user1).executeRaffleWithSignature(...authorizationArgs(second)))
+        .to.be.revertedWithCustomError(raffle, "ExecutorDailyLimitReached");
+
+      await raffle.connect(owner).setExecutorLimits(executor1.address, 0, 0, 0);
+      await raffle.connect(owner).pause();
+      await expect(raffle.connect(user1).executeRaffleWithSignature(...authorizationArgs(second)))
+        .to.be.revertedWithCustomError(raffle, "EnforcedPause");
+    });
+  });
+
+  describe("Batch Raffles", function () {
+    const range = (start, length) => Array.from({ length }, (_, i) => start + i);
+
+    it("Should run every raffle with consecutive IDs and return their winners", async function () {
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+      await raffle.connect(executor1).executeRaffle([1, 2, 3], 1);
+
+      const inputs = [
+        { participants: range(100, 10), numberOfWinners: 3 },
+        { participants: range(200, 5), numberOfWinners: 1 },
+        { participants: range(300, 20), numberOfWinners: 5 },
+      ];
+
+      const returned = await raffle.connect(executor1).executeRaffles.staticCall(inputs);
+      expect(returned.map((winners) => winners.length)).to.deep.equal([3, 1, 5]);
+
+      const tx = raffle.connect(executor1).executeRaffles(inputs);
+      await expect(tx)
+        .to.emit(raffle, "RaffleBatchExecuted")
+        .withArgs(executor1.address, 1, 3, 35, 9);
+      for (const id of [1, 2, 3]) {
+        const { participants, numberOfWinners } = inputs[id - 1];
+        await expect(tx)
+          .to.emit(raffle, "RaffleExecuted")
+          .withArgs(id, participants, (winners) => winners.length === numberOfWinners);
+      }
+
+      expect(await raffle.raffleCounter()).to.equal(4);
+      for (const [index, input] of inputs.entries()) {
+        const stored = await raffle.getRaffle(index + 1);
+        expect(stored.executor).to.equal(executor1.address);
+        expect(stored.participantCount).to.equal(input.participants.length);
+        expect(stored.participantsHash).to.equal(ethers.solidityPackedKeccak256(
+          input.participants.map(() => "uint256"),
+          input.participants
+        ));
+        expect(stored.winners.length).to.equal(input.numberOfWinners);
+        for (const winner of stored.winners) {
+          expect(input.participants).to.include(Number(winner));
+        }
+      }
+    });
+
+    it("Should draw independently for identical inputs", async function () {
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+      const input = { participants: range(1, 1000), numberOfWinners: 10 };
+
+      await raffle.connect(executor1).executeRaffles([input, input, input]);
+
+      const results = await Promise.all([0, 1, 2].map(async (id) => (await raffle.getRaffleWinners(id)).join(",")));
+      expect(new Set(results).size).to.equal(3);
+    });
+
+    it("Should revert the whole batch when one raffle is invalid", async function () {
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+
+      await expect(raffle.connect(executor1).executeRaffles([
+        { participants: [1, 2, 3], numberOfWinners: 1 },
+        { participants: [4, 5], numberOfWinners: 3 },
+      ])).to.be.revertedWithCustomError(raffle, "InvalidNumberOfWinners");
+      expect(await raffle.raffleCounter()).to.equal(0);
+
+      await expect(raffle.connect(executor1).executeRaffles([]))
+        .to.be.revertedWithCustomError(raffle, "EmptyBatch");
+    });
+
+    it("Should apply access control and limits to every raffle", async function () {
+      const { raffle, owner, executor1, nonExecutor } = await loadFixture(deployRaffleFixture);
+      const input = { participants: [1, 2, 3], numberOfWinners: 1 };
+
+      await expect(raffle.connect(nonExecutor).executeRaffles([input]))
+        .to.be.revertedWithCustomError(raffle, "NotAuthorized");
+
+      await raffle.connect(owner).setExecutorLimits(executor1.address, 0, 2, 0);
+      await expect(raffle.connect(executor1).executeRaffles([input, input, input]))
+        .to.be.revertedWithCustomError(raffle, "ExecutorDailyLimitReached");
+      await raffle.connect(executor1).executeRaffles([input, input]);
+    });
+
+    it("Should use less gas than the same raffles sent one by one", async function () {
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+      const inputs = range(0, 12).map((i) => ({ participants: range(1000 * i, 10), numberOfWinners: 2 }));
+
+      let sequentialGas = 0n;
+      for (const input of inputs) {
+        const tx = await raffle.connect(executor1).executeRaffle(input.participants, input.numberOfWinners);
+        sequentialGas += (await tx.wait()).gasUsed;
+      }
+
+      const receipt = await (await raffle.connect(executor1).executeRaffles(inputs)).wait();
+      const batchGas = receipt.gasUsed;
+
+      // Intrinsic cost and cold storage access are paid once instead of twelve times
+      expect(batchGas).to.be.lessThan(sequentialGas);
+      expect(sequentialGas - batchGas).to.be.greaterThan(11n * 21000n);
+    });
+  });
+
+  describe("Tiered Raffles", function () {
+    const Mode = { Merkle: 4, Tiered: 6 };
+    const range = (start, length) => Array.from({ length }, (_, i) => start + i);
+
+    it("Should store and return the winners of each tier", async function () {
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+      const participants = range(1, 50);
+
+      await expect(raffle.connect(executor1).executeTieredRaffle(participants, [1, 3, 10], []))
+        .to.emit(raffle, "TieredRaffleExecuted")
+        .withArgs(0, participants, [1, 3, 10], [], (winners) => winners.length === 14);
+
+      const stored = await raffle.getRaffle(0);
+      expect(stored.mode).to.equal(Mode.Tiered);
+      expect(stored.winners.length).to.equal(14);
+      expect(await raffle.getRaffleTiers(0)).to.deep.equal([1n, 3n, 10n]);
+
+      const tiers = await Promise.all([0, 1, 2].map((tier) => raffle.getTierWinners(0, tier)));
+      expect(tiers.map((winners) => winners.length)).to.deep.equal([1, 3, 10]);
+      expect(tiers.flat()).to.deep.equal([...stored.winners]);
+      expect(new Set(tiers.flat()).size).to.equal(14);
+
+      await expect(raffle.getTierWinners(0, 3)).to.be.revertedWithCustomError(raffle, "InvalidTiers");
+    });
+
+    it("Should never let a participant win twice across tiers", async function () {
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+      // Participant 1 holds most of the tickets but can only take one prize
+      const participants = [...Array(20).fill(1), 2, 2, 3];
+
+      for (let i = 0; i < 5; i++) {
+        await raffle.connect(executor1).executeTieredRaffle(participants, [1, 1, 1], []);
+        const winners = await raffle.getRaffleWinners(i);
+        expect([...winners].sort()).to.deep.equal([1n, 2n, 3n]);
+      }
+
+      await expect(raffle.connect(executor1).executeTieredRaffle([1, 1, 2], [2, 1], []))
+        .to.be.revertedWithCustomError(raffle, "InvalidNumberOfWinners");
+    });
+
+    it("Should exclude the winners of previous raffles", async function () {
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+      // 16 participants against at most 12 winners always leave someone eligible for the last draw
+      const participants = range(1, 16);
+
+      await raffle.connect(executor1).executeRaffle(participants, 4);
+      await raffle.connect(executor1).executeWeightedRaffle(participants, participants, 2);
+      await raffle.connect(executor1).executeTieredRaffle(participants, [2, 4], [0, 1]);
+
+      const excluded = [...(await raffle.getRaffleWinners(0)), ...(await raffle.getRaffleWinners(1))];
+      const winners = await raffle.getRaffleWinners(2);
+      expect(winners.length).to.equal(6);
+      for (const winner of winners) {
+        expect(excluded).to.not.include(winner);
+      }
+
+      // Raffles 0 and 1 may share winners, so count what is left after excluding all three
+      const eligible = participants.length - new Set([...excluded, ...winners]).size;
+      await expect(raffle.connect(executor1).executeTieredRaffle(participants, [eligible + 1], [0, 1, 2]))
+        .to.be.revertedWithCustomError(raffle, "InvalidNumberOfWinners");
+      await raffle.connect(executor1).executeTieredRaffle(participants, [eligible], [0, 1, 2]);
+    });
+
+    it("Should reject unknown, invalidated and Merkle raffles as exclusions", async function () {
+      const { raffle, owner, executor1 } = await loadFixture(deployRaffleFixture);
+      await raffle.connect(executor1).executeRaffle([1, 2, 3], 1);
+      await raffle.connect(executor1).executeMerkleRaffle(ethers.id("root"), 10, 1);
+      await raffle.connect(executor1).executeRaffle([1, 2, 3], 1);
+      await raffle.connect(owner).invalidateRaffle(2, "Bad list");
+
+      const participants = range(1, 10);
+      await expect(raffle.connect(executor1).executeTieredRaffle(participants, [1], [3]))
+        .to.be.revertedWithCustomError(raffle, "RaffleNotFound");
+      await expect(raffle.connect(executor1).executeTieredRaffle(participants, [1], [1]))
+        .to.be.revertedWithCustomError(raffle, "InvalidExclusion");
+      await expect(raffle.connect(executor1).executeTieredRaffle(participants, [1], [2]))
+        .to.be.revertedWithCustomError(raffle, "RaffleNotValid");
+    });
+
+    it("Should validate tiers and access", async function () {
+      const { raffle, executor1, nonExecutor } = await loadFixture(deployRaffleFixture);
+
+      await expect(raffle.connect(executor1).executeTieredRaffle([1, 2, 3], [], []))
+        .to.be.revertedWithCustomError(raffle, "InvalidTiers");
+      await expect(raffle.connect(executor1).executeTieredRaffle([1, 2, 3], [1, 0], []))
+        .to.be.revertedWithCustomError(raffle, "InvalidTiers");
+      await expect(raffle.connect(executor1).executeTieredRaffle([1, 2, 3], [2, 2], []))
+        .to.be.revertedWithCustomError(raffle, "InvalidNumberOfWinners");
+      await expect(raffle.connect(nonExecutor).executeTieredRaffle([1, 2, 3], [1], []))
+        .to.be.revertedWithCustomError(raffle, "NotAuthorized");
+
+      expect(await raffle.getRaffleTiers(0)).to.deep.equal([]);
+    });
+  });
 });
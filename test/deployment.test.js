@@ -0,0 +1,152 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { loadDeploymentParameters, verifyDeployment } = require("../lib/deployment");
+const { buildNetworks, parsePrivateKeys, sourcifyConfig } = require("../lib/networks");
+const { deployRaffleFixture } = require("./helpers");
+
+const KEY_A = "0x" + "11".repeat(32);
+const KEY_B = "22".repeat(32);
+
+describe("Deployment configuration", function () {
+  let tmpDir;
+
+  before(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "raffle-deployment-"));
+  });
+
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeParameters(name, parameters) {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, JSON.stringify(parameters));
+    return file;
+  }
+
+  describe("Network profiles", function () {
+    it("Should only configure profiles that have an RPC URL", function () {
+      expect(buildNetworks({})).to.deep.equal({});
+      expect(buildNetworks({ PK: KEY_A, MONAD_TESTNET_RPC: "" })).to.deep.equal({});
+
+      const networks = buildNetworks({ MONAD_TESTNET_RPC: "https://testnet.example", PK: KEY_A });
+      expect(Object.keys(networks)).to.deep.equal(["monadTestnet"]);
+      expect(networks.monadTestnet).to.deep.equal({
+        url: "https://testnet.example",
+        chainId: 10143,
+        accounts: [KEY_A],
+      });
+    });
+
+    it("Should prefer per-network variables over RPC and PK", function () {
+      const networks = buildNetworks({
+        RPC: "https://default.example",
+        PK: KEY_A,
+        MONAD_RPC: "https://mainnet.example",
+        MONAD_PK: KEY_B,
+      });
+
+      expect(networks.monadTestnet.url).to.equal("https://default.example");
+      expect(networks.monadTestnet.accounts).to.deep.equal([KEY_A]);
+      expect(networks.monad.url).to.equal("https://mainnet.example");
+      expect(networks.monad.accounts).to.deep.equal([`0x${KEY_B}`]);
+    });
+
+    it("Should use the node's accounts without a key and reject malformed keys", function () {
+      expect(buildNetworks({ RPC: "http://127.0.0.1:8545" }).monad).to.not.have.property("accounts");
+      expect(parsePrivateKeys(` ${KEY_A}, ${KEY_B} `)).to.deep.equal([KEY_A, `0x${KEY_B}`]);
+      expect(() => buildNetworks({ RPC: "http://127.0.0.1:8545", PK: "0x1234" })).to.throw("32-byte hex");
+    });
+  });
+
+  describe("Verification", function () {
+    it("Should verify on each profile's own explorer", function () {
+      expect(sourcifyConfig("monadTestnet")).to.deep.equal({
+        enabled: true,
+        apiUrl: "https://sourcify-api-monad.blockvision.org",
+        browserUrl: "https://testnet.monadexplorer.com",
+      });
+      expect(sourcifyConfig("monad").browserUrl).to.equal("https://monadvision.com");
+    });
+
+    it("Should disable verification on networks without a profile", function () {
+      expect(sourcifyConfig("hardhat")).to.deep.equal({ enabled: false });
+      expect(sourcifyConfig("localhost")).to.deep.equal({ enabled: false });
+      expect(sourcifyConfig("toString")).to.deep.equal({ enabled: false });
+      expect(hre.config.sourcify.enabled).to.be.false;
+    });
+  });
+
+  describe("Parameter files", function () {
+    it("Should load executors and new owner", function () {
+      const file = writeParameters("full.json", {
+        OnChainRaffleModule: {
+          executors: ["0x70997970c51812dc3a010c7d01b50e0d17dc79c8"],
+        },
+        OnChainRaffleOwnershipModule: { newOwner: "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc" },
+      });
+
+      const loaded = loadDeploymentParameters(file);
+      expect(loaded.executors).to.deep.equal(["0x70997970C51812dc3A010C7d01b50e0d17dc79C8"]);
+      expect(loaded.newOwner).to.equal("0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC");
+    });
+
+    it("Should ship valid parameter files", function () {
+      const loaded = loadDeploymentParameters(path.join(__dirname, "..", "ignition", "parameters", "localhost.json"));
+      expect(loaded.executors).to.have.length(2);
+      expect(loaded.newOwner).to.be.undefined;
+
+      const example = loadDeploymentParameters(path.join(__dirname, "..", "ignition", "parameters", "example.json"));
+      expect(example.newOwner).to.not.be.undefined;
+    });
+
+    it("Should reject missing, invalid, zero or duplicate executors", function () {
+      const executor = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+      const cases = [
+        [{}, "non-empty array"],
+        [{ OnChainRaffleModule: { executors: [""] } }, "not a valid address"],
+        [{ OnChainRaffleModule: { executors: [ethers.ZeroAddress] } }, "zero address"],
+        [{ OnChainRaffleModule: { executors: [executor, executor.toLowerCase()] } }, "more than once"],
+        [{ OnChainRaffleModule: { executors: [executor], owner: executor } }, "does not read"],
+      ];
+
+      for (const [index, [parameters, message]] of cases.entries()) {
+        const file = writeParameters(`invalid-${index}.json`, parameters);
+        expect(() => loadDeploymentParameters(file)).to.throw(message);
+      }
+    });
+  });
+
+  describe("Post-deploy verification", function () {
+    it("Should accept the expected owner and executors in any order", async function () {
+      const { raffle, owner, executor1, executor2 } = await loadFixture(deployRaffleFixture);
+
+      const result = await verifyDeployment(raffle, {
+        executors: [executor2.address, executor1.address.toLowerCase()],
+        owner: owner.address,
+      });
+      expect(result.ok).to.be.true;
+    });
+
+    it("Should report missing, unexpected and expired executors and a wrong owner", async function () {
+      const { raffle, owner, executor1, executor2, user1 } = await loadFixture(deployRaffleFixture);
+      await raffle.connect(owner).setExecutorLimits(executor2.address, 1, 0, 0);
+
+      const result = await verifyDeployment(raffle, {
+        executors: [executor2.address, user1.address],
+        owner: user1.address,
+      });
+
+      expect(result.ok).to.be.false;
+      expect(result.ownerMatches).to.be.false;
+      expect(result.missing).to.deep.equal([user1.address]);
+      expect(result.unexpected).to.deep.equal([executor1.address]);
+      expect(result.inactive).to.deep.equal([executor2.address]);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { analyzeDraws, chiSquareUniform, regularizedGammaQ } = require("../lib/fairness");
+const { deployRaffleFixture } = require("./helpers");
+
+/// Draws per participant size, raise it (e.g. FAIRNESS_DRAWS=20000) for a deeper run
+const DRAWS = Number(process.env.FAIRNESS_DRAWS || 1000);
+
+/// Family-wise false alarm rate, split across every chi-square test of the suite (Bonferroni)
+const FAMILY_ALPHA = 1e-4;
+
+const SIZES = [
+  { participants: 2, winners: 1 },
+  { participants: 10, winners: 3 },
+  { participants: 37, winners: 5 },
+  { participants: 100, winners: 10 },
+];
+
+const TEST_COUNT = SIZES.reduce((sum, size) => sum + size.winners + 1, 0);
+const ALPHA = FAMILY_ALPHA / TEST_COUNT;
+
+/**
+ * @dev Deterministic byte stream for the helper tests
+ */
+function pseudoRandomBytes(count) {
+  return Array.from({ length: count }, (_, i) => parseInt(ethers.id(`sample-${i}`).slice(2, 4), 16));
+}
+
+describe("Raffle fairness", function () {
+  async function drawFixture() {
+    const fixture = await deployRaffleFixture();
+    return { ...fixture, raffle: fixture.raffle.connect(fixture.executor1) };
+  }
+
+  describe("Chi-square helper", function () {
+    it("Should match reference p-values", function () {
+      expect(regularizedGammaQ(0.5, 3.841 / 2)).to.be.closeTo(0.05, 1e-4);
+      expect(regularizedGammaQ(5, 18.307 / 2)).to.be.closeTo(0.05, 1e-4);
+      expect(regularizedGammaQ(49.5, 123.225 / 2)).to.be.closeTo(0.05, 1e-3);
+      expect(regularizedGammaQ(2, 0)).to.equal(1);
+    });
+
+    it("Should flag the modulo bias of a short random source", function () {
+      // 256 % 100 = 56, so a byte reduced with % 100 favours 0..55
+      const biased = new Array(100).fill(0);
+      const fair = new Array(8).fill(0);
+      for (const byte of pseudoRandomBytes(10000)) {
+        biased[byte % 100]++;
+        fair[byte % 8]++;
+      }
+
+      expect(chiSquareUniform(biased).pValue).to.be.below(ALPHA);
+      expect(chiSquareUniform(fair).pValue).to.be.above(ALPHA);
+    });
+
+    it("Should refuse too few draws per outcome", function () {
+      expect(() => chiSquareUniform([1, 2, 3])).to.throw("5 expected draws each");
+      expect(() => analyzeDraws([[0, 1], [2]], 3)).to.throw("same number of winners");
+    });
+  });
+
+  describe("executeRaffle draws", function () {
+    for (const { participants: participantCount, winners: numberOfWinners } of SIZES) {
+      it(`Should pick every position uniformly from ${participantCount} participants`, async function () {
+        this.timeout(600000);
+        const { raffle } = await loadFixture(drawFixture);
+
+        // Participants are their own indices so winners can be tallied directly
+        const participants = Array.from({ length: participantCount }, (_, i) => i);
+        const fromBlock = await ethers.provider.getBlockNumber();
+        for (let i = 0; i < DRAWS; i++) {
+          await raffle.executeRaffle(participants, numberOfWinners);
+        }
+
+        const events = await raffle.queryFilter(raffle.filters.RaffleExecuted(), fromBlock + 1, "latest");
+        expect(events).to.have.lengthOf(DRAWS);
+
+        const { positions, overall } = analyzeDraws(events.map((event) => [...event.args.winners]), participantCount);
+        positions.forEach((result, position) => {
+          expect(result.pValue).to.be.above(
+            ALPHA,
+            `Position ${position} is biased: chi-square ${result.statistic.toFixed(2)} with ` +
+            `${result.degreesOfFreedom} degrees of freedom`
+          );
+        });
+        expect(overall.pValue).to.be.above(ALPHA, `Winner frequencies are biased: ${overall.statistic.toFixed(2)}`);
+      });
+    }
+  });
+});
@@ -0,0 +1,118 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { buildParticipantTree } = require("../lib/merkle");
+const { authorizationArgs, signRaffleAuthorization } = require("../lib/signing");
+const { deployRaffle } = require("./helpers");
+
+const BASELINE_FILE = path.join(__dirname, "fixtures", "gas-baseline.json");
+
+/// Relative increase over the baseline that fails the suite, when the baseline file sets none
+const DEFAULT_THRESHOLD = 0.02;
+
+/**
+ * @dev Participant IDs 1..count, never 0 so that storing winners always costs the same
+ */
+function range(count) {
+  return Array.from({ length: count }, (_, i) => i + 1);
+}
+
+describe("Gas regression", function () {
+  async function deployGasFixture() {
+    const [owner, executor1, executor2, relayer, newOwner] = await ethers.getSigners();
+
+    const raffle = await deployRaffle([executor1.address]);
+    const deployment = await raffle.deploymentTransaction().wait();
+
+    return { raffle, deployment, owner, executor1, executor2, relayer, newOwner };
+  }
+
+  /**
+   * @dev Runs every measured operation in a fixed order and returns the gas used by each
+   */
+  async function measureOperations() {
+    const { raffle, deployment, owner, executor1, executor2, relayer, newOwner } = await deployGasFixture();
+    const gas = { "Deploy contract": deployment.gasUsed };
+    const measure = async (name, sent) => {
+      gas[name] = (await (await sent).wait()).gasUsed;
+    };
+
+    // Warm up the counters and the executor's daily usage so each operation runs in steady state
+    await raffle.connect(executor1).executeRaffle(range(10), 3);
+
+    await measure("addExecutor", raffle.addExecutor(executor2.address));
+    await measure("setExecutorLimits", raffle.setExecutorLimits(executor2.address, 0, 100, 5000));
+    await measure("executeRaffle (10 participants, 3 winners)", raffle.connect(executor1).executeRaffle(range(10), 3));
+    await measure("executeRaffle (100 participants, 10 winners)", raffle.connect(executor1).executeRaffle(range(100), 10));
+    await measure("executeRaffle (1000 participants, 10 winners)", raffle.connect(executor1).executeRaffle(range(1000), 10));
+    await measure(
+      "executeRaffles (5 raffles of 10 participants, 3 winners)",
+      raffle.connect(executor1).executeRaffles(range(5).map(() => ({ participants: range(10), numberOfWinners: 3 })))
+    );
+    await measure(
+      "executeWeightedRaffle (10 participants, 3 winners)",
+      raffle.connect(executor1).executeWeightedRaffle(range(10), range(10), 3)
+    );
+    await measure(
+      "executeTieredRaffle (100 participants, tiers 1/3/6, 1 exclusion)",
+      raffle.connect(executor1).executeTieredRaffle(range(100), [1, 3, 6], [1])
+    );
+    await measure(
+      "executeMerkleRaffle (1000 participants, 10 winners)",
+      raffle.connect(executor1).executeMerkleRaffle(buildParticipantTree(range(1000)).root, 1000, 10)
+    );
+
+    const authorization = await signRaffleAuthorization(raffle, executor1, {
+      participants: range(10),
+      numberOfWinners: 3,
+      deadline: (await time.latest()) + 3600,
+    });
+    await measure(
+      "executeRaffleWithSignature (10 participants, 3 winners)",
+      raffle.connect(relayer).executeRaffleWithSignature(...authorizationArgs(authorization))
+    );
+
+    const seed = ethers.id("gas-baseline");
+    await measure(
+      "commitRaffle (10 participants, 3 winners)",
+      raffle.connect(executor1).commitRaffle(ethers.keccak256(seed), range(10), 3)
+    );
+    await measure("revealRaffle (10 participants, 3 winners)", raffle.connect(executor1).revealRaffle(0, seed, range(10)));
+
+    await measure("removeExecutor", raffle.removeExecutor(executor2.address));
+    await measure("transferOwnership", raffle.connect(owner).transferOwnership(newOwner.address));
+
+    return Object.fromEntries(Object.entries(gas).map(([name, used]) => [name, Number(used)]));
+  }
+
+  it("Should not use more gas than the committed baseline", async function () {
+    this.timeout(120000);
+    const measured = await measureOperations();
+
+    // UPDATE_GAS_BASELINE=1 npx hardhat test test/gas.test.js
+    if (process.env.UPDATE_GAS_BASELINE) {
+      const previous = fs.existsSync(BASELINE_FILE) ? JSON.parse(fs.readFileSync(BASELINE_FILE, "utf8")) : {};
+      const baseline = { threshold: previous.threshold ?? DEFAULT_THRESHOLD, operations: measured };
+      fs.writeFileSync(BASELINE_FILE, JSON.stringify(baseline, null, 2) + "\n");
+      this.skip();
+    }
+
+    const { threshold = DEFAULT_THRESHOLD, operations } = JSON.parse(fs.readFileSync(BASELINE_FILE, "utf8"));
+    expect(Object.keys(measured)).to.have.members(
+      Object.keys(operations),
+      "Measured operations differ from the baseline, refresh it with UPDATE_GAS_BASELINE=1"
+    );
+
+    const regressions = [];
+    for (const [name, used] of Object.entries(measured)) {
+      const change = (used - operations[name]) / operations[name];
+      if (change > threshold) {
+        regressions.push(`${name}: ${operations[name]} -> ${used} (+${(change * 100).toFixed(2)}%)`);
+      }
+    }
+
+    expect(regressions, `Gas regressions beyond ${threshold * 100}%:\n${regressions.join("\n")}`).to.be.empty;
+  });
+});
@@ -0,0 +1,40 @@
+const { ethers } = require("hardhat");
+const { deployRaffleLibraries } = require("../lib/deployment");
+
+/**
+ * @dev Deploys the raffle libraries and returns a factory linked against them
+ * @param contractName OnChainRaffle or one of its variants, all link the same libraries
+ * @return ContractFactory
+ */
+async function getRaffleFactory(contractName = "OnChainRaffle") {
+  const libraries = await deployRaffleLibraries(ethers);
+  return ethers.getContractFactory(contractName, { libraries });
+}
+
+/**
+ * @dev Deploys an OnChainRaffle with its libraries
+ * @param executors Initial executor addresses
+ * @return OnChainRaffle contract instance
+ */
+async function deployRaffle(executors) {
+  const OnChainRaffle = await getRaffleFactory();
+  return OnChainRaffle.deploy(executors);
+}
+
+/**
+ * @dev Base fixture shared by the suites: an OnChainRaffle owned by the first signer with the next two
+ * signers as executors
+ * @return { raffle, owner, executor1, executor2, nonExecutor, user1, user2 }
+ */
+async function deployRaffleFixture() {
+  const [owner, executor1, executor2, nonExecutor, user1, user2] = await ethers.getSigners();
+  const raffle = await deployRaffle([executor1.address, executor2.address]);
+
+  return { raffle, owner, executor1, executor2, nonExecutor, user1, user2 };
+}
+
+module.exports = {
+  deployRaffle,
+  deployRaffleFixture,
+  getRaffleFactory,
+};
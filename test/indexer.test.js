@@ -0,0 +1,232 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { IndexerStore, RaffleIndexer, createApiServer } = require("../lib/indexer");
+const { buildParticipantTree } = require("../lib/merkle");
+const { deployRaffle } = require("./helpers");
+
+describe("Raffle indexer", function () {
+  async function indexerFixture() {
+    const [owner, executor1, executor2, nonExecutor] = await ethers.getSigners();
+
+    const raffle = await deployRaffle([executor1.address]);
+    const deployBlock = (await raffle.deploymentTransaction().wait()).blockNumber;
+
+    const store = await IndexerStore.open();
+    const indexer = new RaffleIndexer({
+      provider: ethers.provider,
+      address: await raffle.getAddress(),
+      store,
+      startBlock: deployBlock,
+      reorgDepth: 5,
+    });
+
+    return { raffle, store, indexer, deployBlock, owner, executor1, executor2, nonExecutor };
+  }
+
+  async function getJson(server, route) {
+    const { port } = server.address();
+    const response = await fetch(`http://127.0.0.1:${port}${route}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  it("Should index raffles of every mode with their winners", async function () {
+    const { raffle, store, indexer, executor1 } = await loadFixture(indexerFixture);
+
+    await raffle.connect(executor1).executeRaffle([1, 2, 3, 4, 5], 2);
+    await raffle.connect(executor1).executeWeightedRaffle([7, 8, 9], [1, 2, 3], 2);
+    const tree = buildParticipantTree(Array.from({ length: 10 }, (_, i) => 100 + i));
+    await raffle.connect(executor1).executeMerkleRaffle(tree.root, 10, 3);
+    await raffle.connect(executor1).executeTieredRaffle([1, 2, 3, 4, 5], [1, 2], [0]);
+
+    const summary = await indexer.sync();
+    expect(summary.raffles).to.equal(4);
+    expect(summary.reorgedFrom).to.be.null;
+
+    const standard = store.getRaffle(0);
+    expect(standard.mode).to.equal("Standard");
+    expect(standard.executor).to.equal(executor1.address);
+    expect(standard.participants).to.deep.equal(["1", "2", "3", "4", "5"]);
+    expect(standard.winners).to.deep.equal((await raffle.getRaffleWinners(0)).map(String));
+
+    expect(store.getRaffle(1).mode).to.equal("Weighted");
+
+    const merkle = store.getRaffle(2);
+    expect(merkle.mode).to.equal("Merkle");
+    expect(merkle.participants).to.be.null;
+    expect(merkle.participantCount).to.equal(10);
+    expect(merkle.winners).to.deep.equal((await raffle.getRaffleWinners(2)).map(String));
+
+    const tiered = store.getRaffle(3);
+    expect(tiered.mode).to.equal("Tiered");
+    expect(tiered.winners).to.deep.equal((await raffle.getRaffleWinners(3)).map(String));
+  });
+
+  it("Should only index new blocks on later syncs", async function () {
+    const { raffle, store, indexer, executor1 } = await loadFixture(indexerFixture);
+
+    await raffle.connect(executor1).executeRaffle([1, 2, 3], 1);
+    const first = await indexer.sync();
+
+    await raffle.connect(executor1).executeRaffle([4, 5, 6], 1);
+    const second = await indexer.sync();
+
+    expect(second.fromBlock).to.equal(first.toBlock + 1);
+    expect(second.raffles).to.equal(1);
+    expect(store.countRaffles()).to.equal(2);
+
+    const third = await indexer.sync();
+    expect(third.raffles).to.equal(0);
+    expect(third.toBlock).to.equal(third.fromBlock - 1);
+  });
+
+  it("Should track executor changes and the current executor set", async function () {
+    const { raffle, store, indexer, executor1, executor2 } = await loadFixture(indexerFixture);
+
+    await raffle.addExecutor(executor2.address);
+    await raffle.removeExecutor(executor1.address);
+    await raffle.addExecutor(executor1.address);
+    await raffle.removeExecutor(executor2.address);
+    await indexer.sync();
+
+    expect(store.getExecutors()).to.deep.equal([executor1.address]);
+    expect(store.getExecutorHistory(executor1.address).map((change) => change.action))
+      .to.deep.equal(["added", "removed", "added"]);
+    expect(store.getExecutorHistory(executor2.address).map((change) => change.action))
+      .to.deep.equal(["added", "removed"]);
+  });
+
+  it("Should track invalidated and rerun raffles", async function () {
+    const { raffle, store, indexer, owner, executor1 } = await loadFixture(indexerFixture);
+
+    await raffle.connect(executor1).executeRaffle([1, 2, 3, 4], 1);
+    await raffle.connect(owner).invalidateRaffle(0, "Bad list");
+    let summary = await indexer.sync();
+    expect(summary.statusChanges).to.equal(1);
+    expect(store.getRaffle(0).status).to.equal("Invalidated");
+    expect(store.getRaffle(0).invalidationReason).to.equal("Bad list");
+
+    await raffle.connect(executor1).rerunRaffle(0, [1, 2, 3], 1);
+    summary = await indexer.sync();
+    expect(summary.raffles).to.equal(1);
+
+    const original = store.getRaffle(0);
+    expect(original.status).to.equal("Replaced");
+    expect(original.replacedBy).to.equal("1");
+    expect(original.invalidationReason).to.equal("Bad list");
+
+    const rerun = store.getRaffle(1);
+    expect(rerun.status).to.equal("Valid");
+    expect(rerun.rerunOf).to.equal("0");
+  });
+
+  it("Should roll back rows from reorged blocks", async function () {
+    const { raffle, store, indexer, executor1, executor2 } = await loadFixture(indexerFixture);
+
+    await raffle.connect(executor1).executeRaffle([1, 2, 3], 1);
+    await indexer.sync();
+
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await raffle.addExecutor(executor2.address);
+    await raffle.connect(executor2).executeRaffle([4, 5, 6], 1);
+    const before = await indexer.sync();
+    expect(store.countRaffles()).to.equal(2);
+    expect(store.getExecutors()).to.include(executor2.address);
+
+    // Replace the last two blocks with a different branch
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await mine(1);
+    await raffle.connect(executor1).executeRaffle([7, 8, 9], 1);
+
+    const after = await indexer.sync();
+    expect(after.reorgedFrom).to.equal(before.toBlock - 1);
+    expect(after.raffles).to.equal(1);
+
+    expect(store.countRaffles()).to.equal(2);
+    expect(store.getRaffle(1).participants).to.deep.equal(["7", "8", "9"]);
+    expect(store.getExecutors()).to.deep.equal([executor1.address]);
+    expect(store.getExecutorHistory(executor2.address)).to.be.empty;
+  });
+
+  it("Should persist the database and resume from the last indexed block", async function () {
+    const { raffle, deployBlock, executor1 } = await loadFixture(indexerFixture);
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "raffle-indexer-")), "indexer.sqlite");
+    const options = { provider: ethers.provider, address: await raffle.getAddress(), startBlock: deployBlock };
+
+    try {
+      await raffle.connect(executor1).executeRaffle([1, 2, 3], 1);
+      const store = await IndexerStore.open(file);
+      const first = await new RaffleIndexer({ ...options, store }).sync();
+      store.close();
+
+      await raffle.connect(executor1).executeRaffle([4, 5, 6], 1);
+      const reopened = await IndexerStore.open(file);
+      expect(reopened.getLastIndexedBlock()).to.equal(first.toBlock);
+
+      const second = await new RaffleIndexer({ ...options, store: reopened }).sync();
+      expect(second.fromBlock).to.equal(first.toBlock + 1);
+      expect(reopened.countRaffles()).to.equal(2);
+      reopened.close();
+    } finally {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+
+  describe("HTTP API", function () {
+    let server;
+
+    afterEach(async function () {
+      if (server) {
+        await new Promise((resolve) => server.close(resolve));
+        server = undefined;
+      }
+    });
+
+    async function serve(store) {
+      server = createApiServer(store);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      return server;
+    }
+
+    it("Should serve indexed raffles, executors and status", async function () {
+      const { raffle, store, indexer, executor1 } = await loadFixture(indexerFixture);
+      for (let i = 0; i < 3; i++) {
+        await raffle.connect(executor1).executeRaffle([1, 2, 3, 4], 2);
+      }
+      const summary = await indexer.sync();
+      await serve(store);
+
+      const status = await getJson(server, "/status");
+      expect(status.body).to.deep.equal({ lastIndexedBlock: summary.toBlock, raffles: 3 });
+
+      const single = await getJson(server, "/raffles/1");
+      expect(single.status).to.equal(200);
+      expect(single.body.raffleId).to.equal("1");
+      expect(single.body.winners).to.deep.equal((await raffle.getRaffleWinners(1)).map(String));
+
+      const executors = await getJson(server, "/executors");
+      expect(executors.body.executors).to.deep.equal([executor1.address]);
+
+      const page = await getJson(server, `/executors/${executor1.address.toLowerCase()}/raffles?offset=1&limit=5`);
+      expect(page.body.executor).to.equal(executor1.address);
+      expect(page.body.raffles.map((item) => item.raffleId)).to.deep.equal(["1", "2"]);
+
+      const history = await getJson(server, `/executors/${executor1.address}/history`);
+      expect(history.body.changes.map((change) => change.action)).to.deep.equal(["added"]);
+    });
+
+    it("Should answer errors with status codes", async function () {
+      const { store } = await loadFixture(indexerFixture);
+      await serve(store);
+
+      expect((await getJson(server, "/raffles/42")).status).to.equal(404);
+      expect((await getJson(server, "/raffles/abc")).status).to.equal(400);
+      expect((await getJson(server, "/executors/0x1234/raffles")).status).to.equal(400);
+      expect((await getJson(server, `/executors/${ethers.ZeroAddress}/raffles?limit=-1`)).status).to.equal(400);
+      expect((await getJson(server, "/unknown")).status).to.equal(404);
+    });
+  });
+});
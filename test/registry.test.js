@@ -0,0 +1,140 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  ParticipantRegistry,
+  assignIds,
+  entrantId,
+  entrantKey,
+  loadEntrants,
+} = require("../lib/registry");
+const { deployRaffleFixture } = require("./helpers");
+
+describe("ParticipantRegistry", function () {
+  const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const BOB = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "raffle-registry-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeFile(name, content) {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  describe("Entrant IDs", function () {
+    it("Should derive the same ID regardless of address casing", function () {
+      expect(entrantId(ALICE.toLowerCase())).to.equal(entrantId({ address: ALICE }));
+    });
+
+    it("Should hash the namespaced entrant key", function () {
+      expect(entrantKey(ALICE)).to.equal(`address:${ALICE}`);
+      expect(entrantId(ALICE)).to.equal(BigInt(ethers.keccak256(ethers.toUtf8Bytes(`address:${ALICE}`))));
+    });
+
+    it("Should normalize handles and prefer addresses", function () {
+      expect(entrantKey({ handle: " Alice " })).to.equal("handle:alice");
+      expect(entrantKey({ username: "alice" })).to.equal("handle:alice");
+      expect(entrantKey({ address: BOB, handle: "bob" })).to.equal(`address:${BOB}`);
+    });
+
+    it("Should reject entrants without an identity", function () {
+      expect(() => entrantId({ name: "nobody" })).to.throw("has no address or handle");
+      expect(() => entrantId({ address: "0x1234" })).to.throw('Invalid entrant address "0x1234"');
+    });
+
+    it("Should reject duplicate entrants", function () {
+      expect(() => assignIds([ALICE, { address: ALICE.toLowerCase() }])).to.throw("Duplicate entrant");
+    });
+  });
+
+  describe("Loading entrants", function () {
+    it("Should load a CSV file with a header row and quoted cells", function () {
+      const file = writeFile(
+        "entrants.csv",
+        `address,handle,note\n${ALICE},alice,"likes, commas"\n,bob,\n`
+      );
+
+      expect(loadEntrants(file)).to.deep.equal([
+        { address: ALICE, handle: "alice", note: "likes, commas" },
+        { handle: "bob" },
+      ]);
+    });
+
+    it("Should load a JSON array of strings and records", function () {
+      const file = writeFile("entrants.json", JSON.stringify([ALICE, "carol", { handle: "dave" }]));
+
+      expect(loadEntrants(file)).to.deep.equal([
+        { address: ALICE },
+        { handle: "carol" },
+        { handle: "dave" },
+      ]);
+    });
+
+    it("Should reject CSV files without an identity column", function () {
+      const file = writeFile("entrants.csv", "name\nalice\n");
+      expect(() => loadEntrants(file)).to.throw("needs an address, handle or username column");
+    });
+  });
+
+  describe("Store", function () {
+    it("Should persist entrants per raffle and reload them", function () {
+      const file = path.join(tmpDir, "nested", "registry.json");
+      const registry = new ParticipantRegistry(file);
+      registry.register(0, [ALICE, "carol"]);
+
+      const reloaded = new ParticipantRegistry(file);
+      expect(reloaded.has(0)).to.be.true;
+      expect(reloaded.has(1)).to.be.false;
+      expect(reloaded.entrants(0)).to.deep.equal([
+        { address: ALICE, id: entrantId(ALICE) },
+        { handle: "carol", id: entrantId("carol") },
+      ]);
+    });
+
+    it("Should refuse to overwrite a registered raffle", function () {
+      const registry = new ParticipantRegistry(path.join(tmpDir, "registry.json"));
+      registry.register(0, [ALICE]);
+
+      expect(() => registry.register(0, [BOB])).to.throw("Raffle #0 is already registered.");
+    });
+
+    it("Should reject winners that are not entrants", function () {
+      const registry = new ParticipantRegistry(path.join(tmpDir, "registry.json"));
+      registry.register(0, [ALICE]);
+
+      expect(() => registry.resolveWinners(0, [entrantId(BOB)])).to.throw("is not an entrant of raffle #0");
+      expect(() => registry.resolveWinners(1, [])).to.throw("Raffle #1 is not registered.");
+    });
+  });
+
+  describe("On-chain winners", function () {
+    it("Should resolve winners from getRaffleWinners to entrant records", async function () {
+      const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+      const registry = new ParticipantRegistry(path.join(tmpDir, "registry.json"));
+      const entrants = assignIds([ALICE, BOB, "carol", "dave", { handle: "erin", team: "blue" }]);
+
+      await raffle.connect(executor1).executeRaffle(entrants.map((entrant) => entrant.id), 3);
+      registry.register(0, entrants);
+
+      const winners = await raffle.getRaffleWinners(0);
+      const records = registry.resolveWinners(0, winners);
+
+      expect(records.map((record) => record.id)).to.deep.equal([...winners]);
+      for (const record of records) {
+        expect(entrants).to.deep.include(record);
+      }
+    });
+  });
+});
@@ -0,0 +1,256 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { entrantId } = require("../lib/registry");
+const {
+  archiveSnapshot,
+  buildSnapshot,
+  loadSnapshot,
+  replayTransfers,
+  selectHolders,
+  verifySnapshot,
+} = require("../lib/snapshot");
+const { deployRaffle } = require("./helpers");
+
+describe("Eligibility snapshots", function () {
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "raffle-snapshot-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function tokensFixture() {
+    const [owner, executor1, alice, bob, carol, dave, treasury] = await ethers.getSigners();
+
+    const raffle = await deployRaffle([executor1.address]);
+    const erc20 = await ethers.deployContract("MockERC20", ["Mock", "MOCK"]);
+    const erc721 = await ethers.deployContract("MockERC721");
+    const deploymentBlock = await ethers.provider.getBlockNumber();
+
+    await erc20.mint(alice.address, 1000);
+    await erc20.mint(bob.address, 300);
+    await erc20.mint(treasury.address, 5000);
+    await erc20.connect(alice).transfer(carol.address, 250);
+    await erc20.connect(bob).transfer(dave.address, 240);
+
+    for (const [tokenId, holder] of [[1, alice], [2, alice], [3, bob], [4, carol]]) {
+      await erc721.mint(holder.address, tokenId);
+    }
+    await erc721.connect(alice).transferFrom(alice.address, dave.address, 2);
+
+    const snapshotBlock = await ethers.provider.getBlockNumber();
+
+    // Moves after the snapshot block must not count
+    await erc20.connect(treasury).transfer(bob.address, 4000);
+    await erc721.connect(carol).transferFrom(carol.address, bob.address, 4);
+
+    return {
+      raffle,
+      erc20,
+      erc721,
+      deploymentBlock,
+      snapshotBlock,
+      owner,
+      executor1,
+      alice,
+      bob,
+      carol,
+      dave,
+      treasury,
+    };
+  }
+
+  describe("Transfer replay", function () {
+    it("Should rebuild ERC-20 balances at the snapshot block", async function () {
+      const { erc20, snapshotBlock, alice, bob, carol, dave, treasury } = await loadFixture(tokensFixture);
+
+      const { standard, balances, transfers } = await replayTransfers(ethers.provider, await erc20.getAddress(), {
+        snapshotBlock,
+      });
+
+      expect(standard).to.equal("erc20");
+      expect(transfers).to.equal(5);
+      for (const account of [alice, bob, carol, dave, treasury]) {
+        expect(balances.get(account.address))
+          .to.equal(await erc20.balanceOf(account.address, { blockTag: snapshotBlock }));
+      }
+      expect(balances.has(ethers.ZeroAddress)).to.be.false;
+    });
+
+    it("Should count ERC-721 tokens per holder", async function () {
+      const { erc721, snapshotBlock, alice, bob, carol, dave } = await loadFixture(tokensFixture);
+
+      const { standard, balances } = await replayTransfers(ethers.provider, await erc721.getAddress(), {
+        snapshotBlock,
+      });
+
+      expect(standard).to.equal("erc721");
+      expect(Object.fromEntries(balances)).to.deep.equal({
+        [alice.address]: 1n,
+        [bob.address]: 1n,
+        [carol.address]: 1n,
+        [dave.address]: 1n,
+      });
+    });
+
+    it("Should give the same balances with any block range", async function () {
+      const { erc20, snapshotBlock } = await loadFixture(tokensFixture);
+      const token = await erc20.getAddress();
+
+      const wide = await replayTransfers(ethers.provider, token, { snapshotBlock });
+      const narrow = await replayTransfers(ethers.provider, token, { snapshotBlock, blockRange: 1 });
+
+      expect(narrow.balances).to.deep.equal(wide.balances);
+    });
+
+    it("Should reject a start block after the token was minted", async function () {
+      const { erc20, deploymentBlock, snapshotBlock } = await loadFixture(tokensFixture);
+
+      await expect(replayTransfers(ethers.provider, await erc20.getAddress(), {
+        snapshotBlock,
+        fromBlock: deploymentBlock + 4,
+      })).to.be.rejectedWith("Negative balance");
+    });
+
+    it("Should reject logs of another standard", async function () {
+      const { erc20, snapshotBlock } = await loadFixture(tokensFixture);
+
+      await expect(replayTransfers(ethers.provider, await erc20.getAddress(), { snapshotBlock, standard: "erc721" }))
+        .to.be.rejectedWith("is not an ERC721 transfer");
+      await expect(replayTransfers(ethers.provider, await erc20.getAddress(), { snapshotBlock, standard: "erc1155" }))
+        .to.be.rejectedWith("Unknown token standard");
+    });
+  });
+
+  describe("Filters", function () {
+    const A = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const B = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+    const C = "0x90F79bf6EB2c4f870365E785982E1f101E93b906";
+    const balances = new Map([[C, 50n], [A, 1000n], [B, 250n]]);
+
+    it("Should sort holders by address and apply the minimum balance", function () {
+      const holders = selectHolders(balances, { minBalance: 100n });
+
+      expect(holders.map((holder) => holder.address)).to.deep.equal([B, A]);
+      expect(holders[0]).to.deep.equal({ address: B, balance: 250n, id: entrantId({ address: B }) });
+    });
+
+    it("Should drop excluded addresses regardless of casing", function () {
+      const holders = selectHolders(balances, { exclude: [A.toLowerCase()] });
+
+      expect(holders.map((holder) => holder.address)).to.deep.equal([B, C]);
+    });
+
+    it("Should weight holders by balance with a cap", function () {
+      const holders = selectHolders(balances, { weightUnit: 100n, maxWeight: 5n });
+
+      expect(holders.map(({ address, weight }) => [address, weight])).to.deep.equal([[B, 2n], [A, 5n]]);
+      expect(() => selectHolders(balances, { weightUnit: 0n })).to.throw("Weight unit must be positive");
+    });
+  });
+
+  describe("Snapshots", function () {
+    it("Should produce participants whose hash matches the raffle record", async function () {
+      const { raffle, erc20, snapshotBlock, executor1, treasury } = await loadFixture(tokensFixture);
+
+      const snapshot = await buildSnapshot(ethers.provider, await erc20.getAddress(), {
+        snapshotBlock,
+        minBalance: 100n,
+        exclude: [treasury.address],
+      });
+      const again = await buildSnapshot(ethers.provider, await erc20.getAddress(), {
+        snapshotBlock,
+        minBalance: 100n,
+        exclude: [treasury.address],
+        blockRange: 3,
+      });
+
+      expect(snapshot.participants).to.have.lengthOf(3);
+      expect(again.participants).to.deep.equal(snapshot.participants);
+      expect(again.participantsHash).to.equal(snapshot.participantsHash);
+      expect(snapshot.blockHash).to.equal((await ethers.provider.getBlock(snapshotBlock)).hash);
+      expect(verifySnapshot(snapshot)).to.be.true;
+
+      await raffle.connect(executor1).executeRaffle(snapshot.participants, 1);
+      expect((await raffle.getRaffle(0)).participantsHash).to.equal(snapshot.participantsHash);
+    });
+
+    it("Should hash weights the way executeWeightedRaffle does", async function () {
+      const { raffle, erc721, snapshotBlock, executor1 } = await loadFixture(tokensFixture);
+
+      const snapshot = await buildSnapshot(ethers.provider, await erc721.getAddress(), {
+        snapshotBlock,
+        weightUnit: 1n,
+      });
+
+      expect(snapshot.weights).to.deep.equal([1n, 1n, 1n, 1n]);
+      await raffle.connect(executor1).executeWeightedRaffle(snapshot.participants, snapshot.weights, 2);
+      expect((await raffle.getRaffle(0)).participantsHash).to.equal(snapshot.participantsHash);
+    });
+
+    it("Should reject a snapshot block that is not mined yet", async function () {
+      const { erc20 } = await loadFixture(tokensFixture);
+      const latest = await ethers.provider.getBlockNumber();
+
+      await expect(buildSnapshot(ethers.provider, await erc20.getAddress(), { snapshotBlock: latest + 10 }))
+        .to.be.rejectedWith("is ahead of the latest block");
+    });
+  });
+
+  describe("Archive", function () {
+    async function archivedFixture() {
+      const fixture = await tokensFixture();
+      const snapshot = await buildSnapshot(ethers.provider, await fixture.erc20.getAddress(), {
+        snapshotBlock: fixture.snapshotBlock,
+        weightUnit: 100n,
+      });
+      return { ...fixture, snapshot };
+    }
+
+    it("Should archive and reload a snapshot", async function () {
+      const { snapshot, erc20, snapshotBlock } = await loadFixture(archivedFixture);
+
+      const file = archiveSnapshot(tmpDir, snapshot);
+      expect(file).to.equal(path.join(tmpDir, "chain-31337", `${await erc20.getAddress()}-${snapshotBlock}.json`));
+
+      const { archivedAt, ...loaded } = loadSnapshot(file);
+      expect(archivedAt).to.be.a("string");
+      expect(loaded).to.deep.equal(snapshot);
+
+      // Archiving the same snapshot again keeps the file
+      expect(archiveSnapshot(tmpDir, snapshot)).to.equal(file);
+    });
+
+    it("Should not overwrite an archive with a different snapshot", async function () {
+      const { snapshot } = await loadFixture(archivedFixture);
+      archiveSnapshot(tmpDir, snapshot);
+
+      const changed = { ...snapshot, holders: snapshot.holders.slice(1) };
+      Object.assign(changed, { participants: snapshot.participants.slice(1), weights: snapshot.weights.slice(1) });
+      changed.participantsHash = ethers.solidityPackedKeccak256(
+        ["uint256[]", "uint256[]"],
+        [changed.participants, changed.weights]
+      );
+
+      expect(() => archiveSnapshot(tmpDir, changed)).to.throw("already archives a different snapshot");
+    });
+
+    it("Should detect an edited archive", async function () {
+      const { snapshot } = await loadFixture(archivedFixture);
+      const file = archiveSnapshot(tmpDir, snapshot);
+
+      const data = JSON.parse(fs.readFileSync(file, "utf8"));
+      data.holders[0].weight = "1000";
+      fs.writeFileSync(file, JSON.stringify(data));
+
+      expect(() => loadSnapshot(file)).to.throw("does not match its participantsHash");
+    });
+  });
+});
@@ -0,0 +1,411 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, ignition } = hre;
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const OnChainRaffleUpgradeableModule = require("../ignition/modules/OnChainRaffleUpgradeable");
+const { readParticipants, resolveRaffleAddress } = require("../tasks/utils");
+const { loadSnapshot } = require("../lib/snapshot");
+const { deployRaffleFixture } = require("./helpers");
+
+describe("Raffle tasks", function () {
+  let tmpDir;
+  let logStub;
+
+  before(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "raffle-tasks-"));
+  });
+
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Task output is not under test, keep the mocha report readable
+  beforeEach(function () {
+    logStub = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = logStub;
+  });
+
+  async function taskFixture() {
+    const fixture = await deployRaffleFixture();
+    return { ...fixture, address: await fixture.raffle.getAddress() };
+  }
+
+  function writeFile(name, content) {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  describe("Participant files", function () {
+    it("Should read a CSV file and skip the header row", function () {
+      const file = writeFile("participants.csv", "id,name\n1,alice\n2,bob\n\n3,carol\n");
+      expect(readParticipants(file)).to.deep.equal([1n, 2n, 3n]);
+    });
+
+    it("Should read a JSON array", function () {
+      const file = writeFile("participants.json", JSON.stringify([10, "20", "0x1e"]));
+      expect(readParticipants(file)).to.deep.equal([10n, 20n, 30n]);
+    });
+
+    it("Should reject non-numeric participant IDs", function () {
+      const file = writeFile("bad.csv", "1\nfoo\n");
+      expect(() => readParticipants(file)).to.throw('Invalid participant ID "foo"');
+    });
+  });
+
+  describe("Address resolution", function () {
+    it("Should prefer an explicit address", async function () {
+      const { address } = await loadFixture(taskFixture);
+      expect(await resolveRaffleAddress(hre, { address: address.toLowerCase() })).to.equal(address);
+    });
+
+    it("Should read the Ignition deployment of the current chain", async function () {
+      const { address } = await loadFixture(taskFixture);
+      const deploymentsDir = path.join(tmpDir, "deployments");
+      fs.mkdirSync(path.join(deploymentsDir, "chain-31337"), { recursive: true });
+      fs.writeFileSync(
+        path.join(deploymentsDir, "chain-31337", "deployed_addresses.json"),
+        JSON.stringify({ "OnChainRaffleModule#OnChainRaffle": address })
+      );
+
+      expect(await resolveRaffleAddress(hre, { deploymentsDir })).to.equal(address);
+    });
+
+    it("Should fall back to the proxy of an upgradeable deployment", async function () {
+      const [, executor1] = await ethers.getSigners();
+      const { ocr, proxy, implementation } = await ignition.deploy(OnChainRaffleUpgradeableModule, {
+        parameters: { OnChainRaffleUpgradeableModule: { executors: [executor1.address] } },
+      });
+      const deploymentsDir = path.join(tmpDir, "deployments");
+      fs.mkdirSync(path.join(deploymentsDir, "upgradeable"), { recursive: true });
+      fs.writeFileSync(
+        path.join(deploymentsDir, "upgradeable", "deployed_addresses.json"),
+        JSON.stringify({
+          "OnChainRaffleUpgradeableModule#OnChainRaffleImplementation": await implementation.getAddress(),
+          "OnChainRaffleUpgradeableModule#ERC1967Proxy": await proxy.getAddress(),
+        })
+      );
+
+      const result = await hre.run("raffle:run", {
+        deploymentsDir,
+        deploymentId: "upgradeable",
+        from: executor1.address,
+        participants: writeFile("upgradeable.csv", "1\n2\n3\n"),
+        winners: 1,
+        json: true,
+      });
+
+      expect(result.winners).to.deep.equal([...(await ocr.getRaffleWinners(0))]);
+
+      const futureId = "OnChainRaffleModule#OnChainRaffle";
+      await expect(
+        resolveRaffleAddress(hre, { deploymentsDir, deploymentId: "upgradeable", futureId })
+      ).to.be.rejectedWith(`Deployment upgradeable has no ${futureId} entry.`);
+    });
+
+    it("Should fail when no deployment exists", async function () {
+      await expect(
+        resolveRaffleAddress(hre, { deploymentsDir: path.join(tmpDir, "missing") })
+      ).to.be.rejectedWith("No Ignition deployment found");
+    });
+  });
+
+  describe("raffle:run and raffle:winners", function () {
+    it("Should execute a raffle and report its winners", async function () {
+      const { raffle, address, executor1 } = await loadFixture(taskFixture);
+      const file = writeFile("run.csv", "1\n2\n3\n4\n5\n");
+
+      const result = await hre.run("raffle:run", {
+        address,
+        from: executor1.address,
+        participants: file,
+        winners: 2,
+        json: true,
+      });
+
+      expect(result.raffleId).to.equal(0n);
+      expect(result.participants).to.equal(5);
+      expect(result.winners).to.deep.equal([...(await raffle.getRaffleWinners(0))]);
+
+      const winners = await hre.run("raffle:winners", { address, id: 0n });
+      expect(winners.winners).to.deep.equal(result.winners);
+    });
+
+    it("Should store entrants in the registry and resolve winners", async function () {
+      const { address, executor1 } = await loadFixture(taskFixture);
+      const entrants = writeFile("entrants.csv", "handle\nalice\nbob\ncarol\n");
+      const registry = path.join(tmpDir, "registry.json");
+
+      const result = await hre.run("raffle:run", {
+        address,
+        from: executor1.address,
+        entrants,
+        registry,
+        winners: 2,
+      });
+
+      expect(result.winnerEntrants.map((entrant) => entrant.id)).to.deep.equal(result.winners);
+
+      const winners = await hre.run("raffle:winners", { address, id: 0n, registry });
+      expect(winners.winnerEntrants).to.deep.equal(result.winnerEntrants);
+    });
+
+    it("Should require exactly one participant source", async function () {
+      const { address } = await loadFixture(taskFixture);
+
+      await expect(
+        hre.run("raffle:run", { address, winners: 1 })
+      ).to.be.rejectedWith("requires exactly one of --participants, --entrants or --snapshot");
+    });
+
+    it("Should reject unknown raffle IDs", async function () {
+      const { address } = await loadFixture(taskFixture);
+
+      await expect(
+        hre.run("raffle:winners", { address, id: 3n })
+      ).to.be.rejectedWith("Raffle #3 has not been executed yet.");
+    });
+  });
+
+  describe("raffle:verify", function () {
+    it("Should verify one or all raffles", async function () {
+      const { raffle, address, executor1 } = await loadFixture(taskFixture);
+      await raffle.connect(executor1).executeRaffle([1, 2, 3, 4], 2);
+      await raffle.connect(executor1).executeRaffle([5, 6, 7], 1);
+
+      const single = await hre.run("raffle:verify", { address, id: 1n });
+      expect(single.results.length).to.equal(1);
+      expect(single.results[0].match).to.be.true;
+
+      const all = await hre.run("raffle:verify", { address, json: true });
+      expect(all.results.map((result) => result.match)).to.deep.equal([true, true]);
+      expect(all.mismatches).to.equal(0);
+    });
+
+    it("Should list commitments that were never revealed", async function () {
+      const { raffle, address, executor1 } = await loadFixture(taskFixture);
+      await raffle.connect(executor1).commitRaffle(ethers.id("seed"), [1, 2, 3], 1);
+      await raffle.connect(executor1).commitRaffle(ethers.id("seed"), [1, 2, 3], 1);
+      await mine(Number(await raffle.REVEAL_WINDOW()) + 1);
+      await raffle.expireCommitment(1);
+
+      const result = await hre.run("raffle:verify", { address, json: true });
+      expect(result.expiredCommitments.map(({ commitmentId, executor, recorded }) => [commitmentId, executor, recorded]))
+        .to.deep.equal([[0n, executor1.address, false], [1n, executor1.address, true]]);
+    });
+
+    it("Should reject unknown raffle IDs", async function () {
+      const { address } = await loadFixture(taskFixture);
+
+      await expect(
+        hre.run("raffle:verify", { address, id: 0n })
+      ).to.be.rejectedWith("Raffle #0 has not been executed yet.");
+    });
+  });
+
+  describe("raffle:executors", function () {
+    it("Should list the current executors", async function () {
+      const { address, executor1, executor2 } = await loadFixture(taskFixture);
+
+      const result = await hre.run("raffle:executors", { address, action: "list" });
+      expect(result.executors).to.deep.equal([executor1.address, executor2.address]);
+    });
+
+    it("Should report executor limits and expiry", async function () {
+      const { raffle, address, executor1 } = await loadFixture(taskFixture);
+      await raffle.setExecutorLimits(executor1.address, 1, 5, 100);
+
+      const result = await hre.run("raffle:executors", { address, action: "list", json: true });
+      const [expired] = result.details;
+      expect(expired.address).to.equal(executor1.address);
+      expect(expired.active).to.be.false;
+      expect(expired.maxRafflesPerDay).to.equal(5n);
+      expect(expired.maxParticipants).to.equal(100n);
+    });
+
+    it("Should add and remove executors", async function () {
+      const { raffle, address, executor1, executor2, user1 } = await loadFixture(taskFixture);
+
+      await hre.run("raffle:executors", { address, action: "add", account: user1.address });
+      expect(await raffle.isExecutor(user1.address)).to.be.true;
+
+      await hre.run("raffle:executors", { address, action: "remove", account: executor1.address });
+      expect(await raffle.isExecutor(executor1.address)).to.be.false;
+
+      const result = await hre.run("raffle:executors", { address, action: "list" });
+      expect(result.executors).to.have.members([executor2.address, user1.address]);
+    });
+
+    it("Should reject unknown actions", async function () {
+      const { address } = await loadFixture(taskFixture);
+
+      await expect(
+        hre.run("raffle:executors", { address, action: "rename" })
+      ).to.be.rejectedWith('Unknown action "rename"');
+    });
+  });
+
+  describe("raffle:snapshot", function () {
+    async function holdersFixture() {
+      const fixture = await taskFixture();
+      const [, , , , alice, bob, carol] = await ethers.getSigners();
+
+      const token = await ethers.deployContract("MockERC20", ["Mock", "MOCK"]);
+      await token.mint(alice.address, 500);
+      await token.mint(bob.address, 50);
+      await token.mint(carol.address, 250);
+
+      return { ...fixture, token, alice, bob, carol };
+    }
+
+    it("Should archive a snapshot and run a raffle from it", async function () {
+      const { raffle, address, executor1, token, alice, carol } = await loadFixture(holdersFixture);
+      const outDir = path.join(tmpDir, "snapshots");
+      const registry = path.join(tmpDir, "snapshot-registry.json");
+
+      const snapshot = await hre.run("raffle:snapshot", {
+        token: await token.getAddress(),
+        minBalance: 100n,
+        outDir,
+      });
+      expect(snapshot.holders).to.equal(2);
+      expect(snapshot.weighted).to.be.false;
+      expect(fs.existsSync(snapshot.file)).to.be.true;
+
+      const result = await hre.run("raffle:run", {
+        address,
+        from: executor1.address,
+        snapshot: snapshot.file,
+        registry,
+        winners: 1,
+      });
+
+      const record = await raffle.getRaffle(result.raffleId);
+      expect(record.participantsHash).to.equal(snapshot.participantsHash);
+      expect(result.winnerEntrants).to.have.lengthOf(1);
+      expect([alice.address, carol.address]).to.include(result.winnerEntrants[0].address);
+    });
+
+    it("Should run a weighted raffle from a weighted snapshot", async function () {
+      const { raffle, address, executor1, token } = await loadFixture(holdersFixture);
+
+      const snapshot = await hre.run("raffle:snapshot", {
+        token: await token.getAddress(),
+        weightUnit: 100n,
+        outDir: path.join(tmpDir, "weighted-snapshots"),
+      });
+      expect(snapshot.weighted).to.be.true;
+      expect(snapshot.holders).to.equal(2);
+
+      const result = await hre.run("raffle:run", {
+        address,
+        from: executor1.address,
+        snapshot: snapshot.file,
+        registry: path.join(tmpDir, "weighted-registry.json"),
+        winners: 1,
+      });
+
+      const { weights } = loadSnapshot(snapshot.file);
+      expect(weights).to.have.members([5n, 2n]);
+      expect((await raffle.getRaffle(result.raffleId)).mode).to.equal(3);
+      const [, totalWeight] = await raffle.getRaffleWeights(result.raffleId);
+      expect(totalWeight).to.equal(7n);
+    });
+  });
+
+  describe("raffle:indexer", function () {
+    it("Should sync once into the database file", async function () {
+      const { raffle, address, executor1 } = await loadFixture(taskFixture);
+      await raffle.connect(executor1).executeRaffle([1, 2, 3, 4], 2);
+      const db = path.join(tmpDir, "indexer.sqlite");
+
+      const summary = await hre.run("raffle:indexer", { address, db, once: true });
+      expect(summary.raffles).to.equal(1);
+      expect(summary.executorChanges).to.equal(2);
+      expect(fs.existsSync(db)).to.be.true;
+
+      const again = await hre.run("raffle:indexer", { address, db, once: true });
+      expect(again.fromBlock).to.equal(summary.toBlock + 1);
+      expect(again.raffles).to.equal(0);
+    });
+  });
+
+  describe("raffle:deploy", function () {
+    function writeParameters(name, parameters) {
+      return writeFile(name, JSON.stringify(parameters));
+    }
+
+    it("Should deploy from a parameter file and verify the executors", async function () {
+      const [owner, executor1, executor2] = await ethers.getSigners();
+      const parameters = writeParameters("deploy.json", {
+        OnChainRaffleModule: { executors: [executor1.address, executor2.address] },
+      });
+
+      const result = await hre.run("raffle:deploy", { parameters });
+
+      expect(result.ok).to.be.true;
+      expect(result.owner).to.equal(owner.address);
+      expect(result.executors).to.deep.equal([executor1.address, executor2.address]);
+
+      const raffle = await ethers.getContractAt("OnChainRaffle", result.address);
+      expect(await raffle.isExecutor(executor1.address)).to.be.true;
+    });
+
+    it("Should deploy from the chosen account and transfer ownership", async function () {
+      const [, executor1, , , deployer, multisig] = await ethers.getSigners();
+      const parameters = writeParameters("ownership.json", {
+        OnChainRaffleModule: { executors: [executor1.address] },
+        OnChainRaffleOwnershipModule: { newOwner: multisig.address },
+      });
+
+      const result = await hre.run("raffle:deploy", { parameters, deployer: deployer.address });
+      expect(result.ok).to.be.true;
+      expect(result.owner).to.equal(multisig.address);
+
+      const raffle = await ethers.getContractAt("OnChainRaffle", result.address);
+      const adminRole = await raffle.DEFAULT_ADMIN_ROLE();
+      expect(await raffle.hasRole(adminRole, multisig.address)).to.be.true;
+      expect(await raffle.hasRole(adminRole, deployer.address)).to.be.false;
+    });
+
+    it("Should reject a deployer that is not a network account", async function () {
+      const [, executor1] = await ethers.getSigners();
+      const parameters = writeParameters("foreign-deployer.json", {
+        OnChainRaffleModule: { executors: [executor1.address] },
+      });
+
+      await expect(hre.run("raffle:deploy", { parameters, deployer: "0x000000000000000000000000000000000000dEaD" }))
+        .to.be.rejectedWith("is not an account of network");
+    });
+
+    it("Should flag an existing deployment that drifted from the parameter file", async function () {
+      const { raffle, address, owner, executor1, executor2, user1 } = await loadFixture(taskFixture);
+      const parameters = writeParameters("drift.json", {
+        OnChainRaffleModule: { executors: [executor1.address, executor2.address] },
+      });
+
+      const verified = await hre.run("raffle:deploy", { parameters, address, verifyOnly: true });
+      expect(verified.ok).to.be.true;
+
+      await raffle.connect(owner).removeExecutor(executor2.address);
+      await raffle.connect(owner).addExecutor(user1.address);
+
+      await expect(
+        hre.run("raffle:deploy", { parameters, address, verifyOnly: true })
+      ).to.be.rejectedWith("does not match");
+    });
+
+    it("Should require a parameter file", async function () {
+      await expect(
+        hre.run("raffle:deploy", { parameters: path.join(tmpDir, "missing.json") })
+      ).to.be.rejectedWith("No parameter file found");
+    });
+  });
+});
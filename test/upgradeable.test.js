@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, ignition } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const OnChainRaffleUpgradeableModule = require("../ignition/modules/OnChainRaffleUpgradeable");
+const { buildUpgradeModule } = require("../ignition/modules/UpgradeOnChainRaffle");
+const { authorizationArgs, signRaffleAuthorization } = require("../lib/signing");
+const { getRaffleFactory } = require("./helpers");
+const V1_LAYOUT = require("./fixtures/OnChainRaffleUpgradeable.storage-layout.json");
+
+const UpgradeToV2Module = buildUpgradeModule("OnChainRaffleV2Mock", { initializer: "initializeV2", args: [42] });
+
+/**
+ * @dev Reads a contract's storage layout from the build info, described by type labels rather than AST IDs
+ * with struct members expanded so that any change to a stored type is visible
+ */
+async function getStorageLayout(fullyQualifiedName) {
+  const [source, name] = fullyQualifiedName.split(":");
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+  const { storage, types } = buildInfo.output.contracts[source][name].storageLayout;
+
+  const describe = (typeId) => {
+    const type = types[typeId];
+    if (type.members) {
+      return `struct ${type.label.replace(/^struct /, "")} { ${type.members
+        .map((member) => `${describe(member.type)} ${member.label};`)
+        .join(" ")} }`;
+    }
+    if (type.key) return `mapping(${describe(type.key)} => ${describe(type.value)})`;
+    if (type.base && type.encoding === "dynamic_array") return `${describe(type.base)}[]`;
+    return type.label;
+  };
+
+  return storage.map(({ label, slot, offset, type }) => ({ label, slot, offset, type: describe(type) }));
+}
+
+describe("OnChainRaffleUpgradeable", function () {
+  async function deployProxyFixture() {
+    const [owner, executor1, executor2, nonExecutor, user1] = await ethers.getSigners();
+
+    const { ocr, proxy, implementation } = await ignition.deploy(OnChainRaffleUpgradeableModule, {
+      parameters: {
+        OnChainRaffleUpgradeableModule: { executors: [executor1.address, executor2.address] },
+      },
+    });
+
+    return { raffle: ocr, proxy, implementation, owner, executor1, executor2, nonExecutor, user1 };
+  }
+
+  async function historyFixture() {
+    const fixture = await deployProxyFixture();
+    const { raffle, owner, executor1, executor2, user1 } = fixture;
+
+    await raffle.connect(executor1).executeRaffle([1, 2, 3, 4, 5], 2);
+    await raffle.connect(executor2).executeWeightedRaffle([10, 20, 30], [1, 2, 3], 1);
+    await raffle.connect(executor1).setRaffleMetadata(0, "Launch", "ipfs://launch");
+    await raffle.connect(owner).setExecutorLimits(executor2.address, 0, 5, 100);
+    await raffle.connect(owner).grantRole(await raffle.AUDITOR_ROLE(), user1.address);
+
+    const authorization = await signRaffleAuthorization(raffle, executor2, {
+      participants: [7, 8, 9],
+      numberOfWinners: 1,
+      deadline: (await time.latest()) + 3600,
+    });
+    await raffle.connect(user1).executeRaffleWithSignature(...authorizationArgs(authorization));
+
+    return fixture;
+  }
+
+  describe("Deployment", function () {
+    it("Should initialize the proxy with the owner and executors", async function () {
+      const { raffle, owner, executor1, executor2 } = await loadFixture(deployProxyFixture);
+
+      expect(await raffle.owner()).to.equal(owner.address);
+      expect(await raffle.hasRole(await raffle.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+      expect(await raffle.getExecutors()).to.deep.equal([executor1.address, executor2.address]);
+      expect(await raffle.raffleCounter()).to.equal(0);
+    });
+
+    it("Should not be initialized twice", async function () {
+      const { raffle, owner, nonExecutor } = await loadFixture(deployProxyFixture);
+
+      await expect(raffle.connect(nonExecutor).initialize(nonExecutor.address, [nonExecutor.address]))
+        .to.be.revertedWithCustomError(raffle, "InvalidInitialization");
+      expect(await raffle.owner()).to.equal(owner.address);
+    });
+
+    it("Should lock the implementation", async function () {
+      const { implementation, nonExecutor } = await loadFixture(deployProxyFixture);
+
+      expect(await implementation.owner()).to.equal(ethers.ZeroAddress);
+      await expect(implementation.initialize(nonExecutor.address, []))
+        .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+
+    it("Should reject a zero owner or executor", async function () {
+      const [owner, executor1] = await ethers.getSigners();
+      const implementation = await (await getRaffleFactory("OnChainRaffleUpgradeable")).deploy();
+      const deployProxy = (args) => ethers.deployContract("ERC1967Proxy", [
+        implementation,
+        implementation.interface.encodeFunctionData("initialize", args),
+      ]);
+
+      await expect(deployProxy([ethers.ZeroAddress, [executor1.address]]))
+        .to.be.revertedWithCustomError(implementation, "OwnableInvalidOwner");
+      await expect(deployProxy([owner.address, [ethers.ZeroAddress]]))
+        .to.be.revertedWithCustomError(implementation, "ZeroAddress");
+    });
+  });
+
+  describe("Upgrades", function () {
+    it("Should keep counters, results and executors across an upgrade", async function () {
+      const { raffle, proxy, owner, executor1, executor2, user1 } = await loadFixture(historyFixture);
+
+      const before = {
+        counter: await raffle.raffleCounter(),
+        raffles: await raffle.getRaffles(0, 10),
+        winners: await Promise.all([0, 1, 2].map((id) => raffle.getRaffleWinners(id))),
+        weights: await raffle.getRaffleWeights(1),
+        executors: await raffle.getExecutors(),
+        limits: await raffle.executorLimits(executor2.address),
+        history: await raffle.getRafflesByExecutor(executor2.address, 0, 10),
+        nonce: await raffle.nonces(executor2.address),
+      };
+      expect(before.counter).to.equal(3);
+
+      const { ocr: upgraded } = await ignition.deploy(UpgradeToV2Module, {
+        parameters: {
+          UpgradeOnChainRaffleV2MockModule: { proxy: await proxy.getAddress() },
+        },
+      });
+
+      expect(await upgraded.getAddress()).to.equal(await proxy.getAddress());
+      expect(await upgraded.version()).to.equal("2.0.0");
+      expect(await upgraded.upgradeMarker()).to.equal(42);
+
+      expect(await upgraded.raffleCounter()).to.equal(before.counter);
+      expect(await upgraded.getRaffles(0, 10)).to.deep.equal(before.raffles);
+      for (const [id, winners] of before.winners.entries()) {
+        expect(await upgraded.getRaffleWinners(id)).to.deep.equal(winners);
+      }
+      expect(await upgraded.getRaffleWeights(1)).to.deep.equal(before.weights);
+      expect(await upgraded.getExecutors()).to.deep.equal(before.executors);
+      expect(await upgraded.executorLimits(executor2.address)).to.deep.equal(before.limits);
+      expect(await upgraded.getRafflesByExecutor(executor2.address, 0, 10)).to.deep.equal(before.history);
+      expect(await upgraded.nonces(executor2.address)).to.equal(before.nonce);
+      expect(await upgraded.owner()).to.equal(owner.address);
+      expect(await upgraded.hasRole(await upgraded.AUDITOR_ROLE(), user1.address)).to.be.true;
+
+      // The new version keeps numbering raffles after the old ones
+      await expect(upgraded.connect(executor1).executeRaffle([1, 2, 3], 1))
+        .to.emit(upgraded, "RaffleExecuted")
+        .withArgs(3, [1, 2, 3], (winners) => winners.length === 1);
+      await expect(upgraded.connect(owner).initializeV2(7))
+        .to.be.revertedWithCustomError(upgraded, "InvalidInitialization");
+    });
+
+    it("Should only let the owner upgrade", async function () {
+      const { raffle, executor1 } = await loadFixture(deployProxyFixture);
+      const v2 = await (await getRaffleFactory("OnChainRaffleV2Mock")).deploy();
+
+      await expect(raffle.connect(executor1).upgradeToAndCall(await v2.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(raffle, "OwnableUnauthorizedAccount")
+        .withArgs(executor1.address);
+    });
+
+    it("Should only append to the committed V1 storage layout", async function () {
+      const current = await getStorageLayout("contracts/OnChainRaffleUpgradeable.sol:OnChainRaffleUpgradeable");
+      const v2 = await getStorageLayout("contracts/mocks/OnChainRaffleV2Mock.sol:OnChainRaffleV2Mock");
+
+      expect(current.slice(0, V1_LAYOUT.length)).to.deep.equal(V1_LAYOUT);
+      expect(v2.slice(0, current.length)).to.deep.equal(current);
+      expect(v2.slice(current.length).map(({ label }) => label)).to.deep.equal(["upgradeMarker"]);
+    });
+  });
+});
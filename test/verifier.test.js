@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  blockRandomSource,
+  getDrawBlock,
+  replayFisherYates,
+  replayIndices,
+  verifyRaffle,
+} = require("../lib/verifier");
+const { authorizationArgs, signRaffleAuthorization } = require("../lib/signing");
+const { deployRaffleFixture } = require("./helpers");
+
+describe("Raffle verifier", function () {
+  async function manyRafflesFixture() {
+    const fixture = await deployRaffleFixture();
+    const { raffle, executor1, executor2 } = fixture;
+
+    for (let i = 0; i < 30; i++) {
+      const size = 2 + ((i * 7) % 40);
+      const participants = Array.from({ length: size }, (_, j) => 1000 * i + j);
+      const executor = i % 2 === 0 ? executor1 : executor2;
+      await raffle.connect(executor).executeRaffle(participants, 1 + (i % size));
+      if (i % 5 === 0) await mine(3);
+    }
+
+    return fixture;
+  }
+
+  it("Should confirm every raffle of a long history", async function () {
+    this.timeout(120000);
+    const { raffle } = await loadFixture(manyRafflesFixture);
+
+    for (let id = 0; id < 30; id++) {
+      const result = await verifyRaffle(raffle, id);
+      expect(result.mode).to.equal("Standard");
+      expect(result.match, `raffle #${id}`).to.be.true;
+      expect(result.expected).to.deep.equal(result.actual);
+    }
+  });
+
+  it("Should report a mismatch when the draw inputs differ", async function () {
+    const { raffle, executor1, executor2 } = await loadFixture(deployRaffleFixture);
+    const participants = Array.from({ length: 50 }, (_, i) => i);
+
+    const receipt = await (await raffle.connect(executor1).executeRaffle(participants, 5)).wait();
+    const block = await getDrawBlock(ethers.provider, receipt.blockNumber);
+    const winners = (await raffle.getRaffleWinners(0)).map(BigInt);
+
+    const honest = replayFisherYates(participants, 5, blockRandomSource(block, executor1.address, 1n));
+    const forged = replayFisherYates(participants, 5, blockRandomSource(block, executor2.address, 1n));
+
+    expect(honest).to.deep.equal(winners);
+    expect(forged).to.not.deep.equal(winners);
+  });
+
+  it("Should verify weighted and Merkle raffles", async function () {
+    const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+
+    await raffle.connect(executor1).executeWeightedRaffle([1, 2, 3, 4, 5], [10, 1, 7, 3, 2], 3);
+    await raffle.connect(executor1).executeMerkleRaffle(ethers.id("root"), 50000, 20);
+
+    const weighted = await verifyRaffle(raffle, 0);
+    expect(weighted.mode).to.equal("Weighted");
+    expect(weighted.match).to.be.true;
+
+    const merkle = await verifyRaffle(raffle, 1);
+    expect(merkle.mode).to.equal("Merkle");
+    expect(merkle.match).to.be.true;
+  });
+
+  it("Should verify weighted raffles with repeated participants", async function () {
+    const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+
+    for (let i = 0; i < 5; i++) {
+      await raffle.connect(executor1).executeWeightedRaffle([4, 1, 4, 2, 4, 3], [5, 1, 5, 2, 5, 3], 3);
+      expect((await verifyRaffle(raffle, i)).match, `raffle #${i}`).to.be.true;
+    }
+  });
+
+  it("Should match a dense shuffle when replaying Merkle indices", function () {
+    const random = (nonce, max) => BigInt(nonce * 7 + 3) % BigInt(max);
+    const dense = replayFisherYates(Array.from({ length: 25 }, (_, i) => i), 25, random);
+
+    expect(replayIndices(25, 25, random)).to.deep.equal(dense);
+  });
+
+  it("Should verify commit-reveal raffles from the revealed seed", async function () {
+    const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+    const seed = ethers.id("verifier seed");
+    const participants = [3, 6, 9, 12, 15];
+
+    await raffle.connect(executor1).commitRaffle(ethers.keccak256(seed), participants, 2);
+    await mine(4);
+    await raffle.connect(executor1).revealRaffle(0, seed, participants);
+
+    const result = await verifyRaffle(raffle, 0);
+    expect(result.mode).to.equal("CommitReveal");
+    expect(result.match).to.be.true;
+  });
+
+  it("Should verify scheduled rounds drawn by anyone", async function () {
+    const { raffle, executor1, nonExecutor } = await loadFixture(deployRaffleFixture);
+    const deadline = (await time.latest()) + 3600;
+    await raffle.connect(executor1).createScheduledRaffle(deadline, 2, true, 0);
+
+    const signers = await ethers.getSigners();
+    for (const signer of signers.slice(5, 12)) {
+      await raffle.connect(signer).enter(0);
+    }
+
+    await time.increaseTo(deadline + 24 * 3600);
+    await raffle.closeRound(0);
+    await mine();
+    await raffle.connect(nonExecutor).drawRound(0);
+
+    const result = await verifyRaffle(raffle, 0);
+    expect(result.mode).to.equal("Scheduled");
+    expect(result.match).to.be.true;
+  });
+
+  it("Should verify each raffle of a batch", async function () {
+    const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+    const participants = Array.from({ length: 30 }, (_, i) => i);
+
+    await raffle.connect(executor1).executeRaffles([
+      { participants, numberOfWinners: 4 },
+      { participants, numberOfWinners: 4 },
+      { participants: participants.slice(0, 10), numberOfWinners: 10 },
+    ]);
+
+    for (const id of [0, 1, 2]) {
+      const result = await verifyRaffle(raffle, id);
+      expect(result.match, `raffle #${id}`).to.be.true;
+    }
+  });
+
+  it("Should verify tiered raffles with duplicates and exclusions", async function () {
+    const { raffle, executor1 } = await loadFixture(deployRaffleFixture);
+    const participants = Array.from({ length: 40 }, (_, i) => i % 25);
+
+    await raffle.connect(executor1).executeRaffle(participants.slice(0, 25), 5);
+    await raffle.connect(executor1).executeTieredRaffle(participants, [1, 3, 6], [0]);
+
+    const result = await verifyRaffle(raffle, 1);
+    expect(result.mode).to.equal("Tiered");
+    expect(result.match).to.be.true;
+  });
+
+  it("Should verify relayed raffles against the signing executor", async function () {
+    const { raffle, executor1, nonExecutor } = await loadFixture(deployRaffleFixture);
+    const authorization = await signRaffleAuthorization(raffle, executor1, {
+      participants: Array.from({ length: 40 }, (_, i) => i),
+      numberOfWinners: 5,
+      deadline: (await time.latest()) + 3600,
+    });
+
+    await raffle.connect(nonExecutor).executeRaffleWithSignature(...authorizationArgs(authorization));
+
+    const result = await verifyRaffle(raffle, 0);
+    expect(result.mode).to.equal("Standard");
+    expect(result.match).to.be.true;
+  });
+
+  it("Should skip requested raffles whose randomness is not logged", async function () {
+    const { raffle, owner, executor1 } = await loadFixture(deployRaffleFixture);
+    const coordinator = await ethers.deployContract("MockRandomnessCoordinator");
+    await raffle.connect(owner).setRandomnessCoordinator(await coordinator.getAddress());
+
+    await raffle.connect(executor1).requestRaffle([1, 2, 3], 1);
+    await coordinator.fulfillRandomness(1, 7);
+
+    const result = await verifyRaffle(raffle, 0);
+    expect(result.mode).to.equal("Requested");
+    expect(result.match).to.be.null;
+    expect(result.reason).to.include("not logged");
+  });
+});